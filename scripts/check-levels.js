@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * Level Consistency Checker
+ *
+ * Walks every level pack (the manifest in public/levels/index.json, or the
+ * pack files given as arguments) and verifies that:
+ * - each pack matches the level schema (ids, images, parts, overlays, options)
+ * - every referenced image exists under public/
+ * - level ids are unique and contiguous (1..N) across the whole catalog
+ * - every image's format matches its file extension
+ * - image dimensions are sane (base/complete match, nothing tiny or huge)
+ * - no part offers the same image twice (compared by content, not path)
+ *
+ * Option images used by more than one level are listed as warnings. When
+ * the whole manifest is checked, public/levels/image-hashes.json (every
+ * option image's content hash, which the game uses to keep copies of an
+ * image out of a tier's distractors) must be up to date. The check never
+ * writes it: run with --write (npm run levels:hashes) to regenerate it.
+ *
+ * Prints a per-level report and exits non-zero if anything is broken.
+ *
+ * Usage:
+ *   npm run check:levels
+ *   npm run levels:hashes
+ *   node scripts/check-levels.js public/levels/extra.json
+ */
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getLevelParts, validateLevel, validateLevelPack } from '../src/data/levelSchema.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = join(ROOT, 'public');
+const MANIFEST = join(PUBLIC_DIR, 'levels', 'index.json');
+const IMAGE_HASHES = join(PUBLIC_DIR, 'levels', 'image-hashes.json');
+
+const args = process.argv.slice(2);
+const shouldWrite = args.includes('--write');
+const packArgs = args.filter(arg => arg !== '--write');
+
+// Dimension limits in pixels
+const LIMITS = {
+    face: { min: 256, max: 4096 },
+    option: { min: 32, max: 1024 },
+};
+
+const useColor = process.stdout.isTTY;
+const paint = (code) => (text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : text);
+const red = paint(31);
+const green = paint(32);
+const yellow = paint(33);
+const bold = paint(1);
+
+// ========================================
+// IMAGE HEADERS
+// ========================================
+
+/**
+ * Read an image's format and pixel size from its header bytes
+ * @returns {{ format: string, width?: number, height?: number }}
+ */
+const readImageInfo = (buffer) => {
+    // PNG: signature + IHDR chunk
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen descriptor
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // JPEG: walk segments until a start-of-frame marker
+    if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = buffer[offset + 1];
+            const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+            if (isStartOfFrame) {
+                return { format: 'jpeg', height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return { format: 'jpeg' };
+    }
+
+    if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return { format: 'webp' };
+    }
+    return { format: 'unknown' };
+};
+
+const EXTENSION_FORMATS = { png: 'png', jpg: 'jpeg', jpeg: 'jpeg', gif: 'gif', webp: 'webp', svg: 'svg' };
+
+/**
+ * Check one referenced image: existence, format and dimensions
+ * @param {string} src - Public URL path (e.g. /assets/level1/base.png)
+ * @param {string} label - Field name used in messages
+ * @param {Object} limits - { min, max } pixel bounds
+ * @param {Object} report - { errors, warnings } collector
+ * @returns {Object|null} Image info when readable
+ */
+const checkImage = (src, label, limits, report) => {
+    if (typeof src !== 'string' || !src.startsWith('/')) return null; // Schema already reported it
+
+    const filePath = join(PUBLIC_DIR, src);
+    if (!existsSync(filePath)) {
+        report.errors.push(`${label} ${src} does not exist under public/`);
+        return null;
+    }
+
+    const extension = src.split('.').pop().toLowerCase();
+    if (extension === 'svg') return null; // Vector images have no pixel size
+
+    const info = readImageInfo(readFileSync(filePath));
+    if (info.format === 'unknown') {
+        report.errors.push(`${label} ${src} is not a readable image`);
+        return null;
+    }
+    // Hosts serve the file with the extension's content type
+    if (EXTENSION_FORMATS[extension] !== info.format) {
+        report.errors.push(`${label} ${src} is actually a ${info.format.toUpperCase()} file - fix its extension`);
+    }
+    if (!info.width || !info.height) {
+        report.warnings.push(`${label} ${src}: could not read dimensions`);
+        return info;
+    }
+
+    const { width, height } = info;
+    if (Math.min(width, height) < limits.min || Math.max(width, height) > limits.max) {
+        report.errors.push(`${label} ${src} is ${width}x${height}, expected each side within ${limits.min}-${limits.max}px`);
+    }
+    return info;
+};
+
+/**
+ * Content hash of an image (first 16 hex chars of its SHA-256)
+ * @param {string} src - Public URL path
+ * @returns {string|null} Hash, or null when the file is missing
+ */
+const hashImage = (src) => {
+    if (typeof src !== 'string' || !src.startsWith('/')) return null;
+    const filePath = join(PUBLIC_DIR, src);
+    if (!existsSync(filePath)) return null;
+    return createHash('sha256').update(readFileSync(filePath)).digest('hex').slice(0, 16);
+};
+
+// ========================================
+// LEVEL CHECKS
+// ========================================
+
+/**
+ * Check a single level and return its report
+ * @param {Object} level - Level from a pack
+ * @param {number} index - Its position in the pack
+ * @param {Map} imageHashes - Collects option image path -> content hash
+ */
+const checkLevel = (level, index, imageHashes) => {
+    const report = {
+        title: `Level ${level?.id ?? `#${index + 1}`} · ${level?.celebrity || 'Unnamed'}`,
+        errors: validateLevel(level, 'level').map(msg => msg.replace(/^level\./, '')),
+        warnings: [],
+    };
+    if (!level || typeof level !== 'object') return report;
+
+    const base = checkImage(level.baseImage, 'baseImage', LIMITS.face, report);
+    const complete = checkImage(level.completeImage, 'completeImage', LIMITS.face, report);
+    if (base?.width && complete?.width && (base.width !== complete.width || base.height !== complete.height)) {
+        report.errors.push(`completeImage is ${complete.width}x${complete.height} but baseImage is ${base.width}x${base.height}`);
+    }
+
+    getLevelParts(level).forEach((part) => {
+        const optionsByHash = new Map(); // content hash -> option id
+        (Array.isArray(part?.options) ? part.options : []).forEach((option) => {
+            checkImage(option?.image, `${part?.type} option ${option?.id}`, LIMITS.option, report);
+
+            const hash = hashImage(option?.image);
+            if (!hash) return;
+            imageHashes.set(option.image, hash);
+            if (optionsByHash.has(hash)) {
+                report.errors.push(`${part.type} options ${optionsByHash.get(hash)} and ${option.id} are the same image`);
+            } else {
+                optionsByHash.set(hash, option.id);
+            }
+        });
+    });
+
+    return report;
+};
+
+/**
+ * Load a pack file from disk
+ */
+const readPack = (filePath) => {
+    try {
+        return { pack: JSON.parse(readFileSync(filePath, 'utf8')) };
+    } catch (err) {
+        return { error: `cannot read ${relative(ROOT, filePath)}: ${err.message}` };
+    }
+};
+
+/**
+ * Resolve the pack files to check (CLI args or manifest entries)
+ */
+const resolvePackFiles = () => {
+    if (packArgs.length > 0) {
+        return packArgs.map(arg => resolve(process.cwd(), arg));
+    }
+
+    const manifest = JSON.parse(readFileSync(MANIFEST, 'utf8'));
+    return manifest.packs.map(url => join(PUBLIC_DIR, url));
+};
+
+const main = () => {
+    let packFiles;
+    try {
+        packFiles = resolvePackFiles();
+    } catch (err) {
+        console.error(red(`✗ Cannot read pack manifest ${relative(ROOT, MANIFEST)}: ${err.message}`));
+        process.exit(1);
+    }
+
+    let failed = 0;
+    let passed = 0;
+    let warningCount = 0;
+    const idOwners = new Map(); // level id -> pack label
+    const imageHashes = new Map(); // option image path -> content hash
+
+    console.log(bold('Level pack check'));
+
+    packFiles.forEach((filePath) => {
+        const label = relative(ROOT, filePath);
+        const { pack, error } = readPack(filePath);
+        if (error) {
+            console.log(`\n  ${red('✗')} ${label}\n      - ${error}`);
+            failed++;
+            return;
+        }
+
+        console.log(`\n  ${bold(pack?.id || '(no id)')} ${label}`);
+
+        // Pack-level problems (level-specific ones are reported per level below)
+        const packErrors = validateLevelPack(pack).filter(msg => !msg.startsWith('levels['));
+        packErrors.forEach(msg => console.log(`    ${red('✗')} ${msg}`));
+        if (packErrors.length > 0) failed++;
+
+        (Array.isArray(pack?.levels) ? pack.levels : []).forEach((level, index) => {
+            const report = checkLevel(level, index, imageHashes);
+
+            if (Number.isInteger(level?.id)) {
+                if (idOwners.has(level.id)) {
+                    report.errors.push(`id ${level.id} is already used in ${idOwners.get(level.id)}`);
+                } else {
+                    idOwners.set(level.id, label);
+                }
+            }
+
+            const icon = report.errors.length > 0 ? red('✗') : report.warnings.length > 0 ? yellow('!') : green('✓');
+            console.log(`    ${icon} ${report.title}`);
+            report.errors.forEach(msg => console.log(`        ${red('-')} ${msg}`));
+            report.warnings.forEach(msg => console.log(`        ${yellow('-')} ${msg}`));
+
+            warningCount += report.warnings.length;
+            if (report.errors.length > 0) failed++;
+            else passed++;
+        });
+    });
+
+    // Catalog-wide: ids must run 1..N without gaps (level number = id)
+    const ids = [...idOwners.keys()].sort((a, b) => a - b);
+    const missing = [];
+    for (let id = 1; id <= (ids[ids.length - 1] || 0); id++) {
+        if (!idOwners.has(id)) missing.push(id);
+    }
+    if (missing.length > 0) {
+        console.log(`\n  ${red('✗')} Level ids are not contiguous, missing: ${missing.join(', ')}`);
+        failed++;
+    }
+
+    // Catalog-wide: the same option image under several paths (tiers only offer one of them)
+    const pathsByHash = new Map();
+    imageHashes.forEach((hash, src) => pathsByHash.set(hash, [...(pathsByHash.get(hash) || []), src]));
+    const copies = [...pathsByHash.values()].filter(paths => paths.length > 1);
+    if (copies.length > 0) {
+        console.log(`\n  ${yellow('!')} Option images with the same content:`);
+        copies.forEach(paths => console.log(`        ${yellow('-')} ${paths.sort().join(', ')}`));
+        warningCount += copies.length;
+    }
+
+    // Hashes of the whole catalog (a single pack would drop the others)
+    if (packArgs.length === 0) {
+        const label = relative(ROOT, IMAGE_HASHES);
+        const hashes = `${JSON.stringify(Object.fromEntries([...imageHashes].sort()), null, 4)}\n`;
+        const isCurrent = existsSync(IMAGE_HASHES) && readFileSync(IMAGE_HASHES, 'utf8') === hashes;
+        if (shouldWrite && !isCurrent) {
+            writeFileSync(IMAGE_HASHES, hashes);
+            console.log(`\n  Updated ${label}`);
+        } else if (!isCurrent) {
+            console.log(`\n  ${red('✗')} ${label} is ${existsSync(IMAGE_HASHES) ? 'out of date' : 'missing'} - run npm run levels:hashes`);
+            failed++;
+        }
+    } else if (shouldWrite) {
+        console.log(`\n  ${yellow('!')} --write only works on the whole manifest (no pack arguments)`);
+        warningCount++;
+    }
+
+    const summary = `${passed} passed, ${failed} failed, ${warningCount} warning${warningCount === 1 ? '' : 's'}`;
+    console.log(`\n${failed > 0 ? red(bold(`✗ ${summary}`)) : green(bold(`✓ ${summary}`))}`);
+    process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
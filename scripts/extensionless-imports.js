@@ -0,0 +1,29 @@
+/**
+ * Extensionless Imports (tests)
+ *
+ * The game's sources import each other without file extensions (Vite
+ * resolves them). Loaded with `node --import`, this registers a resolve
+ * hook that retries such relative imports with ".js", so `node --test`
+ * can load the sources as they are.
+ *
+ * Usage:
+ *   node --import ./scripts/extensionless-imports.js --test
+ */
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+
+/**
+ * Resolve hook: "./foo" => "./foo.js" when "./foo" doesn't exist
+ */
+export const resolve = async (specifier, context, nextResolve) => {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (err) {
+        const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+        if (err.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative) throw err;
+        return nextResolve(`${specifier}.js`, context);
+    }
+};
+
+// Hooks run on their own thread, where this module is loaded again
+if (isMainThread) register(import.meta.url);
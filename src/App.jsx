@@ -1,5 +1,5 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { GameHeader } from './components/GameHeader';
 import { GameStage } from './components/GameStage';
 import { OptionGrid } from './components/OptionGrid';
@@ -9,15 +9,48 @@ import { LevelSelect } from './components/LevelSelect';
 import { SettingsModal } from './components/SettingsModal';
 import { LoadingTransition } from './components/LoadingTransition';
 import { Leaderboard } from './components/Leaderboard';
+import { RunSummary } from './components/RunSummary';
+import { DragGhost } from './components/DragGhost';
+import { HintMenu } from './components/HintMenu';
+import { AchievementToast } from './components/AchievementToast';
+import { AchievementsGallery } from './components/AchievementsGallery';
+import { PassAndPlaySetup } from './components/PassAndPlaySetup';
+import { PassAndPlayHandoff } from './components/PassAndPlayHandoff';
+import { Podium } from './components/Podium';
+import { OnlineLobby } from './components/OnlineLobby';
+import { OpponentProgress } from './components/OpponentProgress';
+import { RaceResults } from './components/RaceResults';
+import { CampaignComplete } from './components/CampaignComplete';
+import { MistakeReview } from './components/MistakeReview';
 import { useGameState } from './hooks/useGameState';
 import { useAssetPreloader } from './hooks/useAssetPreloader';
-import { gameLevels } from './data/gameData';
-import { RefreshCw, Home, Loader, Volume2, VolumeX, Settings, Trophy } from 'lucide-react';
+import { useLevelCatalog } from './hooks/useLevelCatalog';
+import { useLevelTimer } from './hooks/useLevelTimer';
+import { useSurvivalRun } from './hooks/useSurvivalRun';
+import { useDailyChallenge } from './hooks/useDailyChallenge';
+import { useShuffledOptions } from './hooks/useShuffledOptions';
+import { useDragPlacement } from './hooks/useDragPlacement';
+import { useAchievements } from './hooks/useAchievements';
+import { useCloudSave } from './hooks/useCloudSave';
+import { usePassAndPlay, MATCH_PHASES } from './hooks/usePassAndPlay';
+import { useOnlineRace } from './hooks/useOnlineRace';
+import { LEADERBOARD_CATEGORIES } from './services/firebase';
+import { GameEvents } from './services/GameEvents';
+import { ACHIEVEMENTS, GAME_EVENTS } from './data/achievements';
+import { buildDailyChallenge, getDailyKey, getActiveStreak } from './utils/dailyChallenge';
+import { createSeed, shuffle } from './utils/random';
+import { PART_TYPES } from './data/levelSchema';
+import { GAME_CONFIG, GAME_MODES, HINT_TYPES, DEFAULT_DIFFICULTY } from './data/gameData';
+import { RefreshCw, Home, Loader, Volume2, VolumeX, Settings, Trophy, Eye } from 'lucide-react';
 
 // Game states
 const GAME_STATE = {
   MENU: 'MENU',
   LEVEL_SELECT: 'LEVEL_SELECT',
+  ACHIEVEMENTS: 'ACHIEVEMENTS',
+  PASS_AND_PLAY_SETUP: 'PASS_AND_PLAY_SETUP',
+  ONLINE_LOBBY: 'ONLINE_LOBBY',
+  CAMPAIGN_COMPLETE: 'CAMPAIGN_COMPLETE',
   PLAYING: 'PLAYING',
 };
 
@@ -38,20 +71,60 @@ function App() {
   const [adCountdown, setAdCountdown] = useState(3);
   const [showSettings, setShowSettings] = useState(false);
   const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [gameMode, setGameMode] = useState(GAME_MODES.CAMPAIGN);
+  const isSurvival = gameMode === GAME_MODES.SURVIVAL;
+  const isDaily = gameMode === GAME_MODES.DAILY;
+  const isPassAndPlay = gameMode === GAME_MODES.PASS_AND_PLAY;
+  const isOnline = gameMode === GAME_MODES.ONLINE;
+  const isPractice = gameMode === GAME_MODES.PRACTICE;
+  const isCampaign = gameMode === GAME_MODES.CAMPAIGN;
+  const [isPracticeOn, setIsPracticeOn] = useState(false); // Level select toggle
+
+  // Level catalog (merged level packs)
+  const { levels, packs } = useLevelCatalog();
+
+  // Timed mode seconds left, read when the session is snapshotted (kept in sync below)
+  const timeLeftRef = useRef(null);
 
   // Unified game state
   const {
     currentLevel,
+    difficulty,
+    availableDifficulties,
     score,
+    levelScore,
+    comboMultiplier,
     lives,
     attempts,
+    levelPicks,
     isLevelComplete,
-    selectedMouth,
+    selectedOption,
+    activePart,
+    activePartIndex,
+    filledParts,
+    partStats,
+    eliminatedOptions,
+    levelHintsUsed,
+    earnedStars,
+    levelSeconds,
+    isSequence,
     isShaking,
     gameOver,
-    handleMouthSelect,
+    handleOptionSelect,
+    selectPart,
+    handleHint,
+    handleTimeExpired,
     handleResetLevel,
+    handleContinueRun,
     handleResetProgress,
+    saveData,
+    parseSaveImport,
+    importSave,
+    updateCloudSync,
+    mergeCloudSave,
+    savedSession,
+    restoreSession,
+    discardSession,
     settings,
     updateSetting,
     updateSettings,
@@ -59,28 +132,151 @@ function App() {
     toggleMute,
     isLevelUnlocked,
     isLevelCompleted,
+    getLevelStarRating,
+    getBestScore,
+    isPackUnlocked,
+    totalStars,
+    achievements,
+    unlockAchievements,
     completeLevel,
     submitToLeaderboard,
+    survivalStats,
+    recordSurvivalRun,
+    submitSurvivalScore,
+    dailyStats,
+    runRecords,
+    endRun,
+    recordDailyResult,
+    submitDailyScore,
     progress,
     initAudio,
     playerName,
+    playerId,
     setPlayerName,
     totalScore,
     getPointsForAttempt,
-  } = useGameState(selectedLevelIndex);
+    getSpeedBonus,
+    getPlacementBonus,
+  } = useGameState(selectedLevelIndex, {
+    difficultyOverride: isDaily || isOnline ? DEFAULT_DIFFICULTY : null, // Shared puzzles stay identical
+    isPractice,
+    isOnline,
+    timeLeftRef,
+    sessionMode: gameState === GAME_STATE.PLAYING && (isCampaign || isPractice) ? gameMode : null, // Resumable after a reload
+  });
+
+  // Achievements (listens to GameEvents - keep above the effects that emit)
+  const { currentToast, dismissToast } = useAchievements({
+    unlocked: achievements,
+    onUnlock: unlockAchievements,
+    enabled: !isPassAndPlay && !isPractice, // Shared device / practice - nothing counts
+  });
+  const achievementCount = `${ACHIEVEMENTS.filter(a => achievements[a.id]).length}/${ACHIEVEMENTS.length}`;
+
+  // Opt-in cloud save (the local save keeps working offline)
+  const cloudSave = useCloudSave({ saveData, parseSave: parseSaveImport, mergeCloudSave, updateCloudSync });
+
+  // Survival run (shuffled level queue + levels cleared)
+  const survivalRun = useSurvivalRun(levels.length);
+  const [runStartBest, setRunStartBest] = useState(0); // Best score before this run started
+
+  // Daily challenge (seeded level subset, option order and modifier)
+  const dailyRun = useDailyChallenge();
+  const dailyModifier = isDaily ? dailyRun.challenge?.modifier.id : null;
+  const dailyLevelCount = dailyRun.challenge?.levelIndices.length ?? 0;
+  const todayKey = getDailyKey();
+  const todaysChallenge = useMemo(() => buildDailyChallenge(levels, todayKey), [levels, todayKey]);
+  const dailyStreak = getActiveStreak(dailyStats, todayKey);
+  const isDailyDone = Boolean(dailyStats.results[todayKey]?.completed);
+  const isDailyOver = isDaily && (gameOver || dailyRun.isFinished);
+
+  // Pass-and-play match (per-player lives and scores; useGameState runs the current turn)
+  const passAndPlay = usePassAndPlay();
+  const { match, currentPlayer } = passAndPlay;
+  const isHandoff = isPassAndPlay && match?.phase === MATCH_PHASES.HANDOFF;
+  const isPodium = isPassAndPlay && match?.phase === MATCH_PHASES.PODIUM;
+  const isPlayerOut = isPassAndPlay && gameOver && match?.phase === MATCH_PHASES.PLAYING;
+
+  // Online race (room, presence and the opponent's mirrored progress)
+  const onlineRace = useOnlineRace({
+    playerId,
+    playerName,
+    levels,
+    onRaceStart: (levelIndices, room) => handleOnlineRaceStart(levelIndices, room),
+  });
+  const { reportProgress } = onlineRace;
+  const isOnlineRacing = isOnline && onlineRace.isRacing;
+  const isOnlineDone = isOnlineRacing && (gameOver || onlineRace.isFinished);
+
+  // Clearing the last campaign level ends the campaign
+  const isFinalLevel = isCampaign && selectedLevelIndex === levels.length - 1;
+
+  // Option order - reseeded on every level start/reset (daily runs use the day's seed).
+  // With reshuffle on, a wrong guess reshuffles once its feedback clears.
+  const [optionSeed, setOptionSeed] = useState(createSeed);
+  const wrongGuesses = selectedOption || isLevelComplete ? Math.max(0, attempts - 1) : attempts;
+  const displayedOptions = useShuffledOptions(
+    activePart.options,
+    `${optionSeed}:${currentLevel.id}:${activePart.type}`,
+    settings.gameplay.reshuffleOnWrong ? wrongGuesses : 0
+  );
 
   // Asset preloader
   const { isReady: assetsReady, progress: loadProgress } = useAssetPreloader(
-    gameLevels[selectedLevelIndex],
+    currentLevel, // Includes distractors added by the difficulty tier
     selectedLevelIndex
   );
 
+  // Mistake review panel (game over)
+  const [showReview, setShowReview] = useState(false);
+
   // State for hover preview
-  const [previewMouth, setPreviewMouth] = useState(null);
+  const [previewOption, setPreviewOption] = useState(null);
+
+  // Drag-and-drop placement (stage drop target + the last scored drop)
+  const isDragMode = settings.gameplay.dragPlacement;
+  const stageRef = useRef(null);
+  const [lastDrop, setLastDrop] = useState(null);
+
+  // Silhouette hint flash (a new id replays it; only shown on the part it was used on)
+  const [silhouetteHint, setSilhouetteHint] = useState(null); // { id, levelId, partType }
+  const silhouetteKey = silhouetteHint?.levelId === currentLevel.id && silhouetteHint.partType === activePart.type
+    ? silhouetteHint.id
+    : null;
+  const canEliminate = activePart.options.length - 1 - eliminatedOptions.length > 1;
 
   // Show loading between level transitions
   const [isTransitioning, setIsTransitioning] = useState(false);
 
+  // Check if we should show loading (transitioning and assets not ready)
+  const showLoading = isTransitioning || (gameState === GAME_STATE.PLAYING && !assetsReady);
+
+  // Timed mode countdown - bumping timerRound restarts the clock
+  // (from the full limit, or from the seconds a resumed session had left)
+  const isTimedMode = !isPractice && (settings.gameplay.timedMode || dailyModifier === 'timed');
+  const [timerRound, setTimerRound] = useState(0);
+  const [timerStartAt, setTimerStartAt] = useState(null);
+  const restartTimer = (startAt = null) => {
+    setTimerStartAt(startAt);
+    setTimerRound(round => round + 1);
+  };
+
+  const { timeLeft } = useLevelTimer({
+    enabled: isTimedMode && gameState === GAME_STATE.PLAYING,
+    duration: GAME_CONFIG.LEVEL_TIME_LIMIT,
+    isPaused: showLoading || showSettings || showLeaderboard || showAd || isLevelComplete || gameOver || isDailyOver || isHandoff || isOnlineDone,
+    resetKey: `${selectedLevelIndex}:${timerRound}`,
+    startAt: timerStartAt,
+    onExpire: () => {
+      handleTimeExpired();
+      restartTimer(); // Fresh clock for the next try (stays paused on game over)
+    },
+  });
+
+  useEffect(() => {
+    timeLeftRef.current = timeLeft;
+  }, [timeLeft]);
+
   /**
    * Ad countdown timer effect
    */
@@ -101,24 +297,224 @@ function App() {
     return () => clearInterval(timer);
   }, [showAd]);
 
-  // Handle mouth hover for preview
-  const handleMouthHover = (mouth) => {
-    if (!isLevelComplete && !selectedMouth) {
-      setPreviewMouth(mouth);
+  // Online race: mirror a pick to the opponent
+  const reportOnlinePick = (optionId) => {
+    if (!isOnlineRacing || isLevelComplete || selectedOption || gameOver) return;
+    onlineRace.reportPick({
+      levelId: currentLevel.id,
+      partType: activePart.type,
+      optionId,
+      correct: optionId === activePart.correctOption,
+    });
+  };
+
+  // Pick an option (adds the speed bonus in timed mode)
+  const handlePickOption = (optionId) => {
+    reportOnlinePick(optionId);
+    setLastDrop(null);
+    handleOptionSelect(optionId, isTimedMode ? getSpeedBonus(timeLeft) : 0);
+  };
+
+  // Drag mode: pick the dropped option, with a placement bonus when it is the right one
+  const handleOptionDrop = ({ option, precision, offsetX, offsetY, scale }) => {
+    if (isLevelComplete || selectedOption || gameOver) return;
+
+    const isCorrect = option.id === activePart.correctOption;
+    const bonus = isCorrect ? getPlacementBonus(precision) : 0;
+    if (isCorrect) GameEvents.emit(GAME_EVENTS.PLACEMENT, { precision });
+    reportOnlinePick(option.id);
+    setLastDrop({ id: Date.now(), optionId: option.id, precision, offsetX, offsetY, scale, bonus });
+    handleOptionSelect(option.id, isTimedMode ? getSpeedBonus(timeLeft) : 0, bonus);
+  };
+
+  const { drag, startDrag } = useDragPlacement({
+    stageRef,
+    overlayStyle: activePart.overlayStyle,
+    onDrop: handleOptionDrop,
+  });
+
+  // Leaving or restarting ends a campaign run (the other modes end theirs on game over)
+  const endCampaignRun = () => {
+    if (isCampaign) endRun(GAME_MODES.CAMPAIGN);
+  };
+
+  // Restart the current level (try again / replay) - starts a new run
+  const handleRestartLevel = () => {
+    endCampaignRun();
+    setShowReview(false);
+    handleResetLevel();
+    restartTimer();
+    setOptionSeed(createSeed());
+  };
+
+  // Use a hint on the active part (eliminations follow the option seed, like the option order)
+  const handleUseHint = (hintType) => {
+    if (handleHint(hintType, optionSeed) && hintType === HINT_TYPES.SILHOUETTE) {
+      setSilhouetteHint({ id: Date.now(), levelId: currentLevel.id, partType: activePart.type });
+    }
+  };
+
+  // Switch the missing part being filled (multi-part levels)
+  const handleSelectPart = (partIndex) => {
+    setPreviewOption(null);
+    selectPart(partIndex);
+  };
+
+  // Handle option hover for preview
+  const handleOptionHover = (option) => {
+    if (!isLevelComplete && !selectedOption) {
+      setPreviewOption(option);
     }
   };
 
   // Start game from menu
   const handleStartGame = () => {
     initAudio(); // Initialize audio on first interaction
+    setGameMode(GAME_MODES.CAMPAIGN);
     setGameState(GAME_STATE.LEVEL_SELECT);
   };
 
-  // Select a level from the level select screen
-  const handleSelectLevel = (levelNumber) => {
+  // Continue the session saved before a reload (campaign or practice level in progress)
+  const handleResumeSession = () => {
+    initAudio();
+    setGameMode(savedSession.mode);
+    setIsPracticeOn(savedSession.mode === GAME_MODES.PRACTICE);
+    setIsTransitioning(true);
+    setSelectedLevelIndex(savedSession.levelIndex);
+    restoreSession();
+    restartTimer(savedSession.timeLeft);
+    setOptionSeed(createSeed());
+
+    setTimeout(() => {
+      setGameState(GAME_STATE.PLAYING);
+      setIsTransitioning(false);
+    }, 300);
+  };
+
+  // Start (or restart) a survival run from the first shuffled level
+  const handleStartSurvival = () => {
+    initAudio();
+    setGameMode(GAME_MODES.SURVIVAL);
+    setRunStartBest(survivalStats.bestScore);
+    setIsTransitioning(true);
+    setSelectedLevelIndex(survivalRun.startRun());
+    handleRestartLevel();
+
+    setTimeout(() => {
+      setGameState(GAME_STATE.PLAYING);
+      setIsTransitioning(false);
+    }, 300);
+  };
+
+  // Start (or retry) today's daily challenge
+  const handleStartDaily = () => {
+    initAudio();
+    setGameMode(GAME_MODES.DAILY);
+    setRunStartBest(dailyStats.results[todaysChallenge.dayKey]?.score || 0);
+    setIsTransitioning(true);
+    setSelectedLevelIndex(dailyRun.startChallenge(todaysChallenge));
+    handleResetLevel(todaysChallenge.modifier.id === 'oneLife' ? 1 : GAME_CONFIG.INITIAL_LIVES);
+    restartTimer();
+    setOptionSeed(todaysChallenge.optionSeed);
+
+    setTimeout(() => {
+      setGameState(GAME_STATE.PLAYING);
+      setIsTransitioning(false);
+    }, 300);
+  };
+
+  // Pass-and-play: every player gets the same shuffled levels (and option order)
+  const handleStartPassAndPlay = (names) => {
+    initAudio();
+    setGameMode(GAME_MODES.PASS_AND_PLAY);
+    setIsTransitioning(true);
+    const levelIndices = shuffle(levels.map((_, index) => index)).slice(0, GAME_CONFIG.PASS_AND_PLAY_ROUNDS);
+    const firstTurn = passAndPlay.startMatch(names, levelIndices);
+    setSelectedLevelIndex(firstTurn.levelIndex);
+    handleResetLevel(firstTurn.lives);
+    setOptionSeed(createSeed());
+
+    setTimeout(() => {
+      setGameState(GAME_STATE.PLAYING);
+      setIsTransitioning(false);
+    }, 300);
+  };
+
+  // Pass-and-play: the next player has the device
+  const handleBeginTurn = () => {
+    passAndPlay.beginTurn();
+    handleResetLevel(currentPlayer.lives); // Fresh level clock for this player
+    restartTimer();
+  };
+
+  // Pass-and-play: bank the turn and hand over (or finish on the podium)
+  const handleEndTurn = (cleared) => {
+    const nextTurn = passAndPlay.endTurn({ points: score, livesLeft: lives, cleared });
+    if (!nextTurn) {
+      handleResetLevel();
+      return;
+    }
+
+    setSelectedLevelIndex(nextTurn.levelIndex);
+    handleResetLevel(nextTurn.lives);
+  };
+
+  // Leave a pass-and-play match
+  const handleExitPassAndPlay = () => {
+    passAndPlay.endMatch();
+    handleBackToMenu();
+  };
+
+  // Online race: the host started it - both players begin on the first race level
+  const handleOnlineRaceStart = (levelIndices, room) => {
+    setGameMode(GAME_MODES.ONLINE);
+    setIsTransitioning(true);
+    setSelectedLevelIndex(levelIndices[0]);
+    handleResetLevel();
+    restartTimer();
+    setOptionSeed(`hamada-room-${room.code}-${room.seed}`); // Same option order for both players
+
+    setTimeout(() => {
+      setGameState(GAME_STATE.PLAYING);
+      setIsTransitioning(false);
+    }, 300);
+  };
+
+  // Online race: next race level, keeping lives and score
+  const handleOnlineLevelWon = () => {
+    const nextIndex = onlineRace.advance();
+    handleContinueRun();
+    if (nextIndex === null) return; // Done - results take over
+
     setIsTransitioning(true);
-    setSelectedLevelIndex(levelNumber - 1);
+    setSelectedLevelIndex(nextIndex);
+    restartTimer();
+
+    setTimeout(() => {
+      setIsTransitioning(false);
+    }, 500);
+  };
+
+  // Leave the room (forfeits a race in progress)
+  const handleExitOnline = () => {
+    onlineRace.leaveRoom();
+    handleBackToMenu();
+  };
+
+  // Leave the room and go back to the lobby for another race
+  const handleNewOnlineRace = () => {
+    onlineRace.leaveRoom();
     handleResetLevel();
+    setGameState(GAME_STATE.ONLINE_LOBBY);
+  };
+
+  // Select a level (by id) from the level select screen (the practice toggle
+  // picks the mode unless one is given)
+  const handleSelectLevel = (levelId, mode = isPracticeOn ? GAME_MODES.PRACTICE : GAME_MODES.CAMPAIGN) => {
+    setGameMode(mode);
+    setIsTransitioning(true);
+    setSelectedLevelIndex(levels.findIndex(level => level.id === levelId));
+    handleRestartLevel();
     
     // Small delay to show loading
     setTimeout(() => {
@@ -129,20 +525,144 @@ function App() {
 
   // Return to menu
   const handleBackToMenu = () => {
+    endCampaignRun();
     handleResetLevel();
     setGameState(GAME_STATE.MENU);
   };
 
+  // Replace the save with an imported one (the current run ends on the old save)
+  const handleImportSave = (state) => {
+    handleBackToMenu();
+    return importSave(state);
+  };
+
   // Return to level select
   const handleBackToLevelSelect = () => {
+    endCampaignRun();
+    setShowReview(false);
     handleResetLevel();
     setGameState(GAME_STATE.LEVEL_SELECT);
   };
 
+  // Practice: on to the next unlocked level without recording anything
+  const handlePracticeLevelWon = () => {
+    const nextLevel = levels[selectedLevelIndex + 1];
+    if (!nextLevel || !isLevelUnlocked(nextLevel.id)) {
+      handleBackToLevelSelect();
+      return;
+    }
+
+    setIsTransitioning(true);
+    setSelectedLevelIndex(selectedLevelIndex + 1);
+    handleRestartLevel();
+
+    setTimeout(() => {
+      setIsTransitioning(false);
+    }, 500);
+  };
+
+  // Survival: draw the next level, keeping lives and score (no ads, no unlocks)
+  const handleSurvivalLevelWon = () => {
+    setIsTransitioning(true);
+    setSelectedLevelIndex(survivalRun.advance(selectedLevelIndex));
+    handleContinueRun();
+    restartTimer();
+
+    setTimeout(() => {
+      setIsTransitioning(false);
+    }, 500);
+  };
+
+  // Record a finished survival run (score and levels are frozen once game over lands)
+  useEffect(() => {
+    if (isSurvival && gameOver) {
+      recordSurvivalRun(score, survivalRun.levelsCleared);
+    }
+  }, [isSurvival, gameOver, score, survivalRun.levelsCleared, recordSurvivalRun]);
+
+  // Daily: play the challenge's levels in order, keeping lives and score
+  const handleDailyLevelWon = () => {
+    const nextIndex = dailyRun.advance();
+    handleContinueRun();
+    if (nextIndex === null) return; // Challenge complete - summary takes over
+
+    setIsTransitioning(true);
+    setSelectedLevelIndex(nextIndex);
+    restartTimer();
+
+    setTimeout(() => {
+      setIsTransitioning(false);
+    }, 500);
+  };
+
+  // Record today's result once the challenge is completed or lost
+  useEffect(() => {
+    if (isDailyOver) {
+      recordDailyResult(dailyRun.challenge.dayKey, score, dailyRun.levelsCleared, dailyRun.isFinished);
+    }
+  }, [isDailyOver, score, dailyRun.challenge, dailyRun.levelsCleared, dailyRun.isFinished, recordDailyResult]);
+
+  // Runs end on game over (and when the daily challenge is done) - records them and emits RUN_END
+  useEffect(() => {
+    if ((gameOver && (isCampaign || isSurvival)) || isDailyOver) endRun(gameMode);
+  }, [gameOver, isCampaign, isSurvival, isDailyOver, gameMode, endRun]);
+
+  // Mirror this player's race progress to the room
+  useEffect(() => {
+    if (isOnlineRacing) {
+      reportProgress({ levelsCleared: onlineRace.levelsCleared, score, lives, finished: isOnlineDone });
+    }
+  }, [isOnlineRacing, onlineRace.levelsCleared, score, lives, isOnlineDone, reportProgress]);
+
+  // Achievement events derived from state (also catch up on progress made before an achievement existed)
+  useEffect(() => {
+    if (gameOver) GameEvents.emit(GAME_EVENTS.GAME_OVER, { mode: gameMode, score });
+  }, [gameOver, gameMode, score]);
+
+  useEffect(() => {
+    GameEvents.emit(GAME_EVENTS.CAMPAIGN_PROGRESS, {
+      completedLevels: progress.completedLevels.length,
+      levelCount: levels.length,
+      totalStars,
+    });
+  }, [progress.completedLevels.length, levels.length, totalStars]);
+
+  useEffect(() => {
+    GameEvents.emit(GAME_EVENTS.DAILY_STREAK, { streak: dailyStreak });
+  }, [dailyStreak]);
+
   // Handle level completion
   const handleLevelWon = () => {
-    const levelNumber = selectedLevelIndex + 1;
-    completeLevel(levelNumber, score);
+    if (isPassAndPlay) {
+      handleEndTurn(true);
+      return;
+    }
+    if (isOnline) {
+      handleOnlineLevelWon();
+      return;
+    }
+    if (isSurvival) {
+      handleSurvivalLevelWon();
+      return;
+    }
+    if (isDaily) {
+      handleDailyLevelWon();
+      return;
+    }
+    if (isPractice) {
+      handlePracticeLevelWon();
+      return;
+    }
+
+    completeLevel(currentLevel.id, levelScore, { hintsUsed: levelHintsUsed, stars: earnedStars, attempts, seconds: levelSeconds });
+
+    // Final level - straight to the ending screen (no ad)
+    if (isFinalLevel) {
+      endRun(GAME_MODES.CAMPAIGN);
+      handleResetLevel();
+      setGameState(GAME_STATE.CAMPAIGN_COMPLETE);
+      return;
+    }
     
     // Show ad immediately
     setShowAd(true);
@@ -151,11 +671,14 @@ function App() {
     setTimeout(() => {
       setShowAd(false);
       
-      // Auto-advance to next level if available
-      if (levelNumber < gameLevels.length && isLevelUnlocked(levelNumber + 1)) {
+      // Auto-advance to next level if available, keeping lives and the run
+      const nextLevel = levels[selectedLevelIndex + 1];
+      if (nextLevel && isLevelUnlocked(nextLevel.id)) {
         setIsTransitioning(true);
-        setSelectedLevelIndex(levelNumber);
-        handleResetLevel();
+        setSelectedLevelIndex(selectedLevelIndex + 1);
+        handleContinueRun();
+        restartTimer();
+        setOptionSeed(createSeed());
         
         setTimeout(() => {
           setIsTransitioning(false);
@@ -167,9 +690,6 @@ function App() {
     }, 3000);
   };
 
-  // Check if we should show loading (transitioning and assets not ready)
-  const showLoading = isTransitioning || (gameState === GAME_STATE.PLAYING && !assetsReady);
-
   // Build accessibility class names
   const accessibilityClasses = [
     settings.accessibility.reduceMotion ? 'reduce-motion' : '',
@@ -185,11 +705,11 @@ function App() {
     if (!settings.accessibility.screenReaderMode) return;
     
     if (isLevelComplete) {
-      setAnnouncement(`Correct! Level ${selectedLevelIndex + 1} complete. Score: ${score}`);
+      setAnnouncement(`Correct! Level ${currentLevel.id} complete. Score: ${score}`);
     } else if (gameOver) {
       setAnnouncement(`Game over. No lives remaining. Final score: ${score}`);
     }
-  }, [isLevelComplete, gameOver, settings.accessibility.screenReaderMode, selectedLevelIndex, score]);
+  }, [isLevelComplete, gameOver, settings.accessibility.screenReaderMode, currentLevel.id, score]);
 
   return (
     <div className={`h-[100dvh] w-full flex items-center justify-center p-2 sm:p-4 relative overflow-hidden ${accessibilityClasses}`}>
@@ -337,7 +857,29 @@ function App() {
               className="w-full h-full col-span-full row-span-full"
             >
               <MainMenu
+                savedSession={savedSession && {
+                  levelNumber: savedSession.levelId,
+                  celebrity: levels[savedSession.levelIndex].celebrity,
+                  lives: savedSession.lives,
+                  score: savedSession.run.score,
+                  isPractice: savedSession.mode === GAME_MODES.PRACTICE,
+                }}
+                onResumeSession={handleResumeSession}
+                onDiscardSession={discardSession}
                 onStartGame={handleStartGame}
+                onStartSurvival={handleStartSurvival}
+                survivalBest={survivalStats.bestScore}
+                onStartDaily={handleStartDaily}
+                dailyStreak={dailyStreak}
+                isDailyDone={isDailyDone}
+                dailyModifier={todaysChallenge.modifier}
+                onStartPassAndPlay={() => setGameState(GAME_STATE.PASS_AND_PLAY_SETUP)}
+                onStartOnline={() => {
+                  initAudio();
+                  setGameState(GAME_STATE.ONLINE_LOBBY);
+                }}
+                onOpenAchievements={() => setGameState(GAME_STATE.ACHIEVEMENTS)}
+                achievementCount={achievementCount}
                 isSoundMuted={isMuted}
                 onToggleSound={toggleMute}
                 onOpenSettings={() => setShowSettings(true)}
@@ -356,11 +898,108 @@ function App() {
               className="w-full h-full col-span-full row-span-full"
             >
               <LevelSelect
-                levels={gameLevels}
+                levels={levels}
+                packs={packs}
                 onSelectLevel={handleSelectLevel}
                 onBack={handleBackToMenu}
                 isLevelUnlocked={isLevelUnlocked}
                 isLevelCompleted={isLevelCompleted}
+                getLevelStars={getLevelStarRating}
+                totalStars={totalStars}
+                isPackUnlocked={isPackUnlocked}
+                difficulty={difficulty}
+                availableDifficulties={availableDifficulties}
+                onChangeDifficulty={(difficultyId) => updateSetting('gameplay.difficulty', difficultyId)}
+                getBestScore={getBestScore}
+                isPractice={isPracticeOn}
+                onTogglePractice={() => setIsPracticeOn(on => !on)}
+                bestRun={runRecords[GAME_MODES.CAMPAIGN]}
+              />
+            </motion.div>
+          )}
+
+          {/* ACHIEVEMENTS STATE */}
+          {gameState === GAME_STATE.ACHIEVEMENTS && (
+            <motion.div
+              key="achievements"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+              className="w-full h-full col-span-full row-span-full"
+            >
+              <AchievementsGallery
+                achievements={achievements}
+                onBack={() => setGameState(GAME_STATE.MENU)}
+              />
+            </motion.div>
+          )}
+
+          {/* PASS & PLAY SETUP STATE */}
+          {gameState === GAME_STATE.PASS_AND_PLAY_SETUP && (
+            <motion.div
+              key="passAndPlaySetup"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+              className="w-full h-full col-span-full row-span-full"
+            >
+              <PassAndPlaySetup
+                onStart={handleStartPassAndPlay}
+                onBack={() => setGameState(GAME_STATE.MENU)}
+              />
+            </motion.div>
+          )}
+
+          {/* ONLINE LOBBY STATE */}
+          {gameState === GAME_STATE.ONLINE_LOBBY && (
+            <motion.div
+              key="onlineLobby"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+              className="w-full h-full col-span-full row-span-full"
+            >
+              <OnlineLobby
+                isAvailable={onlineRace.isAvailable}
+                playerName={playerName}
+                roomCode={onlineRace.roomCode}
+                players={onlineRace.players}
+                hostId={onlineRace.room?.hostId}
+                isHost={onlineRace.isHost}
+                error={onlineRace.error}
+                isBusy={onlineRace.isBusy}
+                onCreateRoom={onlineRace.createRoom}
+                onJoinRoom={onlineRace.joinRoom}
+                onStartRace={onlineRace.startRace}
+                onLeaveRoom={onlineRace.leaveRoom}
+                onBack={() => setGameState(GAME_STATE.MENU)}
+              />
+            </motion.div>
+          )}
+
+          {/* CAMPAIGN COMPLETE STATE */}
+          {gameState === GAME_STATE.CAMPAIGN_COMPLETE && (
+            <motion.div
+              key="campaignComplete"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+              className="w-full h-full col-span-full row-span-full"
+            >
+              <CampaignComplete
+                levels={levels}
+                levelResults={progress.levelResults}
+                levelStars={progress.levelStars}
+                totalScore={totalScore}
+                totalStars={totalStars}
+                playerName={playerName}
+                onSubmitScore={submitToLeaderboard}
+                onPlayAgain={() => handleSelectLevel(levels[0].id, GAME_MODES.CAMPAIGN)}
+                onExit={handleBackToMenu}
               />
             </motion.div>
           )}
@@ -385,9 +1024,84 @@ function App() {
                 )}
               </AnimatePresence>
 
+              {/* SURVIVAL RUN SUMMARY */}
+              <RunSummary
+                isOpen={isSurvival && gameOver}
+                title="Run Over!"
+                score={score}
+                levelsCleared={survivalRun.levelsCleared}
+                bestScore={Math.max(runStartBest, score)}
+                isNewBest={score > runStartBest}
+                onPlayAgain={handleStartSurvival}
+                onExit={handleBackToMenu}
+                onSubmitScore={() => submitSurvivalScore(score, survivalRun.levelsCleared)}
+              />
+
+              {/* DAILY CHALLENGE SUMMARY */}
+              <RunSummary
+                isOpen={isDailyOver}
+                title={dailyRun.isFinished ? 'Daily Done!' : 'Out of Lives!'}
+                subtitle={dailyStreak > 0 ? `🔥 ${dailyStreak}-day streak` : 'Complete the challenge to start a streak'}
+                score={score}
+                levelsCleared={`${dailyRun.levelsCleared}/${dailyLevelCount}`}
+                bestScore={Math.max(runStartBest, score)}
+                isNewBest={runStartBest > 0 && score > runStartBest}
+                onPlayAgain={handleStartDaily}
+                playAgainLabel="Retry Today's Challenge"
+                onExit={handleBackToMenu}
+                onSubmitScore={() => submitDailyScore(dailyRun.challenge.dayKey, score, dailyRun.levelsCleared)}
+              />
+
+              {/* PASS & PLAY HANDOFF (before each turn) */}
+              {match && (
+                <PassAndPlayHandoff
+                  isOpen={isHandoff && !showLoading}
+                  title={`Pass to ${currentPlayer.name}`}
+                  subtitle={`Round ${match.round + 1}/${match.levelIndices.length}${match.lastTurn
+                    ? ` - ${match.players[match.lastTurn.playerIndex].name} scored ${match.lastTurn.points}`
+                    : ''}`}
+                  players={match.players}
+                  highlightIndex={match.turn}
+                  actionLabel={`I'm ${currentPlayer.name} - Go!`}
+                  onAction={handleBeginTurn}
+                />
+              )}
+
+              {/* PASS & PLAY PLAYER OUT */}
+              {match && (
+                <PassAndPlayHandoff
+                  isOpen={isPlayerOut}
+                  title={`${currentPlayer.name} is out!`}
+                  subtitle={`No lives left - ${score} points this turn`}
+                  players={match.players}
+                  actionLabel="Continue"
+                  onAction={() => handleEndTurn(false)}
+                />
+              )}
+
+              {/* PASS & PLAY PODIUM */}
+              {isPodium && (
+                <Podium
+                  players={match.players}
+                  onPlayAgain={() => handleStartPassAndPlay(match.players.map(player => player.name))}
+                  onExit={handleExitPassAndPlay}
+                />
+              )}
+
+              {/* ONLINE RACE RESULTS */}
+              <RaceResults
+                isOpen={isOnlineDone}
+                isRaceOver={onlineRace.isRaceOver}
+                standings={onlineRace.players}
+                playerId={playerId}
+                levelCount={onlineRace.levelCount}
+                onNewRace={handleNewOnlineRace}
+                onExit={handleExitOnline}
+              />
+
               {/* GAME OVER OVERLAY */}
               <AnimatePresence>
-                {gameOver && (
+                {gameOver && !isSurvival && !isDaily && !isPassAndPlay && !isOnline && (
                   <motion.div
                     initial={{ opacity: 0 }}
                     animate={{ opacity: 1 }}
@@ -421,7 +1135,7 @@ function App() {
 
                       <div className="space-y-3">
                         <motion.button
-                          onClick={handleResetLevel}
+                          onClick={handleRestartLevel}
                           className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
@@ -430,6 +1144,18 @@ function App() {
                           <span>Try Again</span>
                         </motion.button>
 
+                        {levelPicks.some(pick => !pick.correct) && (
+                          <motion.button
+                            onClick={() => setShowReview(true)}
+                            className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
+                            whileHover={{ scale: 1.02 }}
+                            whileTap={{ scale: 0.98 }}
+                          >
+                            <Eye className="w-5 h-5" />
+                            <span>Review Mistakes</span>
+                          </motion.button>
+                        )}
+
                         <motion.button
                           onClick={handleBackToLevelSelect}
                           className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
@@ -445,51 +1171,147 @@ function App() {
                 )}
               </AnimatePresence>
 
-              {/* HEADER - Row 1 (auto height) */}
-              <GameHeader
-                score={totalScore + score}
-                lives={lives}
-                currentLevel={selectedLevelIndex + 1}
-                totalLevels={gameLevels.length}
-                gameState={gameState}
-                goHome={handleBackToMenu}
-                isMuted={isMuted}
-                toggleMute={toggleMute}
-                onOpenLeaderboard={() => setShowLeaderboard(true)}
+              {/* MISTAKE REVIEW (over the game over overlay) */}
+              <MistakeReview
+                isOpen={showReview && gameOver}
+                level={currentLevel}
+                picks={levelPicks}
+                attempts={attempts}
+                onTryAgain={handleRestartLevel}
+                onClose={() => setShowReview(false)}
               />
 
+              {/* HEADER - Row 1 (auto height) */}
+              {isPassAndPlay && match ? (
+                <GameHeader
+                  score={currentPlayer.score + score}
+                  lives={lives}
+                  currentLevel={match.round + 1}
+                  totalLevels={match.levelIndices.length}
+                  gameState={gameState}
+                  goHome={handleExitPassAndPlay}
+                  isMuted={isMuted}
+                  toggleMute={toggleMute}
+                  timeLeft={timeLeft}
+                  timeLimit={GAME_CONFIG.LEVEL_TIME_LIMIT}
+                  playerLabel={`${currentPlayer.name}'s turn`}
+                />
+              ) : isOnline ? (
+                <GameHeader
+                  score={score}
+                  lives={lives}
+                  currentLevel={Math.min(onlineRace.levelsCleared + 1, onlineRace.levelCount)}
+                  totalLevels={onlineRace.levelCount}
+                  gameState={gameState}
+                  goHome={handleExitOnline}
+                  isMuted={isMuted}
+                  toggleMute={toggleMute}
+                  onOpenLeaderboard={() => setShowLeaderboard(true)}
+                  timeLeft={timeLeft}
+                  timeLimit={GAME_CONFIG.LEVEL_TIME_LIMIT}
+                />
+              ) : (
+                <GameHeader
+                  score={score}
+                  comboMultiplier={comboMultiplier}
+                  lives={lives}
+                  currentLevel={isSurvival ? survivalRun.levelsCleared + 1 : isDaily ? Math.min(dailyRun.levelsCleared + 1, dailyLevelCount) : currentLevel.id}
+                  totalLevels={isSurvival ? '∞' : isDaily ? dailyLevelCount : levels.length}
+                  gameState={gameState}
+                  goHome={handleBackToMenu}
+                  isMuted={isMuted}
+                  toggleMute={toggleMute}
+                  onOpenLeaderboard={() => setShowLeaderboard(true)}
+                  timeLeft={timeLeft}
+                  timeLimit={GAME_CONFIG.LEVEL_TIME_LIMIT}
+                  isPractice={isPractice}
+                />
+              )}
+
               {/* STAGE - Row 2 (flex to fill remaining space) */}
-              <div className="min-h-0 overflow-hidden bg-gradient-to-br from-purple-50 to-pink-50">
+              <div className="relative min-h-0 overflow-hidden bg-gradient-to-br from-purple-50 to-pink-50">
+                {!isPassAndPlay && (
+                  <HintMenu
+                    key={`${currentLevel.id}:${activePart.type}`} // Closed again on every part
+                    onUseHint={handleUseHint}
+                    canEliminate={canEliminate}
+                    hintsUsed={levelHintsUsed}
+                    disabled={isLevelComplete || gameOver || selectedOption !== null || showLoading}
+                  />
+                )}
+                {/* Practice: gentle nudge on a wrong pick */}
+                <AnimatePresence>
+                  {isPractice && selectedOption && selectedOption !== activePart.correctOption && (
+                    <motion.p
+                      key="nudge"
+                      className="absolute bottom-3 left-1/2 -translate-x-1/2 z-30 whitespace-nowrap bg-teal-400 text-white text-sm font-bold px-4 py-1.5 rounded-full border-2 border-white shadow-lg"
+                      initial={{ opacity: 0, y: 10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      exit={{ opacity: 0 }}
+                      role="status"
+                    >
+                      Not quite - try another one!
+                    </motion.p>
+                  )}
+                </AnimatePresence>
+                {isOnline && (
+                  <OpponentProgress opponent={onlineRace.opponent} levelCount={onlineRace.levelCount} />
+                )}
                 <GameStage
                   level={currentLevel}
                   isLevelComplete={isLevelComplete}
                   isShaking={isShaking}
-                  previewMouth={previewMouth}
-                  selectedMouth={selectedMouth}
+                  activePart={activePart}
+                  filledParts={filledParts}
+                  previewOption={previewOption}
+                  selectedOption={selectedOption}
+                  stageRef={stageRef}
+                  drop={isDragMode ? lastDrop : null}
+                  silhouetteKey={silhouetteKey}
                 />
               </div>
 
               {/* OPTIONS - Row 3 (auto height, constrained) */}
               <div className="flex-shrink-0">
                 <OptionGrid
-                  options={currentLevel.options}
-                  selectedMouth={selectedMouth}
-                  correctMouth={currentLevel.correctMouth}
+                  key={activePart.type} // Fresh grid (and entrance animation) for each part
+                  options={displayedOptions}
+                  partType={activePart.type}
+                  selectedOption={selectedOption}
+                  correctOption={activePart.correctOption}
                   isLevelComplete={isLevelComplete}
-                  onMouthSelect={handleMouthSelect}
-                  onMouthHover={handleMouthHover}
+                  onOptionSelect={handlePickOption}
+                  onOptionHover={isDragMode ? null : handleOptionHover}
+                  onOptionDragStart={isDragMode ? startDrag : null}
+                  eliminatedOptions={eliminatedOptions}
+                  parts={currentLevel.parts}
+                  activePartIndex={activePartIndex}
+                  filledParts={filledParts}
+                  onSelectPart={isSequence ? null : handleSelectPart}
+                  isSequence={isSequence}
                 />
               </div>
 
               {/* Win Modal */}
               <WinModal
                 isOpen={isLevelComplete}
-                score={score}
-                currentLevel={selectedLevelIndex + 1}
-                totalLevels={gameLevels.length}
+                score={isCampaign ? levelScore : score}
+                runScore={isCampaign ? score : null}
+                currentLevel={isPassAndPlay && match ? match.round + 1 : isOnline ? onlineRace.levelsCleared + 1 : currentLevel.id}
+                totalLevels={isPassAndPlay && match ? match.levelIndices.length : isOnline ? onlineRace.levelCount : levels.length}
                 onNextLevel={handleLevelWon}
-                onReplay={handleResetLevel}
-                isGameWon={false}
+                onReplay={isSurvival || isDaily || isPassAndPlay || isOnline ? null : handleRestartLevel}
+                steps={isSequence ? currentLevel.parts.map(part => ({
+                  label: PART_TYPES[part.type].label,
+                  attempts: partStats[part.type]?.attempts || 0,
+                  points: partStats[part.type]?.points || 0,
+                })) : null}
+                hintsUsed={levelHintsUsed}
+                difficulty={difficulty}
+                stars={isSurvival || isDaily || isPassAndPlay || isOnline || isPractice ? null : earnedStars}
+                nextLabel={isPassAndPlay ? 'Continue' : undefined}
+                isGameWon={isFinalLevel}
+                isPractice={isPractice}
               />
             </motion.div>
           )}
@@ -586,6 +1408,12 @@ function App() {
         </AnimatePresence>
       </motion.div>
 
+      {/* Achievement unlock toasts */}
+      <AchievementToast achievementId={currentToast} onDone={dismissToast} />
+
+      {/* Drag-and-drop ghost (follows the pointer over everything) */}
+      <DragGhost drag={drag} />
+
       {/* Settings Modal - Rendered at top level for full-screen overlay */}
       <SettingsModal
         isOpen={showSettings}
@@ -594,6 +1422,10 @@ function App() {
         updateSetting={updateSetting}
         updateSettings={updateSettings}
         onResetProgress={handleResetProgress}
+        saveData={saveData}
+        onParseImport={parseSaveImport}
+        onImportSave={handleImportSave}
+        cloudSave={cloudSave}
         gameState={gameState}
         goHome={handleBackToMenu}
         playerName={playerName}
@@ -605,6 +1437,7 @@ function App() {
         isOpen={showLeaderboard}
         onClose={() => setShowLeaderboard(false)}
         currentPlayerName={playerName}
+        initialCategory={LEADERBOARD_CATEGORIES[gameMode] ? gameMode : GAME_MODES.CAMPAIGN}
       />
     </div>
   );
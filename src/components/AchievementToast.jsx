@@ -0,0 +1,61 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { useEffect } from 'react';
+import { Award } from 'lucide-react';
+import { ACHIEVEMENTS } from '../data/achievements';
+
+const TOAST_DURATION_MS = 3000;
+
+/**
+ * AchievementToast Component
+ * Slides in from the top when an achievement unlocks, then dismisses itself.
+ */
+export const AchievementToast = ({ achievementId, onDone }) => {
+  const achievement = ACHIEVEMENTS.find(a => a.id === achievementId);
+
+  // Auto-dismiss (the next queued toast follows)
+  useEffect(() => {
+    if (!achievementId) return;
+    const timer = setTimeout(onDone, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [achievementId, onDone]);
+
+  return (
+    <AnimatePresence mode="wait">
+      {achievement && (
+        <motion.div
+          key={achievement.id}
+          className="fixed top-4 left-1/2 -translate-x-1/2 z-[70] w-[min(92vw,22rem)]"
+          initial={{ y: -80, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: -80, opacity: 0 }}
+          transition={{ type: 'spring', stiffness: 400, damping: 28 }}
+          role="status"
+          aria-live="polite"
+        >
+          <button
+            onClick={onDone}
+            className="w-full flex items-center gap-3 bg-white/95 backdrop-blur-sm rounded-3xl border-4 border-yellow-400 shadow-2xl px-4 py-3 text-left"
+          >
+            <motion.span
+              className="text-4xl"
+              animate={{ rotate: [0, -15, 15, -10, 0], scale: [1, 1.2, 1] }}
+              transition={{ duration: 0.8, delay: 0.2 }}
+            >
+              {achievement.emoji}
+            </motion.span>
+            <span className="flex-1 min-w-0">
+              <span className="flex items-center gap-1 text-[10px] font-bold uppercase tracking-wider text-orange-500">
+                <Award className="w-3 h-3" />
+                Achievement Unlocked
+              </span>
+              <span className="block font-extrabold text-purple-700 truncate">{achievement.title}</span>
+              <span className="block text-xs text-gray-600 truncate">{achievement.description}</span>
+            </span>
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default AchievementToast;
@@ -0,0 +1,92 @@
+import { motion } from 'framer-motion';
+import { ChevronLeft, Lock } from 'lucide-react';
+import { ACHIEVEMENTS } from '../data/achievements';
+
+/**
+ * Format an unlock timestamp as a short date
+ */
+const formatUnlockDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+/**
+ * AchievementsGallery Component
+ * Every achievement with its unlock date; locked ones are greyed out.
+ */
+export const AchievementsGallery = ({ achievements, onBack }) => {
+  const unlockedCount = ACHIEVEMENTS.filter(a => achievements[a.id]).length;
+
+  return (
+    <div className="absolute inset-0 z-40 bg-gradient-to-br from-purple-100 via-blue-50 to-pink-100 overflow-y-auto">
+      <div className="relative z-10 px-4 py-6 max-w-md mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <motion.button
+            onClick={onBack}
+            className="flex items-center gap-2 bg-white/80 backdrop-blur-sm px-4 py-2 rounded-full shadow-lg hover:shadow-xl transition-all duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <ChevronLeft className="w-5 h-5 text-purple-600" />
+            <span className="text-purple-600 font-semibold text-sm">Back</span>
+          </motion.button>
+
+          <div className="text-center">
+            <h2 className="text-2xl font-bold gradient-text">
+              Achievements
+            </h2>
+            <p className="text-xs font-semibold text-purple-500">
+              {unlockedCount}/{ACHIEVEMENTS.length} unlocked
+            </p>
+          </div>
+
+          <div className="w-20" /> {/* Spacer for centering */}
+        </div>
+
+        {/* Achievement Cards */}
+        <ul className="grid grid-cols-2 gap-3">
+          {ACHIEVEMENTS.map((achievement, index) => {
+            const unlockedAt = achievements[achievement.id];
+
+            return (
+              <motion.li
+                key={achievement.id}
+                className={`relative rounded-3xl p-4 text-center shadow-lg border-4 ${
+                  unlockedAt
+                    ? 'bg-white/90 border-yellow-400'
+                    : 'bg-gray-200/80 border-gray-300'
+                }`}
+                initial={{ opacity: 0, scale: 0.9 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ delay: index * 0.03, duration: 0.2 }}
+              >
+                <div className={`text-4xl mb-1 ${unlockedAt ? '' : 'grayscale opacity-40'}`}>
+                  {achievement.emoji}
+                </div>
+                {!unlockedAt && (
+                  <Lock className="absolute top-3 right-3 w-4 h-4 text-gray-500" />
+                )}
+                <p className={`font-bold text-sm ${unlockedAt ? 'text-purple-700' : 'text-gray-500'}`}>
+                  {achievement.title}
+                </p>
+                <p className="text-xs text-gray-600 mt-0.5">{achievement.description}</p>
+                {unlockedAt && (
+                  <p className="text-[10px] font-semibold text-orange-500 mt-2">
+                    {formatUnlockDate(unlockedAt)}
+                  </p>
+                )}
+              </motion.li>
+            );
+          })}
+        </ul>
+
+        {/* Bottom Spacing for Mobile */}
+        <div className="h-8" />
+      </div>
+    </div>
+  );
+};
+
+export default AchievementsGallery;
@@ -0,0 +1,141 @@
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import { Crown, Star, RefreshCw, Home, Send, Check } from 'lucide-react';
+import { MAX_STARS } from '../utils/stars';
+
+/**
+ * Format seconds as m:ss
+ */
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * CampaignComplete Component
+ * Ending screen once the final campaign level is cleared: total score,
+ * a per-level breakdown (best completion's attempts, time and stars)
+ * and a prompt to submit the campaign score to the leaderboard.
+ */
+export const CampaignComplete = ({
+  levels,
+  levelResults, // { [levelId]: { score, attempts, seconds } }
+  levelStars, // { [levelId]: stars }
+  totalScore,
+  totalStars,
+  playerName,
+  onSubmitScore,
+  onPlayAgain,
+  onExit,
+}) => {
+  const [submitState, setSubmitState] = useState('idle'); // idle | sending | sent
+
+  const handleSubmit = async () => {
+    setSubmitState('sending');
+    try {
+      await onSubmitScore();
+      setSubmitState('sent');
+    } catch (err) {
+      console.warn('[CampaignComplete] Failed to submit score:', err);
+      setSubmitState('idle');
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 bg-gradient-to-br from-yellow-100 via-orange-50 to-pink-100 overflow-y-auto">
+      <div className="relative z-10 text-center px-6 py-10 max-w-md mx-auto">
+        <motion.div
+          className="inline-flex items-center justify-center w-24 h-24 mb-4 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-full shadow-2xl border-4 border-white"
+          initial={{ scale: 0, rotate: -90 }}
+          animate={{ scale: 1, rotate: 0 }}
+          transition={{ type: 'spring', stiffness: 200, damping: 15 }}
+        >
+          <Crown className="w-12 h-12 text-white" strokeWidth={2.5} />
+        </motion.div>
+
+        <h1 className="text-5xl font-extrabold mb-1 gradient-text">
+          حمادة بيضحك!
+        </h1>
+        <p className="text-lg font-bold text-purple-700 mb-6">
+          You fixed every face, {playerName}!
+        </p>
+
+        {/* Campaign Totals */}
+        <div className="grid grid-cols-2 gap-2 bg-white/90 rounded-3xl border-4 border-yellow-400 p-4 mb-4 shadow-xl">
+          <div>
+            <p className="text-xs uppercase tracking-wider font-bold text-purple-500">Total Score</p>
+            <p className="text-3xl font-extrabold text-orange-500">{totalScore}</p>
+          </div>
+          <div>
+            <p className="text-xs uppercase tracking-wider font-bold text-purple-500">Stars</p>
+            <p className="text-3xl font-extrabold text-purple-600">
+              {totalStars}/{levels.length * MAX_STARS}
+            </p>
+          </div>
+        </div>
+
+        {/* Per-Level Breakdown */}
+        <ul className="bg-white/80 rounded-3xl p-3 mb-6 shadow-lg space-y-1 text-left">
+          {levels.map((level) => {
+            const result = levelResults[level.id];
+            const stars = levelStars[level.id] || 0;
+            return (
+              <li key={level.id} className="flex items-center gap-2 px-2 py-1.5 rounded-2xl text-sm">
+                <span className="w-6 font-black text-purple-400">{level.id}</span>
+                <span className="flex-1 min-w-0 truncate font-bold text-purple-700">{level.celebrity}</span>
+                <span className="w-14 text-right text-xs text-purple-400">
+                  {result ? `${result.attempts} ${result.attempts === 1 ? 'try' : 'tries'}` : '-'}
+                </span>
+                <span className="w-10 text-right text-xs text-purple-400">
+                  {result ? formatSeconds(result.seconds) : '-'}
+                </span>
+                <span className="flex" aria-label={`${stars} of ${MAX_STARS} stars`}>
+                  {Array.from({ length: MAX_STARS }).map((_, i) => (
+                    <Star key={i} className={`w-3.5 h-3.5 ${i < stars ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'}`} />
+                  ))}
+                </span>
+                <span className="w-10 text-right font-extrabold text-orange-500">{result?.score ?? '-'}</span>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="space-y-3">
+          {totalScore > 0 && (
+            <motion.button
+              onClick={handleSubmit}
+              disabled={submitState !== 'idle'}
+              className="w-full bg-gradient-to-r from-yellow-400 to-orange-400 text-yellow-900 font-bold text-lg py-4 px-6 rounded-3xl border-4 border-white flex items-center justify-center gap-2 shadow-xl disabled:opacity-70"
+              whileHover={{ scale: submitState === 'idle' ? 1.02 : 1 }}
+              whileTap={{ scale: submitState === 'idle' ? 0.98 : 1 }}
+            >
+              {submitState === 'sent' ? <Check className="w-5 h-5" /> : <Send className="w-5 h-5" />}
+              <span>
+                {submitState === 'sent' ? 'Score Submitted' : submitState === 'sending' ? 'Submitting...' : 'Submit to Leaderboard'}
+              </span>
+            </motion.button>
+          )}
+
+          <motion.button
+            onClick={onPlayAgain}
+            className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <RefreshCw className="w-6 h-6" />
+            <span>Play Again From Level 1</span>
+          </motion.button>
+
+          <motion.button
+            onClick={onExit}
+            className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <Home className="w-5 h-5" />
+            <span>Main Menu</span>
+          </motion.button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CampaignComplete;
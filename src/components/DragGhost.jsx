@@ -0,0 +1,31 @@
+/**
+ * DragGhost Component
+ * The option following the pointer in drag-and-drop mode, drawn at the
+ * size it would have on the face (times the player's resize).
+ */
+export const DragGhost = ({ drag }) => {
+  if (!drag) return null;
+
+  return (
+    <div
+      className="fixed z-[60] pointer-events-none"
+      style={{
+        left: drag.x,
+        top: drag.y,
+        width: drag.width * drag.scale,
+        transform: 'translate(-50%, -50%)',
+      }}
+      aria-hidden="true"
+    >
+      <img
+        src={drag.option.image}
+        alt=""
+        className={`block w-full h-auto object-contain rounded-lg shadow-2xl transition-opacity duration-100 ${
+          drag.isOverStage ? 'ring-4 ring-yellow-300' : 'opacity-80'
+        }`}
+      />
+    </div>
+  );
+};
+
+export default DragGhost;
@@ -1,5 +1,5 @@
 import { motion } from 'framer-motion';
-import { Heart, Trophy, Sparkles, Home, Volume2, VolumeX } from 'lucide-react';
+import { Heart, Trophy, Sparkles, Home, Volume2, VolumeX, Timer, User, GraduationCap, Infinity as InfinityIcon } from 'lucide-react';
 
 /**
  * GameHeader Component - REFACTORED CSS GRID VERSION
@@ -8,6 +8,11 @@ import { Heart, Trophy, Sparkles, Home, Volume2, VolumeX } from 'lucide-react';
  * - Left: Home button (fixed width)
  * - Center: Score/Level/Lives (flex, min-width-0 to allow shrinking)
  * - Right: Sound button (fixed width)
+ *
+ * In timed mode (timeLeft !== null) a countdown pill joins the center column.
+ * In pass-and-play, `playerLabel` names whose turn it is below the grid.
+ * In practice (`isPractice`) lives show as unlimited and a badge says the run doesn't count.
+ * A run combo above x1 (`comboMultiplier`) shows next to the score.
  */
 export const GameHeader = ({ 
   score, 
@@ -18,8 +23,17 @@ export const GameHeader = ({
   goHome, 
   isMuted, 
   toggleMute,
-  onOpenLeaderboard 
+  onOpenLeaderboard,
+  timeLeft = null,
+  timeLimit = 0,
+  playerLabel = null,
+  isPractice = false,
+  comboMultiplier = 1
 }) => {
+  const isTimed = timeLeft !== null;
+  const secondsLeft = Math.ceil(timeLeft ?? 0);
+  const isRunningOut = isTimed && secondsLeft <= 5;
+
   return (
     <header className="w-full px-2 py-2 bg-white/80 backdrop-blur-sm border-b-4 border-purple-200 flex-shrink-0">
       {/* CSS Grid: 3 columns - fixed | flexible | fixed */}
@@ -54,6 +68,17 @@ export const GameHeader = ({
           >
             <Trophy className="w-3.5 h-3.5 text-orange-700" />
             <span className="text-orange-800 font-bold text-sm">{score}</span>
+            {comboMultiplier > 1 && (
+              <motion.span
+                key={comboMultiplier} // Pops on every step up
+                className="text-[10px] font-black text-white bg-orange-500 rounded-full px-1"
+                initial={{ scale: 1.6 }}
+                animate={{ scale: 1 }}
+                aria-label={`Combo times ${comboMultiplier.toFixed(1)}`}
+              >
+                ×{comboMultiplier.toFixed(1)}
+              </motion.span>
+            )}
           </motion.button>
 
           {/* Level Indicator */}
@@ -67,9 +92,17 @@ export const GameHeader = ({
             </span>
           </div>
 
-          {/* Lives */}
-          <div className="flex items-center gap-0.5 bg-gradient-to-r from-pink-300 to-red-300 px-2 py-1 rounded-full border-2 border-white shadow-sm flex-shrink-0">
-            {Array.from({ length: 3 }).map((_, index) => (
+          {/* Lives (unlimited in practice) */}
+          <div
+            className="flex items-center gap-0.5 bg-gradient-to-r from-pink-300 to-red-300 px-2 py-1 rounded-full border-2 border-white shadow-sm flex-shrink-0"
+            aria-label={isPractice ? 'Unlimited lives' : undefined}
+          >
+            {isPractice ? (
+              <>
+                <Heart className="w-3.5 h-3.5 text-red-600 fill-red-500" />
+                <InfinityIcon className="w-3.5 h-3.5 text-red-700" />
+              </>
+            ) : Array.from({ length: 3 }).map((_, index) => (
               <motion.div
                 key={index}
                 initial={{ scale: 1 }}
@@ -89,6 +122,29 @@ export const GameHeader = ({
               </motion.div>
             ))}
           </div>
+
+          {/* Countdown (timed mode only) */}
+          {isTimed && (
+            <motion.div
+              className={`relative flex items-center gap-0.5 px-2 py-1 rounded-full border-2 border-white shadow-sm flex-shrink-0 overflow-hidden ${
+                isRunningOut ? 'bg-red-400' : 'bg-gradient-to-r from-blue-300 to-purple-300'
+              }`}
+              animate={isRunningOut ? { scale: [1, 1.08, 1] } : { scale: 1 }}
+              transition={isRunningOut ? { duration: 0.5, repeat: Infinity } : { duration: 0.15 }}
+              role="timer"
+              aria-label={`${secondsLeft} seconds left`}
+            >
+              {/* Remaining-time fill */}
+              <div
+                className="absolute inset-y-0 left-0 bg-white/30"
+                style={{ width: `${timeLimit > 0 ? (timeLeft / timeLimit) * 100 : 0}%` }}
+              />
+              <Timer className={`relative w-3.5 h-3.5 ${isRunningOut ? 'text-white' : 'text-purple-700'}`} />
+              <span className={`relative font-bold text-sm tabular-nums ${isRunningOut ? 'text-white' : 'text-purple-800'}`}>
+                {secondsLeft}s
+              </span>
+            </motion.div>
+          )}
         </div>
 
         {/* Right Column: Sound Button */}
@@ -108,6 +164,26 @@ export const GameHeader = ({
           </motion.button>
         </div>
       </div>
+
+      {/* Practice badge */}
+      {isPractice && (
+        <div className="flex justify-center mt-1">
+          <span className="flex items-center gap-1 bg-gradient-to-r from-teal-400 to-emerald-400 text-white px-3 py-0.5 rounded-full border-2 border-white shadow-sm text-xs font-bold">
+            <GraduationCap className="w-3 h-3 flex-shrink-0" />
+            <span>Practice - doesn't count</span>
+          </span>
+        </div>
+      )}
+
+      {/* Current player (pass-and-play only) */}
+      {playerLabel && (
+        <div className="flex justify-center mt-1">
+          <span className="flex items-center gap-1 max-w-full bg-gradient-to-r from-purple-400 to-pink-400 text-white px-3 py-0.5 rounded-full border-2 border-white shadow-sm text-xs font-bold">
+            <User className="w-3 h-3 flex-shrink-0" />
+            <span className="truncate">{playerLabel}</span>
+          </span>
+        </div>
+      )}
     </header>
   );
 };
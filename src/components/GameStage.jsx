@@ -1,20 +1,42 @@
 import { motion, AnimatePresence } from 'framer-motion';
 import { useState, useEffect, useRef } from 'react';
+import { getOverlayStyle } from '../utils/overlay';
+import { PART_TYPES } from '../data/levelSchema';
+import { GAME_CONFIG } from '../data/gameData';
+
+/**
+ * Feedback label for a drag-and-drop placement
+ */
+const getPlacementLabel = (precision) => {
+  if (precision >= 0.9) return 'Perfect!';
+  if (precision >= GAME_CONFIG.PLACEMENT_SNAP_PRECISION) return 'Great!';
+  return 'Placed';
+};
 
 /**
  * GameStage Component - FIXED VERSION
  * 
  * Fixes:
  * - NO toggling/fading on base image - stays solid at 100% opacity
- * - Mouth overlay properly centered and smaller (40% width)
+ * - Part overlays placed with each part's overlayStyle (plus per-option adjustments)
+ * - Restored parts stay composited on the face until the level is won
  * - Complete image fades in smoothly on win
+ * - Drag mode: a dropped option glides from the drop point into place
+ *   (springy snap-and-settle on a precise drop) with a bonus badge
+ * - Silhouette hint: briefly flashes the correct option's outline in place
  */
 export const GameStage = ({ 
   level, 
   isLevelComplete, 
   isShaking, 
-  previewMouth = null,
-  selectedMouth = null
+  activePart = null,
+  filledParts = {},
+  previewOption = null,
+  selectedOption = null,
+  stageRef = null,
+  drop = null,
+  silhouetteKey = null,
+  children = null
 }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
   const prevLevelId = useRef(level?.id);
@@ -27,16 +49,29 @@ export const GameStage = ({
     }
   }, [level?.id]);
 
-  // Get the mouth to display (preview/selected during gameplay only)
-  const displayMouth = isLevelComplete 
+  // Get the option to display on the active part (preview/selected during gameplay only)
+  const displayOption = isLevelComplete || !activePart
     ? null  // Don't show overlay when complete
-    : previewMouth || (selectedMouth && level.options.find(opt => opt.id === selectedMouth));
+    : previewOption || (selectedOption && activePart.options.find(opt => opt.id === selectedOption));
+
+  // Drop that placed the displayed option (drag mode) - the overlay starts where it was released
+  const dropFrom = displayOption && drop?.optionId === displayOption.id ? drop : null;
+  const isSnap = dropFrom && dropFrom.precision >= GAME_CONFIG.PLACEMENT_SNAP_PRECISION;
+
+  // Correct option of the active part (silhouette hint)
+  const correctOption = activePart?.options.find(opt => opt.id === activePart.correctOption);
+
+  // Parts already restored (composited until the complete image takes over)
+  const restoredParts = level.parts
+    .filter(part => part !== activePart && filledParts[part.type])
+    .map(part => ({ part, option: part.options.find(opt => opt.id === filledParts[part.type]) }))
+    .filter(({ option }) => option);
 
   return (
     <div className={`flex-1 flex items-center justify-center px-3 py-3 ${isShaking ? 'shake' : ''} min-h-0 h-full`}>
       <div className="relative w-full max-w-sm h-full flex items-center justify-center">
         {/* Image Container with fixed aspect ratio */}
-        <div className="image-container rounded-3xl overflow-hidden shadow-xl border-4 border-white/50 relative">
+        <div ref={stageRef} className="image-container rounded-3xl overflow-hidden shadow-xl border-4 border-white/50 relative">
           
           {/* Base Image - ALWAYS 100% opacity, no transitions, no toggling */}
           <img
@@ -61,30 +96,84 @@ export const GameStage = ({
             />
           )}
 
-          {/* Mouth Overlay - CENTERED and smaller */}
-          <AnimatePresence mode="wait">
-            {displayMouth && !isLevelComplete && (
-              <motion.div
-                key={displayMouth.id}
-                className="absolute inset-0 flex items-center justify-center z-10 pointer-events-none"
-                initial={{ opacity: 0, scale: 0.9 }}
+          {/* Restored Parts */}
+          {!isLevelComplete && restoredParts.map(({ part, option }) => (
+            <div
+              key={part.type}
+              className="z-10 pointer-events-none"
+              style={getOverlayStyle(part.overlayStyle, option.overlay)}
+            >
+              <motion.img
+                src={option.image}
+                alt={`${PART_TYPES[part.type]?.label || part.type} restored`}
+                className="block w-full h-auto object-contain rounded-lg"
+                initial={{ opacity: 0.6, scale: 1.1 }}
                 animate={{ opacity: 1, scale: 1 }}
-                exit={{ opacity: 0, scale: 0.95 }}
-                transition={{ duration: 0.08 }}
+                transition={{ duration: 0.2 }}
+              />
+            </div>
+          ))}
+
+          {/* Active Part Overlay - Positioned on the face via the part's overlayStyle */}
+          <AnimatePresence mode="wait">
+            {displayOption && !isLevelComplete && (
+              <div
+                key={displayOption.id}
+                className="z-10 pointer-events-none"
+                style={getOverlayStyle(activePart.overlayStyle, displayOption.overlay)}
               >
-                <img
-                  src={displayMouth.image}
-                  alt="Mouth preview"
-                  className="object-contain rounded-lg shadow-lg"
-                  style={{
-                    width: '40%',  // Smaller - 40% of container
-                    maxHeight: '30%',
-                  }}
+                <motion.img
+                  src={displayOption.image}
+                  alt={`${PART_TYPES[activePart.type]?.label || activePart.type} preview`}
+                  className="block w-full h-auto object-contain rounded-lg shadow-lg"
+                  initial={dropFrom
+                    ? { opacity: 1, x: dropFrom.offsetX, y: dropFrom.offsetY, scale: dropFrom.scale }
+                    : { opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, x: 0, y: 0, scale: 1 }}
+                  exit={{ opacity: 0, scale: 0.95 }}
+                  transition={isSnap
+                    ? { type: 'spring', stiffness: 500, damping: 12 } // Snap and settle
+                    : { duration: dropFrom ? 0.3 : 0.08, ease: 'easeOut' }}
                 />
-              </motion.div>
+              </div>
             )}
           </AnimatePresence>
 
+          {/* Silhouette Hint - flashes once per use (new key) */}
+          {silhouetteKey !== null && correctOption && !isLevelComplete && (
+            <div
+              key={silhouetteKey}
+              className="z-20 pointer-events-none"
+              style={getOverlayStyle(activePart.overlayStyle, correctOption.overlay)}
+            >
+              <motion.img
+                src={correctOption.image}
+                alt=""
+                className="block w-full h-auto object-contain"
+                style={{ filter: 'brightness(0) invert(1) drop-shadow(0 0 6px rgba(250, 204, 21, 0.9))' }}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: [0, 0.85, 0.85, 0] }}
+                transition={{ duration: 1.5, times: [0, 0.15, 0.7, 1] }}
+              />
+            </div>
+          )}
+
+          {/* Placement Badge (drag mode, correct drops) */}
+          {drop?.bonus > 0 && (
+            <motion.div
+              key={drop.id}
+              className="absolute top-3 left-1/2 -translate-x-1/2 z-20 pointer-events-none bg-gradient-to-r from-yellow-400 to-orange-400 text-white text-sm font-extrabold px-3 py-1 rounded-full shadow-lg border-2 border-white whitespace-nowrap"
+              initial={{ opacity: 0, y: -8, scale: 0.8 }}
+              animate={{ opacity: [0, 1, 1, 0], y: 0, scale: 1 }}
+              transition={{ duration: 1.4, times: [0, 0.15, 0.75, 1] }}
+            >
+              {getPlacementLabel(drop.precision)} +{drop.bonus}
+            </motion.div>
+          )}
+
+          {/* Extra stage layers (e.g. editor handles) */}
+          {children}
+
           {/* Loading Skeleton */}
           {!imageLoaded && (
             <div className="absolute inset-0 bg-gradient-to-br from-purple-200 to-pink-200 animate-pulse rounded-3xl" />
@@ -0,0 +1,80 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState } from 'react';
+import { Lightbulb, EyeOff, Sparkles } from 'lucide-react';
+import { GAME_CONFIG, HINT_TYPES } from '../data/gameData';
+
+// Hints offered in the menu, in display order
+const HINTS = [
+  { type: HINT_TYPES.ELIMINATE, label: 'Remove a wrong option', icon: <EyeOff className="w-4 h-4 flex-shrink-0" /> },
+  { type: HINT_TYPES.SILHOUETTE, label: 'Flash the silhouette', icon: <Sparkles className="w-4 h-4 flex-shrink-0" /> },
+];
+
+/**
+ * HintMenu Component
+ * Lightbulb button on the stage that opens the list of hints and their cost.
+ */
+export const HintMenu = ({
+  onUseHint,
+  canEliminate = true,
+  hintsUsed = 0,
+  disabled = false,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleUseHint = (hintType) => {
+    setIsOpen(false);
+    onUseHint(hintType);
+  };
+
+  return (
+    <div className="absolute top-3 right-3 z-40">
+      <motion.button
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        className="relative w-10 h-10 rounded-full bg-gradient-to-br from-yellow-300 to-amber-400 border-3 border-white shadow-lg flex items-center justify-center disabled:opacity-50"
+        whileHover={!disabled ? { scale: 1.1 } : {}}
+        whileTap={!disabled ? { scale: 0.9 } : {}}
+        aria-label="Hints"
+        aria-expanded={isOpen}
+      >
+        <Lightbulb className="w-5 h-5 text-amber-800" />
+        {hintsUsed > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full bg-purple-500 text-white text-[10px] font-bold flex items-center justify-center border-2 border-white">
+            {hintsUsed}
+          </span>
+        )}
+      </motion.button>
+
+      <AnimatePresence>
+        {isOpen && !disabled && (
+          <motion.ul
+            className="absolute right-0 mt-2 w-56 bg-white/95 backdrop-blur-sm rounded-2xl border-4 border-yellow-300 shadow-xl p-1.5 space-y-1"
+            initial={{ opacity: 0, y: -6, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: -6, scale: 0.95 }}
+            transition={{ duration: 0.12 }}
+          >
+            {HINTS.map(({ type, label, icon }) => {
+              const isAvailable = type !== HINT_TYPES.ELIMINATE || canEliminate;
+              return (
+                <li key={type}>
+                  <button
+                    onClick={() => handleUseHint(type)}
+                    disabled={!isAvailable}
+                    className="w-full flex items-center gap-2 px-3 py-2 rounded-xl text-left text-sm font-semibold text-purple-700 hover:bg-yellow-100 disabled:opacity-40 disabled:hover:bg-transparent"
+                  >
+                    {icon}
+                    <span className="flex-1">{label}</span>
+                    <span className="text-xs font-bold text-red-500">-{GAME_CONFIG.HINT_COSTS[type]}</span>
+                  </button>
+                </li>
+              );
+            })}
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default HintMenu;
@@ -1,7 +1,7 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { Trophy, Medal, Crown, X, RefreshCw, User, Clock } from 'lucide-react';
+import { Trophy, Medal, Crown, X, RefreshCw, User, Clock, Lightbulb } from 'lucide-react';
 import { useState, useEffect } from 'react';
-import { LeaderboardService } from '../services/firebase';
+import { LeaderboardService, LEADERBOARD_CATEGORIES } from '../services/firebase';
 
 /**
  * Leaderboard Component - Global Rankings
@@ -11,11 +11,20 @@ import { LeaderboardService } from '../services/firebase';
  * - Top 50 players worldwide
  * - Highlights current player
  * - Medal icons for top 3
+ * - Separate tabs per game mode category
  */
-export const Leaderboard = ({ isOpen, onClose, currentPlayerName }) => {
+export const Leaderboard = ({ isOpen, onClose, currentPlayerName, initialCategory = 'campaign' }) => {
   const [scores, setScores] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [category, setCategory] = useState(initialCategory);
+  const [wasOpen, setWasOpen] = useState(isOpen);
+
+  // Jump to the requested category each time the modal opens
+  if (wasOpen !== isOpen) {
+    setWasOpen(isOpen);
+    if (isOpen) setCategory(initialCategory);
+  }
 
   // Subscribe to real-time leaderboard updates
   useEffect(() => {
@@ -27,16 +36,16 @@ export const Leaderboard = ({ isOpen, onClose, currentPlayerName }) => {
     const unsubscribe = LeaderboardService.subscribeToLeaderboard((newScores) => {
       setScores(newScores);
       setIsLoading(false);
-    }, 50);
+    }, 50, category);
 
     return () => unsubscribe();
-  }, [isOpen]);
+  }, [isOpen, category]);
 
   // Refresh leaderboard manually
   const handleRefresh = async () => {
     setIsLoading(true);
     try {
-      const newScores = await LeaderboardService.getTopScores(50);
+      const newScores = await LeaderboardService.getTopScores(50, category);
       setScores(newScores);
     } catch (err) {
       setError('Failed to load leaderboard');
@@ -137,6 +146,25 @@ export const Leaderboard = ({ isOpen, onClose, currentPlayerName }) => {
             </div>
           </div>
 
+          {/* Category Tabs */}
+          <div className="flex gap-2 px-4 pt-3" role="tablist">
+            {Object.entries(LEADERBOARD_CATEGORIES).map(([key, { label }]) => (
+              <button
+                key={key}
+                role="tab"
+                aria-selected={category === key}
+                onClick={() => setCategory(key)}
+                className={`flex-1 py-1.5 rounded-full text-sm font-bold transition-colors ${
+                  category === key
+                    ? 'bg-purple-500 text-white shadow'
+                    : 'bg-purple-100 text-purple-600 hover:bg-purple-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
           {/* Content */}
           <div className="flex-1 overflow-y-auto p-4">
             {isLoading ? (
@@ -190,6 +218,15 @@ export const Leaderboard = ({ isOpen, onClose, currentPlayerName }) => {
                         </div>
                         <div className="flex items-center gap-2 text-xs text-gray-400 mt-0.5">
                           <span>Lvl {entry.levelsCompleted || '?'}</span>
+                          {entry.hintsUsed > 0 && (
+                            <>
+                              <span>•</span>
+                              <span className="flex items-center gap-0.5" title="Hints used">
+                                <Lightbulb className="w-3 h-3" />
+                                {entry.hintsUsed}
+                              </span>
+                            </>
+                          )}
                           <span>•</span>
                           <Clock className="w-3 h-3" />
                           <span>{formatTime(entry.timestamp)}</span>
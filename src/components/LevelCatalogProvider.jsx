@@ -0,0 +1,99 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { AlertTriangle, RefreshCw } from 'lucide-react';
+import { LevelCatalogContext } from '../hooks/useLevelCatalog';
+import { LevelPackLoader } from '../services/LevelPackLoader';
+import { LoadingTransition } from './LoadingTransition';
+
+/**
+ * LevelCatalogProvider Component
+ *
+ * Loads the level packs once and exposes the merged catalog through
+ * LevelCatalogContext. Children only render once at least one valid
+ * pack is loaded, so consumers can rely on a non-empty level list.
+ */
+export const LevelCatalogProvider = ({ children }) => {
+  const [state, setState] = useState({ status: 'loading', catalog: null, error: null });
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    LevelPackLoader.loadCatalog()
+      .then((catalog) => {
+        if (cancelled) return;
+        if (catalog.levels.length === 0) {
+          setState({ status: 'error', catalog, error: 'No valid level packs could be loaded.' });
+        } else {
+          setState({ status: 'ready', catalog, error: null });
+        }
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn('[LevelCatalogProvider] Failed to load levels:', err);
+        setState({ status: 'error', catalog: null, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadKey]);
+
+  const reload = useCallback(() => {
+    setState({ status: 'loading', catalog: null, error: null });
+    setReloadKey(key => key + 1);
+  }, []);
+
+  const value = useMemo(() => state.catalog && {
+    levels: state.catalog.levels,
+    packs: state.catalog.packs,
+    errors: state.catalog.errors,
+    reload,
+  }, [state.catalog, reload]);
+
+  if (state.status === 'ready') {
+    return (
+      <LevelCatalogContext.Provider value={value}>
+        {children}
+      </LevelCatalogContext.Provider>
+    );
+  }
+
+  return (
+    <div className="h-[100dvh] w-full relative overflow-hidden">
+      <AnimatePresence>
+        {state.status === 'loading' ? (
+          <LoadingTransition key="loading" progress={0} message="Loading levels..." />
+        ) : (
+          <motion.div
+            key="error"
+            className="absolute inset-0 flex items-center justify-center p-6 bg-gradient-to-br from-red-100 via-pink-50 to-orange-100"
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+          >
+            <div className="max-w-md w-full bg-white/90 rounded-3xl shadow-xl border-4 border-red-200 p-6 text-center">
+              <AlertTriangle className="w-12 h-12 text-red-500 mx-auto mb-3" />
+              <h1 className="text-2xl font-bold text-red-600 mb-2">Levels failed to load</h1>
+              <p className="text-gray-700 text-sm mb-4">{state.error}</p>
+              {state.catalog?.errors?.length > 0 && (
+                <pre className="text-left text-xs text-gray-600 bg-red-50 rounded-xl p-3 mb-4 max-h-48 overflow-auto whitespace-pre-wrap">
+                  {state.catalog.errors.join('\n\n')}
+                </pre>
+              )}
+              <motion.button
+                onClick={reload}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold py-3 rounded-3xl flex items-center justify-center gap-2 border-4 border-white shadow-lg"
+                whileTap={{ scale: 0.95 }}
+              >
+                <RefreshCw className="w-5 h-5" />
+                Try Again
+              </motion.button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default LevelCatalogProvider;
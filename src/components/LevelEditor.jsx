@@ -0,0 +1,644 @@
+import { motion } from 'framer-motion';
+import { useState, useRef } from 'react';
+import { ImagePlus, Download, Copy, Check, Trash2, Move, FolderOpen, Plus, ChevronLeft } from 'lucide-react';
+import { GameStage } from './GameStage';
+import { OptionGrid } from './OptionGrid';
+import { useLevelCatalog } from '../hooks/useLevelCatalog';
+import { DEFAULT_OVERLAY_STYLE, getOverlayStyle } from '../utils/overlay';
+import { PART_TYPES } from '../data/levelSchema';
+
+const CENTERED_TRANSFORM = 'translate(-50%, -50%)';
+const NUDGE_STEP = 0.5; // % per arrow key press
+
+/**
+ * Round a percentage to one decimal place
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Strip the folder from an asset path or file name
+ */
+const fileName = (path) => path.split('/').pop();
+
+/**
+ * Convert a level's overlayStyle into editable numbers
+ */
+const toEditableOverlay = (overlayStyle = DEFAULT_OVERLAY_STYLE) => ({
+  top: parseFloat(overlayStyle.top) || 0,
+  left: parseFloat(overlayStyle.left) || 0,
+  width: parseFloat(overlayStyle.width) || 0,
+  transform: overlayStyle.transform,
+});
+
+/**
+ * Convert editable numbers back into the level pack overlayStyle shape
+ */
+const toOverlayStyle = (overlay) => ({
+  top: `${round(overlay.top)}%`,
+  left: `${round(overlay.left)}%`,
+  width: `${round(overlay.width)}%`,
+  ...(overlay.transform ? { transform: overlay.transform } : {}),
+});
+
+/**
+ * A blank part of the given type
+ */
+const createPart = (type) => ({
+  type,
+  overlay: toEditableOverlay(),
+  options: [], // [{ id, name, url, aspect, overlay }]
+  correctOption: null,
+});
+
+/**
+ * LevelEditor Component - DEV TOOL
+ *
+ * Visual level builder reachable at /editor in development:
+ * - Load a base image, complete image and one or more parts (or an existing level)
+ * - Each part (mouth, eyes, nose, ...) gets its own option images
+ * - Sequence levels restore the parts in the listed order
+ * - Drag/resize the overlay box on the stage to calibrate the active part
+ * - Click an option to mark it correct, hover to preview it on the face
+ * - Export a level object in the level pack schema
+ */
+export const LevelEditor = () => {
+  const { levels } = useLevelCatalog();
+  const [levelId, setLevelId] = useState(levels.length + 1);
+  const [celebrity, setCelebrity] = useState('');
+  const [baseImage, setBaseImage] = useState(null); // { name, url }
+  const [completeImage, setCompleteImage] = useState(null); // { name, url }
+  const [parts, setParts] = useState([createPart('mouth')]);
+  const [partIndex, setPartIndex] = useState(0);
+  const [isSequence, setIsSequence] = useState(false);
+  const [previewOption, setPreviewOption] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // The part being edited
+  const { type: partType, overlay, options, correctOption } = parts[partIndex];
+  const unusedPartTypes = Object.keys(PART_TYPES).filter(type => !parts.some(part => part.type === type));
+
+  /**
+   * Update one field of the active part (value or updater function)
+   */
+  const updatePart = (key, value) => {
+    setParts(prev => prev.map((part, index) => (
+      index === partIndex
+        ? { ...part, [key]: typeof value === 'function' ? value(part[key]) : value }
+        : part
+    )));
+  };
+  const setOverlay = (value) => updatePart('overlay', value);
+  const setOptions = (value) => updatePart('options', value);
+  const setCorrectOption = (value) => updatePart('correctOption', value);
+
+  // Active drag/resize gesture
+  const gestureRef = useRef(null);
+
+  const assetPath = (name) => `/assets/level${levelId}/${name}`;
+
+  // ========================================
+  // ASSET LOADING
+  // ========================================
+
+  const handleImageFile = (setter) => (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setter({ name: file.name, url: URL.createObjectURL(file) });
+  };
+
+  /**
+   * Measure an option image so the calibration box matches its shape
+   */
+  const measureAspect = (optionUrl) => {
+    const img = new Image();
+    img.onload = () => {
+      const aspect = img.naturalWidth / img.naturalHeight;
+      setParts(prev => prev.map(part => ({
+        ...part,
+        options: part.options.map(opt => (opt.url === optionUrl ? { ...opt, aspect } : opt)),
+      })));
+    };
+    img.src = optionUrl;
+  };
+
+  const handleOptionFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    const added = files.map(file => ({ name: file.name, url: URL.createObjectURL(file) }));
+    setOptions(prev => [
+      ...prev,
+      ...added.map((file, index) => ({
+        id: `${partType[0]}${prev.length + index + 1}`,
+        ...file,
+        aspect: null,
+        overlay: {},
+      })),
+    ]);
+    added.forEach(file => measureAspect(file.url));
+    e.target.value = '';
+  };
+
+  const handleRemoveOption = (optionId) => {
+    setOptions(prev => prev
+      .filter(opt => opt.id !== optionId)
+      .map((opt, index) => ({ ...opt, id: `${partType[0]}${index + 1}` })));
+    setCorrectOption(null);
+    setPreviewOption(null);
+  };
+
+  // ========================================
+  // PARTS
+  // ========================================
+
+  const handleSelectPart = (index) => {
+    setPartIndex(index);
+    setPreviewOption(null);
+  };
+
+  const handleAddPart = (e) => {
+    const type = e.target.value;
+    if (!type) return;
+    setParts(prev => [...prev, createPart(type)]);
+    setPartIndex(parts.length);
+    setPreviewOption(null);
+    e.target.value = '';
+  };
+
+  // Move the active part one step earlier (order matters for sequence levels)
+  const handleMovePartEarlier = () => {
+    if (partIndex === 0) return;
+    setParts(prev => {
+      const next = [...prev];
+      [next[partIndex - 1], next[partIndex]] = [next[partIndex], next[partIndex - 1]];
+      return next;
+    });
+    setPartIndex(partIndex - 1);
+  };
+
+  const handleRemovePart = () => {
+    if (parts.length < 2) return;
+    setParts(prev => prev.filter((_, index) => index !== partIndex));
+    setPartIndex(0);
+    setPreviewOption(null);
+  };
+
+  const handleOptionOverlay = (optionId, key, value) => {
+    setOptions(prev => prev.map(opt => {
+      if (opt.id !== optionId) return opt;
+      const next = { ...opt.overlay };
+      if (value === '' || Number.isNaN(value)) {
+        delete next[key];
+      } else {
+        next[key] = value;
+      }
+      return { ...opt, overlay: next };
+    }));
+  };
+
+  /**
+   * Load an existing level from the catalog for recalibration
+   */
+  const handleLoadLevel = (e) => {
+    const level = levels.find(l => l.id === Number(e.target.value));
+    if (!level) return;
+
+    setLevelId(level.id);
+    setCelebrity(level.celebrity);
+    setIsSequence(Boolean(level.sequence));
+    setBaseImage({ name: fileName(level.baseImage), url: level.baseImage });
+    setCompleteImage({ name: fileName(level.completeImage), url: level.completeImage });
+    setParts(level.parts.map(part => ({
+      type: part.type,
+      overlay: toEditableOverlay(part.overlayStyle),
+      correctOption: part.correctOption,
+      options: part.options.map(opt => ({
+        id: opt.id,
+        name: fileName(opt.image),
+        url: opt.image,
+        aspect: null,
+        overlay: opt.overlay || {},
+      })),
+    })));
+    setPartIndex(0);
+    setPreviewOption(null);
+    level.parts.forEach(part => part.options.forEach(opt => measureAspect(opt.image)));
+  };
+
+  // ========================================
+  // OVERLAY CALIBRATION (drag / resize / nudge)
+  // ========================================
+
+  const handlePointerDown = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const stageRect = e.currentTarget.closest('.image-container').getBoundingClientRect();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gestureRef.current = {
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      start: overlay,
+      stageRect,
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+
+    const dx = ((e.clientX - gesture.startX) / gesture.stageRect.width) * 100;
+    const dy = ((e.clientY - gesture.startY) / gesture.stageRect.height) * 100;
+    const { start } = gesture;
+
+    if (gesture.mode === 'move') {
+      setOverlay({ ...start, top: round(start.top + dy), left: round(start.left + dx) });
+    } else {
+      // Centered boxes grow on both sides, so double the delta
+      const growth = start.transform === CENTERED_TRANSFORM ? dx * 2 : dx;
+      setOverlay({ ...start, width: round(Math.max(2, start.width + growth)) });
+    }
+  };
+
+  const handlePointerUp = () => {
+    gestureRef.current = null;
+  };
+
+  const handleKeyDown = (e) => {
+    if (!e.key.startsWith('Arrow')) return;
+    e.preventDefault();
+    const isVertical = e.key === 'ArrowUp' || e.key === 'ArrowDown';
+    const delta = e.key === 'ArrowUp' || e.key === 'ArrowLeft' ? -NUDGE_STEP : NUDGE_STEP;
+    // Shift + left/right resizes instead of moving
+    const key = isVertical ? 'top' : e.shiftKey ? 'width' : 'left';
+    setOverlay(prev => ({ ...prev, [key]: round(prev[key] + delta) }));
+  };
+
+  const toggleCentered = () => {
+    setOverlay(prev => ({
+      ...prev,
+      transform: prev.transform === CENTERED_TRANSFORM ? undefined : CENTERED_TRANSFORM,
+    }));
+  };
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  const problems = [
+    !celebrity.trim() && 'Celebrity name is missing',
+    !baseImage && 'Base image is missing',
+    !completeImage && 'Complete image is missing',
+    ...parts.flatMap(part => {
+      const label = PART_TYPES[part.type].label.toLowerCase();
+      return [
+        part.options.length < 2 && `Add at least 2 ${label} options`,
+        !part.correctOption && `Pick the correct ${label}`,
+      ];
+    }),
+  ].filter(Boolean);
+
+  const exportedLevel = {
+    id: Number(levelId),
+    celebrity: celebrity.trim(),
+    baseImage: baseImage ? assetPath(baseImage.name) : '',
+    completeImage: completeImage ? assetPath(completeImage.name) : '',
+    ...(isSequence ? { sequence: true } : {}),
+    parts: parts.map(part => ({
+      type: part.type,
+      overlayStyle: toOverlayStyle(part.overlay),
+      options: part.options.map(opt => ({
+        id: opt.id,
+        image: assetPath(opt.name),
+        ...(Object.keys(opt.overlay).length > 0 ? { overlay: opt.overlay } : {}),
+      })),
+      correctOption: part.correctOption,
+    })),
+  };
+  const exportJson = JSON.stringify(exportedLevel, null, 4);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(exportJson);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.warn('[LevelEditor] Failed to copy:', err);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([exportJson], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `level${levelId}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // ========================================
+  // PREVIEW LEVEL (object URLs for the stage)
+  // ========================================
+
+  const stageLevel = {
+    id: `editor-${levelId}`,
+    celebrity: celebrity || 'New Celebrity',
+    baseImage: baseImage?.url,
+    completeImage: completeImage?.url,
+    parts: parts.map(part => ({
+      type: part.type,
+      overlayStyle: toOverlayStyle(part.overlay),
+      options: part.options.map(opt => ({ id: opt.id, image: opt.url, overlay: opt.overlay })),
+      correctOption: part.correctOption,
+    })),
+  };
+  const stagePart = stageLevel.parts[partIndex];
+  // Other parts show their correct option, to calibrate relative to them
+  const stageFilledParts = Object.fromEntries(parts
+    .filter((part, index) => index !== partIndex && part.correctOption)
+    .map(part => [part.type, part.correctOption]));
+  const calibrationAspect = options.find(opt => opt.id === (previewOption?.id || correctOption))?.aspect || 2;
+
+  const inputClass = 'w-full bg-white border-2 border-purple-200 rounded-xl px-3 py-2 text-sm text-purple-800 focus:outline-none focus:border-purple-400';
+  const labelClass = 'block text-xs font-bold text-purple-600 uppercase tracking-wide mb-1';
+
+  return (
+    <div className="h-[100dvh] w-full overflow-y-auto bg-gradient-to-br from-purple-100 via-blue-50 to-pink-100">
+      <div className="max-w-5xl mx-auto px-4 py-6 grid gap-6 md:grid-cols-2">
+        {/* Left: Stage + Options */}
+        <div className="bg-white rounded-3xl shadow-xl border-4 border-purple-200 overflow-hidden flex flex-col">
+          <div className="px-4 py-3 border-b-4 border-purple-200 flex items-center justify-between">
+            <h1 className="text-xl font-bold gradient-text">Level Editor</h1>
+            <span className="text-xs text-purple-400 flex items-center gap-1">
+              <Move className="w-3.5 h-3.5" />
+              Drag box • Arrows nudge
+            </span>
+          </div>
+
+          <div className="h-[380px] bg-gradient-to-br from-purple-50 to-pink-50">
+            {baseImage ? (
+              <GameStage
+                level={stageLevel}
+                isLevelComplete={false}
+                isShaking={false}
+                activePart={stagePart}
+                filledParts={stageFilledParts}
+                previewOption={previewOption}
+                selectedOption={correctOption}
+              >
+                {/* Calibration Box */}
+                <div
+                  role="slider"
+                  tabIndex={0}
+                  aria-label="Overlay position"
+                  aria-valuenow={overlay.left}
+                  className="z-20 border-2 border-dashed border-purple-600 bg-purple-400/10 cursor-move touch-none focus:outline-none focus:ring-4 focus:ring-purple-300"
+                  style={{ ...getOverlayStyle(toOverlayStyle(overlay)), aspectRatio: calibrationAspect }}
+                  onPointerDown={handlePointerDown('move')}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onKeyDown={handleKeyDown}
+                >
+                  <div
+                    className="absolute -right-2 -bottom-2 w-4 h-4 bg-purple-600 border-2 border-white rounded-full cursor-se-resize touch-none"
+                    onPointerDown={handlePointerDown('resize')}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                  />
+                </div>
+              </GameStage>
+            ) : (
+              <div className="h-full flex flex-col items-center justify-center text-purple-400 gap-2">
+                <ImagePlus className="w-10 h-10" />
+                <p className="text-sm font-semibold">Load a base image to start</p>
+              </div>
+            )}
+          </div>
+
+          {options.length > 0 ? (
+            <OptionGrid
+              options={stagePart.options}
+              partType={partType}
+              selectedOption={null}
+              correctOption={correctOption}
+              isLevelComplete={false}
+              onOptionSelect={setCorrectOption}
+              onOptionHover={setPreviewOption}
+            />
+          ) : (
+            <p className="text-center text-sm text-purple-400 py-6">No {PART_TYPES[partType].label.toLowerCase()} options yet</p>
+          )}
+        </div>
+
+        {/* Right: Form + Export */}
+        <div className="space-y-4">
+          <section className="bg-white/90 rounded-3xl shadow-lg border-4 border-purple-200 p-4 space-y-3">
+            <div>
+              <label className={labelClass}>
+                <FolderOpen className="inline w-3.5 h-3.5 mr-1" />
+                Load existing level
+              </label>
+              <select className={inputClass} defaultValue="" onChange={handleLoadLevel}>
+                <option value="" disabled>Choose a level…</option>
+                {levels.map(level => (
+                  <option key={level.id} value={level.id}>{level.id}. {level.celebrity}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="grid grid-cols-[80px_1fr] gap-3">
+              <div>
+                <label className={labelClass}>Id</label>
+                <input
+                  type="number"
+                  min="1"
+                  className={inputClass}
+                  value={levelId}
+                  onChange={(e) => setLevelId(e.target.value)}
+                />
+              </div>
+              <div>
+                <label className={labelClass}>Celebrity</label>
+                <input
+                  type="text"
+                  className={inputClass}
+                  value={celebrity}
+                  placeholder="Celebrity Name"
+                  onChange={(e) => setCelebrity(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Base image</label>
+                <input type="file" accept="image/*" className="text-xs w-full" onChange={handleImageFile(setBaseImage)} />
+              </div>
+              <div>
+                <label className={labelClass}>Complete image</label>
+                <input type="file" accept="image/*" className="text-xs w-full" onChange={handleImageFile(setCompleteImage)} />
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Parts</label>
+              <div className="flex flex-wrap items-center gap-2">
+                {parts.map((part, index) => (
+                  <button
+                    key={part.type}
+                    onClick={() => handleSelectPart(index)}
+                    className={`px-3 py-1 rounded-full text-xs font-bold border-2 ${index === partIndex ? 'bg-purple-500 border-purple-600 text-white' : 'bg-white border-purple-200 text-purple-600'}`}
+                  >
+                    {PART_TYPES[part.type].label}
+                  </button>
+                ))}
+                {unusedPartTypes.length > 0 && (
+                  <label className="flex items-center gap-1 text-xs text-purple-500">
+                    <Plus className="w-3.5 h-3.5" />
+                    <select className="bg-white border-2 border-purple-200 rounded-full px-2 py-0.5" defaultValue="" onChange={handleAddPart}>
+                      <option value="" disabled>Add part…</option>
+                      {unusedPartTypes.map(type => (
+                        <option key={type} value={type}>{PART_TYPES[type].label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {partIndex > 0 && (
+                  <button
+                    onClick={handleMovePartEarlier}
+                    className="p-1 text-purple-400 hover:text-purple-600"
+                    aria-label={`Move ${partType} earlier`}
+                  >
+                    <ChevronLeft className="w-4 h-4" />
+                  </button>
+                )}
+                {parts.length > 1 && (
+                  <button
+                    onClick={handleRemovePart}
+                    className="p-1 text-red-400 hover:text-red-600"
+                    aria-label={`Remove ${partType} part`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {parts.length > 1 && (
+              <label className="flex items-center gap-2 text-sm text-purple-700">
+                <input type="checkbox" checked={isSequence} onChange={(e) => setIsSequence(e.target.checked)} />
+                Restore the parts in this order (sequence level)
+              </label>
+            )}
+
+            <div>
+              <label className={labelClass}>{PART_TYPES[partType].label} options</label>
+              <input type="file" accept="image/*" multiple className="text-xs w-full" onChange={handleOptionFiles} />
+            </div>
+          </section>
+
+          {/* Overlay Geometry */}
+          <section className="bg-white/90 rounded-3xl shadow-lg border-4 border-purple-200 p-4 space-y-3">
+            <h2 className="text-purple-700 font-bold">{PART_TYPES[partType].label} Overlay</h2>
+            <div className="grid grid-cols-3 gap-3">
+              {['top', 'left', 'width'].map(key => (
+                <div key={key}>
+                  <label className={labelClass}>{key} %</label>
+                  <input
+                    type="number"
+                    step="0.5"
+                    className={inputClass}
+                    value={overlay[key]}
+                    onChange={(e) => setOverlay(prev => ({ ...prev, [key]: parseFloat(e.target.value) || 0 }))}
+                  />
+                </div>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-purple-700">
+              <input type="checkbox" checked={overlay.transform === CENTERED_TRANSFORM} onChange={toggleCentered} />
+              Top/left mark the center of the {PART_TYPES[partType].label.toLowerCase()}
+            </label>
+
+            {options.length > 0 && (
+              <div className="space-y-2">
+                <h3 className={labelClass}>Per-option adjustments</h3>
+                {options.map(opt => (
+                  <div
+                    key={opt.id}
+                    className={`flex items-center gap-2 rounded-xl p-2 border-2 ${opt.id === correctOption ? 'border-green-400 bg-green-50' : 'border-purple-100'}`}
+                  >
+                    <img src={opt.url} alt={opt.name} className="w-10 h-10 object-cover rounded-lg" />
+                    <span className="text-xs font-bold text-purple-700 w-6">{opt.id}</span>
+                    {[
+                      ['offsetX', 'x'],
+                      ['offsetY', 'y'],
+                      ['scale', 's'],
+                      ['rotate', '°'],
+                    ].map(([key, hint]) => (
+                      <input
+                        key={key}
+                        type="number"
+                        step={key === 'scale' ? 0.05 : 0.5}
+                        placeholder={hint}
+                        title={key}
+                        className="w-14 bg-white border-2 border-purple-100 rounded-lg px-1 py-1 text-xs"
+                        value={opt.overlay[key] ?? ''}
+                        onChange={(e) => handleOptionOverlay(opt.id, key, e.target.value === '' ? '' : parseFloat(e.target.value))}
+                      />
+                    ))}
+                    <button
+                      onClick={() => handleRemoveOption(opt.id)}
+                      className="ml-auto p-1 text-red-400 hover:text-red-600"
+                      aria-label={`Remove ${opt.id}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+
+          {/* Export */}
+          <section className="bg-white/90 rounded-3xl shadow-lg border-4 border-purple-200 p-4 space-y-3">
+            <h2 className="text-purple-700 font-bold">Export</h2>
+            {problems.length > 0 && (
+              <ul className="text-xs text-orange-600 list-disc pl-5">
+                {problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            )}
+            <textarea
+              readOnly
+              value={exportJson}
+              className="w-full h-56 font-mono text-xs bg-purple-50 border-2 border-purple-200 rounded-xl p-3"
+            />
+            <div className="flex gap-2">
+              <motion.button
+                onClick={handleCopy}
+                disabled={problems.length > 0}
+                className="flex-1 bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold py-2 rounded-2xl flex items-center justify-center gap-2 disabled:opacity-40"
+                whileTap={{ scale: 0.95 }}
+              >
+                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                {copied ? 'Copied!' : 'Copy JSON'}
+              </motion.button>
+              <motion.button
+                onClick={handleDownload}
+                disabled={problems.length > 0}
+                className="flex-1 bg-white text-purple-600 font-bold py-2 rounded-2xl border-4 border-purple-200 flex items-center justify-center gap-2 disabled:opacity-40"
+                whileTap={{ scale: 0.95 }}
+              >
+                <Download className="w-4 h-4" />
+                Download
+              </motion.button>
+            </div>
+            <p className="text-xs text-purple-400">
+              Copy the images into <code>public/assets/level{levelId}/</code> using the same file names.
+            </p>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LevelEditor;
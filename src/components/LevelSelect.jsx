@@ -1,17 +1,52 @@
 import { motion } from 'framer-motion';
-import { Lock, Star, Play, ChevronLeft } from 'lucide-react';
+import { Lock, Star, Play, ChevronLeft, GraduationCap } from 'lucide-react';
+import { MAX_STARS } from '../utils/stars';
+import { DIFFICULTIES } from '../data/gameData';
+
+/**
+ * Row of earned/missing stars for a level tile
+ */
+const StarRow = ({ stars }) => (
+  <div className="flex gap-0.5 mt-1" aria-label={`${stars} of ${MAX_STARS} stars`}>
+    {Array.from({ length: MAX_STARS }).map((_, i) => (
+      <Star
+        key={i}
+        className={`w-4 h-4 drop-shadow ${i < stars ? 'text-yellow-300 fill-yellow-300' : 'text-white/60'}`}
+      />
+    ))}
+  </div>
+);
 
 /**
  * LevelSelect Component - COZY PLAYFUL DESIGN
- * Grid of level buttons with locked/unlocked states
+ * Level buttons grouped by pack, with locked/unlocked states and star ratings.
+ * Packs with a star requirement show how many stars are still missing.
+ * The difficulty picker sets the tier to play; best scores shown are that tier's.
+ * The practice toggle plays the picked level without lives or scoring.
+ * The best campaign run (score over consecutive levels) shows under the title.
  */
 export const LevelSelect = ({ 
   levels, 
+  packs = [],
   onSelectLevel, 
   onBack,
   isLevelUnlocked,
-  isLevelCompleted 
+  isLevelCompleted,
+  getLevelStars = () => 0,
+  totalStars = 0,
+  isPackUnlocked = () => true,
+  difficulty = null, // Current tier (DIFFICULTIES entry)
+  availableDifficulties = Object.values(DIFFICULTIES), // Tiers the catalog can fill
+  onChangeDifficulty = null,
+  getBestScore = () => 0,
+  isPractice = false,
+  onTogglePractice = null,
+  bestRun = null // runRecords entry for the campaign
 }) => {
+  // Levels are numbered (and their progress kept) by id; packs only group them
+  const levelGroups = packs.length > 0
+    ? packs.map(pack => ({ pack, levels: levels.filter(level => level.packId === pack.id) }))
+    : [{ pack: null, levels }];
   return (
     <div className="absolute inset-0 z-40 bg-gradient-to-br from-purple-100 via-blue-50 to-pink-100 overflow-y-auto">
       {/* Floating Decorations */}
@@ -58,101 +93,187 @@ export const LevelSelect = ({
             <h2 className="text-2xl font-bold gradient-text">
               Select Level
             </h2>
+            {bestRun && (
+              <p className="text-[11px] font-semibold text-purple-500">
+                Best run {bestRun.bestScore} · {bestRun.bestLevelsCleared} {bestRun.bestLevelsCleared === 1 ? 'level' : 'levels'}
+              </p>
+            )}
           </div>
 
           <div className="w-20" /> {/* Spacer for centering */}
         </div>
 
-        {/* Levels Grid */}
-        <div className="grid grid-cols-3 gap-4 mt-8">
-          {levels.map((level, index) => {
-            const levelNumber = index + 1;
-            const isUnlocked = isLevelUnlocked(levelNumber);
-            const isCompleted = isLevelCompleted(levelNumber);
+        {/* Difficulty Picker */}
+        {difficulty && onChangeDifficulty && (
+          <div className="bg-white/80 backdrop-blur-sm rounded-3xl p-2 shadow-lg">
+            <div className="grid grid-cols-4 gap-1" role="radiogroup" aria-label="Difficulty">
+              {Object.values(DIFFICULTIES).map(tier => {
+                const isActive = tier.id === difficulty.id;
+                const isAvailable = availableDifficulties.includes(tier);
+                return (
+                  <button
+                    key={tier.id}
+                    role="radio"
+                    aria-checked={isActive}
+                    disabled={!isAvailable}
+                    title={isAvailable ? undefined : 'Not enough different pictures yet'}
+                    onClick={() => onChangeDifficulty(tier.id)}
+                    className={`rounded-2xl py-1.5 text-center transition-colors ${
+                      isActive
+                        ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white shadow'
+                        : 'text-purple-600 hover:bg-purple-100 disabled:opacity-40 disabled:hover:bg-transparent'
+                    }`}
+                  >
+                    <span className="block text-sm font-bold">{tier.label}</span>
+                    <span className={`block text-[10px] font-semibold ${isActive ? 'text-white/80' : 'text-purple-400'}`}>
+                      {tier.optionCount} options · ×{tier.multiplier}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        )}
 
-            return (
-              <motion.button
-                key={level.id}
-                onClick={() => isUnlocked && onSelectLevel(levelNumber)}
-                disabled={!isUnlocked}
-                className={`
-                  relative aspect-square rounded-3xl shadow-lg transition-all duration-200
-                  ${isUnlocked 
-                    ? 'bg-gradient-to-br from-purple-400 to-pink-400 hover:shadow-xl cursor-pointer' 
-                    : 'bg-gray-300 cursor-not-allowed opacity-50'
-                  }
-                  ${isCompleted ? 'ring-4 ring-yellow-400 ring-offset-2' : ''}
-                `}
-                initial={{ opacity: 0, scale: 0.8 }}
-                animate={{ opacity: 1, scale: 1 }}
-                transition={{ delay: index * 0.05, duration: 0.3 }}
-                whileHover={isUnlocked ? { scale: 1.1, rotate: 5 } : {}}
-                whileTap={isUnlocked ? { scale: 0.95, rotate: 0 } : {}}
-              >
-                {/* Background Shine Effect */}
-                {isUnlocked && (
-                  <div className="absolute inset-0 rounded-3xl overflow-hidden">
-                    <motion.div
-                      className="absolute inset-0 bg-gradient-to-tr from-white/0 via-white/30 to-white/0"
-                      animate={{
-                        x: ['-100%', '100%'],
-                      }}
-                      transition={{
-                        duration: 2,
-                        repeat: Infinity,
-                        repeatDelay: 1,
-                      }}
-                    />
-                  </div>
-                )}
+        {/* Practice Toggle */}
+        {onTogglePractice && (
+          <button
+            role="switch"
+            aria-checked={isPractice}
+            onClick={onTogglePractice}
+            className={`mt-3 w-full flex items-center gap-3 rounded-3xl px-4 py-2.5 shadow-lg text-left transition-colors ${
+              isPractice ? 'bg-gradient-to-r from-teal-400 to-emerald-400 text-white' : 'bg-white/80 backdrop-blur-sm text-purple-600'
+            }`}
+          >
+            <GraduationCap className="w-6 h-6 flex-shrink-0" />
+            <span className="flex-1 min-w-0">
+              <span className="block text-sm font-bold">Practice Mode</span>
+              <span className={`block text-[11px] font-semibold ${isPractice ? 'text-white/90' : 'text-purple-400'}`}>
+                Unlimited tries, no score - just explore
+              </span>
+            </span>
+            <span className={`relative w-10 h-6 flex-shrink-0 rounded-full transition-colors ${isPractice ? 'bg-white/40' : 'bg-purple-200'}`}>
+              <span className={`absolute top-1 w-4 h-4 rounded-full bg-white shadow transition-all ${isPractice ? 'left-5' : 'left-1'}`} />
+            </span>
+          </button>
+        )}
+
+        {/* Level Groups (one per pack) */}
+        {levelGroups.map(({ pack, levels: packLevels }) => {
+          const isGated = pack?.requiredStars > 0;
+          const isGateOpen = !pack || isPackUnlocked(pack.id);
 
-                {/* Content */}
-                <div className="absolute inset-0 flex flex-col items-center justify-center">
-                  {!isUnlocked ? (
-                    // Locked State
-                    <Lock className="w-8 h-8 text-gray-500" />
-                  ) : isCompleted ? (
-                    // Completed State
-                    <>
-                      <motion.div
-                        animate={{ rotate: [0, 360] }}
-                        transition={{ duration: 20, repeat: Infinity, ease: 'linear' }}
-                      >
-                        <Star className="w-10 h-10 text-yellow-300 fill-yellow-300 drop-shadow-lg" />
-                      </motion.div>
-                      <span className="text-white font-bold text-lg mt-1 drop-shadow-md">
-                        {levelNumber}
-                      </span>
-                    </>
-                  ) : (
-                    // Unlocked State
-                    <>
-                      <Play className="w-6 h-6 text-white mb-1 drop-shadow-md" fill="white" />
-                      <span className="text-white font-bold text-2xl drop-shadow-md">
-                        {levelNumber}
-                      </span>
-                    </>
+          return (
+            <section key={pack?.id || 'levels'} className="mt-8">
+              {pack && levelGroups.length > 1 && (
+                <div className="flex items-center justify-between mb-3 px-1">
+                  <h3 className="text-lg font-bold text-purple-700">{pack.name}</h3>
+                  {isGated && (
+                    <span className={`flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full ${
+                      isGateOpen ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-200 text-gray-600'
+                    }`}>
+                      {!isGateOpen && <Lock className="w-3 h-3" />}
+                      <Star className="w-3 h-3 fill-current" />
+                      {isGateOpen ? pack.requiredStars : `${totalStars}/${pack.requiredStars} to unlock`}
+                    </span>
                   )}
                 </div>
+              )}
 
-                {/* Pulse animation for unlocked but not completed */}
-                {isUnlocked && !isCompleted && (
-                  <motion.div
-                    className="absolute inset-0 rounded-3xl border-4 border-white/50"
-                    animate={{
-                      scale: [1, 1.1, 1],
-                      opacity: [0.5, 0, 0.5],
-                    }}
-                    transition={{
-                      duration: 2,
-                      repeat: Infinity,
-                    }}
-                  />
-                )}
-              </motion.button>
-            );
-          })}
-        </div>
+              {/* Levels Grid */}
+              <div className="grid grid-cols-3 gap-4">
+                {packLevels.map((level) => {
+                  const index = levels.indexOf(level);
+                  const levelNumber = level.id;
+                  const isUnlocked = isLevelUnlocked(levelNumber);
+                  const isCompleted = isLevelCompleted(levelNumber);
+
+                  return (
+                    <motion.button
+                      key={level.id}
+                      onClick={() => isUnlocked && onSelectLevel(levelNumber)}
+                      disabled={!isUnlocked}
+                      className={`
+                        relative aspect-square rounded-3xl shadow-lg transition-all duration-200
+                        ${isUnlocked 
+                          ? 'bg-gradient-to-br from-purple-400 to-pink-400 hover:shadow-xl cursor-pointer' 
+                          : 'bg-gray-300 cursor-not-allowed opacity-50'
+                        }
+                        ${isCompleted ? 'ring-4 ring-yellow-400 ring-offset-2' : ''}
+                      `}
+                      initial={{ opacity: 0, scale: 0.8 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      transition={{ delay: index * 0.05, duration: 0.3 }}
+                      whileHover={isUnlocked ? { scale: 1.1, rotate: 5 } : {}}
+                      whileTap={isUnlocked ? { scale: 0.95, rotate: 0 } : {}}
+                    >
+                      {/* Background Shine Effect */}
+                      {isUnlocked && (
+                        <div className="absolute inset-0 rounded-3xl overflow-hidden">
+                          <motion.div
+                            className="absolute inset-0 bg-gradient-to-tr from-white/0 via-white/30 to-white/0"
+                            animate={{
+                              x: ['-100%', '100%'],
+                            }}
+                            transition={{
+                              duration: 2,
+                              repeat: Infinity,
+                              repeatDelay: 1,
+                            }}
+                          />
+                        </div>
+                      )}
+
+                      {/* Content */}
+                      <div className="absolute inset-0 flex flex-col items-center justify-center">
+                        {!isUnlocked ? (
+                          // Locked State
+                          <Lock className="w-8 h-8 text-gray-500" />
+                        ) : isCompleted ? (
+                          // Completed State
+                          <>
+                            <span className="text-white font-bold text-2xl drop-shadow-md">
+                              {levelNumber}
+                            </span>
+                            <StarRow stars={getLevelStars(levelNumber)} />
+                            {getBestScore(levelNumber) > 0 && (
+                              <span className="mt-0.5 text-[10px] font-bold text-white/90 drop-shadow">
+                                Best {getBestScore(levelNumber)}
+                              </span>
+                            )}
+                          </>
+                        ) : (
+                          // Unlocked State
+                          <>
+                            <Play className="w-6 h-6 text-white mb-1 drop-shadow-md" fill="white" />
+                            <span className="text-white font-bold text-2xl drop-shadow-md">
+                              {levelNumber}
+                            </span>
+                          </>
+                        )}
+                      </div>
+
+                      {/* Pulse animation for unlocked but not completed */}
+                      {isUnlocked && !isCompleted && (
+                        <motion.div
+                          className="absolute inset-0 rounded-3xl border-4 border-white/50"
+                          animate={{
+                            scale: [1, 1.1, 1],
+                            opacity: [0.5, 0, 0.5],
+                          }}
+                          transition={{
+                            duration: 2,
+                            repeat: Infinity,
+                          }}
+                        />
+                      )}
+                    </motion.button>
+                  );
+                })}
+              </div>
+            </section>
+          );
+        })}
 
         {/* Progress Summary */}
         <motion.div
@@ -164,7 +285,7 @@ export const LevelSelect = ({
           <div className="flex items-center justify-between">
             <div className="text-center flex-1">
               <div className="text-3xl font-bold text-purple-600">
-                {levels.filter((_, i) => isLevelCompleted(i + 1)).length}
+                {levels.filter(level => isLevelCompleted(level.id)).length}
               </div>
               <div className="text-xs text-gray-600 uppercase tracking-wide">
                 Completed
@@ -173,13 +294,22 @@ export const LevelSelect = ({
             <div className="w-px h-12 bg-gray-300" />
             <div className="text-center flex-1">
               <div className="text-3xl font-bold text-blue-600">
-                {levels.filter((_, i) => isLevelUnlocked(i + 1)).length}
+                {levels.filter(level => isLevelUnlocked(level.id)).length}
               </div>
               <div className="text-xs text-gray-600 uppercase tracking-wide">
                 Unlocked
               </div>
             </div>
             <div className="w-px h-12 bg-gray-300" />
+            <div className="text-center flex-1">
+              <div className="text-3xl font-bold text-yellow-500">
+                {totalStars}
+              </div>
+              <div className="text-xs text-gray-600 uppercase tracking-wide">
+                Stars
+              </div>
+            </div>
+            <div className="w-px h-12 bg-gray-300" />
             <div className="text-center flex-1">
               <div className="text-3xl font-bold text-pink-600">
                 {levels.length}
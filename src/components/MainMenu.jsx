@@ -1,12 +1,31 @@
 import { motion } from 'framer-motion';
-import { Play, Settings, Sparkles } from 'lucide-react';
+import { Play, Settings, Sparkles, Flame, CalendarDays, CheckCircle2, Award, Users, Globe, History, Heart, X } from 'lucide-react';
 import { useState } from 'react';
 
 /**
  * MainMenu Component - PREMIUM MOBILE GAME VERSION
  * Opening screen with 3D press effects and haptic feedback
+ * A level left in progress (reload, evicted tab) is offered first as "Continue".
  */
-export const MainMenu = ({ onStartGame, isSoundMuted, onToggleSound, onOpenSettings }) => {
+export const MainMenu = ({
+  savedSession = null, // { levelNumber, celebrity, lives, score, isPractice } of a level left in progress
+  onResumeSession,
+  onDiscardSession,
+  onStartGame,
+  onStartSurvival,
+  survivalBest = 0,
+  onStartDaily,
+  dailyStreak = 0,
+  isDailyDone = false,
+  dailyModifier = null,
+  onStartPassAndPlay,
+  onStartOnline,
+  onOpenAchievements,
+  achievementCount = null, // e.g. "3/12"
+  isSoundMuted,
+  onToggleSound,
+  onOpenSettings,
+}) => {
   const [showSettings, setShowSettings] = useState(false);
 
   return (
@@ -115,6 +134,41 @@ export const MainMenu = ({ onStartGame, isSoundMuted, onToggleSound, onOpenSetti
             animate={{ opacity: 1 }}
             transition={{ delay: 0.3 }}
           >
+            {/* Continue Where You Left Off */}
+            {savedSession && (
+              <div className="relative w-full max-w-xs">
+                <motion.button
+                  onClick={onResumeSession}
+                  className="w-full bg-gradient-to-r from-emerald-400 to-teal-400 text-white font-bold py-3 pl-5 pr-10 rounded-3xl border-4 border-white border-b-4 border-b-teal-600 flex items-center gap-3 shadow-lg text-left transition-all duration-150 active:border-b-2 active:translate-y-1"
+                  whileHover={{ scale: 1.05, transition: { duration: 0.15 } }}
+                  whileTap={{ scale: 0.95, transition: { duration: 0.05 } }}
+                >
+                  <History className="w-6 h-6 flex-shrink-0" />
+                  <span className="min-w-0">
+                    <span className="block text-lg leading-tight">Continue where you left off</span>
+                    <span className="flex items-center gap-1 text-xs font-semibold text-white/90 truncate">
+                      {savedSession.isPractice ? 'Practice · ' : ''}Level {savedSession.levelNumber} · {savedSession.celebrity}
+                      {!savedSession.isPractice && (
+                        <>
+                          {' · '}
+                          <Heart className="w-3 h-3 fill-white" />{savedSession.lives}
+                          {' · '}{savedSession.score} pts
+                        </>
+                      )}
+                    </span>
+                  </span>
+                </motion.button>
+                <button
+                  onClick={onDiscardSession}
+                  className="absolute top-1/2 -translate-y-1/2 right-3 p-1 rounded-full text-white/80 hover:text-white hover:bg-white/20"
+                  aria-label="Discard saved game"
+                  title="Discard"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
             {/* Start Game Button - 3D Press Effect */}
             <motion.button
               onClick={onStartGame}
@@ -160,6 +214,208 @@ export const MainMenu = ({ onStartGame, isSoundMuted, onToggleSound, onOpenSetti
               </span>
             </motion.button>
 
+            {/* Daily Challenge Button - 3D Press Effect */}
+            {onStartDaily && (
+              <motion.button
+                onClick={onStartDaily}
+                className="
+                  max-w-xs
+                  bg-gradient-to-r from-sky-400 to-indigo-400
+                  text-white
+                  font-bold
+                  py-3 px-6
+                  rounded-3xl
+                  border-4 border-white
+                  border-b-4 border-b-indigo-600
+                  flex flex-col items-center justify-center
+                  transition-all duration-150
+                  shadow-lg
+                  active:border-b-2
+                  active:shadow-sm
+                  active:translate-y-1
+                "
+                whileHover={{ 
+                  scale: 1.05,
+                  transition: { duration: 0.15 }
+                }}
+                whileTap={{ 
+                  scale: 0.93,
+                  transition: { duration: 0.05 }
+                }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                title={dailyModifier?.description}
+              >
+                <span className="flex items-center gap-2">
+                  {isDailyDone ? <CheckCircle2 className="w-5 h-5" /> : <CalendarDays className="w-5 h-5" />}
+                  <span>Daily</span>
+                  {dailyStreak > 0 && (
+                    <span className="text-xs font-semibold bg-white/25 rounded-full px-2 py-0.5">
+                      🔥 {dailyStreak}
+                    </span>
+                  )}
+                </span>
+                {dailyModifier && (
+                  <span className="text-xs font-semibold text-white/90">
+                    {dailyModifier.label}
+                  </span>
+                )}
+              </motion.button>
+            )}
+
+            {/* Survival Button - 3D Press Effect */}
+            {onStartSurvival && (
+              <motion.button
+                onClick={onStartSurvival}
+                className="
+                  max-w-xs
+                  bg-gradient-to-r from-orange-400 to-red-400
+                  text-white
+                  font-bold
+                  py-4 px-6
+                  rounded-3xl
+                  border-4 border-white
+                  border-b-4 border-b-red-600
+                  flex items-center justify-center gap-2
+                  transition-all duration-150
+                  shadow-lg
+                  active:border-b-2
+                  active:shadow-sm
+                  active:translate-y-1
+                "
+                whileHover={{ 
+                  scale: 1.05,
+                  transition: { duration: 0.15 }
+                }}
+                whileTap={{ 
+                  scale: 0.93,
+                  transition: { duration: 0.05 }
+                }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <Flame className="w-5 h-5" />
+                <span>Survival</span>
+                {survivalBest > 0 && (
+                  <span className="text-xs font-semibold bg-white/25 rounded-full px-2 py-0.5">
+                    Best {survivalBest}
+                  </span>
+                )}
+              </motion.button>
+            )}
+
+            {/* Pass & Play Button - 3D Press Effect */}
+            {onStartPassAndPlay && (
+              <motion.button
+                onClick={onStartPassAndPlay}
+                className="
+                  max-w-xs
+                  bg-gradient-to-r from-sky-400 to-indigo-400
+                  text-white
+                  font-bold
+                  py-4 px-6
+                  rounded-3xl
+                  border-4 border-white
+                  border-b-4 border-b-indigo-600
+                  flex items-center justify-center gap-2
+                  transition-all duration-150
+                  shadow-lg
+                  active:border-b-2
+                  active:shadow-sm
+                  active:translate-y-1
+                "
+                whileHover={{ 
+                  scale: 1.05,
+                  transition: { duration: 0.15 }
+                }}
+                whileTap={{ 
+                  scale: 0.93,
+                  transition: { duration: 0.05 }
+                }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <Users className="w-5 h-5" />
+                <span>Pass & Play</span>
+              </motion.button>
+            )}
+
+            {/* Online Race Button - 3D Press Effect */}
+            {onStartOnline && (
+              <motion.button
+                onClick={onStartOnline}
+                className="
+                  max-w-xs
+                  bg-gradient-to-r from-emerald-400 to-teal-500
+                  text-white
+                  font-bold
+                  py-4 px-6
+                  rounded-3xl
+                  border-4 border-white
+                  border-b-4 border-b-teal-700
+                  flex items-center justify-center gap-2
+                  transition-all duration-150
+                  shadow-lg
+                  active:border-b-2
+                  active:shadow-sm
+                  active:translate-y-1
+                "
+                whileHover={{ 
+                  scale: 1.05,
+                  transition: { duration: 0.15 }
+                }}
+                whileTap={{ 
+                  scale: 0.93,
+                  transition: { duration: 0.05 }
+                }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <Globe className="w-5 h-5" />
+                <span>Online Race</span>
+              </motion.button>
+            )}
+
+            {/* Achievements Button - 3D Press Effect */}
+            {onOpenAchievements && (
+              <motion.button
+                onClick={onOpenAchievements}
+                className="
+                  max-w-xs
+                  bg-gradient-to-r from-yellow-300 to-amber-400
+                  text-amber-900
+                  font-bold
+                  py-4 px-6
+                  rounded-3xl
+                  border-4 border-white
+                  border-b-4 border-b-amber-600
+                  flex items-center justify-center gap-2
+                  transition-all duration-150
+                  shadow-lg
+                  active:border-b-2
+                  active:shadow-sm
+                  active:translate-y-1
+                "
+                whileHover={{ 
+                  scale: 1.05,
+                  transition: { duration: 0.15 }
+                }}
+                whileTap={{ 
+                  scale: 0.93,
+                  transition: { duration: 0.05 }
+                }}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+              >
+                <Award className="w-5 h-5" />
+                <span>Achievements</span>
+                {achievementCount && (
+                  <span className="text-xs font-semibold bg-white/40 rounded-full px-2 py-0.5">
+                    {achievementCount}
+                  </span>
+                )}
+              </motion.button>
+            )}
 
             {/* Settings Button - 3D Press Effect */}
             {onOpenSettings && (
@@ -0,0 +1,141 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { ArrowRight, ChevronLeft, RefreshCw, Lightbulb, Timer } from 'lucide-react';
+import { getOverlayStyle } from '../utils/overlay';
+import { PART_TYPES } from '../data/levelSchema';
+
+// What to look at when a part keeps going wrong
+const PART_TIPS = {
+  mouth: 'Look at the lip shape and the corners of the smile before picking a mouth.',
+  eyes: 'Compare the eye shape and where the eyes look - the gaze gives it away.',
+  nose: 'Check the width of the nostrils and the line of the bridge.',
+  eyebrows: 'Eyebrows differ mostly in thickness and arch - compare those first.',
+  hair: 'Match the hairline and the parting to the rest of the face.',
+};
+
+/**
+ * Short tip for a lost level
+ * @param {Array} mistakes - Wrong picks ({ partType, optionId }, optionId null = timed out)
+ */
+const getReviewTip = (mistakes) => {
+  if (mistakes.some(pick => pick.optionId === null)) {
+    return 'The clock ran out - you can turn timed mode off in Settings and take your time.';
+  }
+
+  const missesByPart = mistakes.reduce((counts, pick) => ({ ...counts, [pick.partType]: (counts[pick.partType] || 0) + 1 }), {});
+  const [partType] = Object.entries(missesByPart).sort((a, b) => b[1] - a[1])[0] || [];
+  return PART_TIPS[partType] || 'Stuck? A hint can remove a wrong option for a few points.';
+};
+
+/**
+ * Base image with one option composited on a part
+ */
+const FaceComposite = ({ level, part, option, label, isCorrect }) => (
+  <figure className="flex-1 min-w-0">
+    <div className={`image-container rounded-2xl overflow-hidden border-4 ${isCorrect ? 'border-green-400' : 'border-red-400'}`}>
+      <img src={level.baseImage} alt="" className="w-full h-full object-cover" />
+      {option && (
+        <div className="pointer-events-none" style={getOverlayStyle(part.overlayStyle, option.overlay)}>
+          <img src={option.image} alt="" className="block w-full h-auto object-contain rounded-lg" />
+        </div>
+      )}
+    </div>
+    <figcaption className={`mt-1 text-xs font-bold ${isCorrect ? 'text-green-600' : 'text-red-500'}`}>{label}</figcaption>
+  </figure>
+);
+
+/**
+ * MistakeReview Component
+ * Replays a lost level after game over: every wrong pick composited on
+ * the face next to the correct part, the attempt count and a short tip.
+ */
+export const MistakeReview = ({ isOpen, level, picks, attempts, onTryAgain, onClose }) => {
+  const mistakes = picks.filter(pick => !pick.correct);
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 z-50 bg-gradient-to-br from-red-100 via-pink-50 to-orange-100 overflow-y-auto"
+          role="dialog"
+          aria-label="Mistake review"
+        >
+          <div className="px-4 py-6 max-w-md mx-auto">
+            {/* Header */}
+            <div className="flex items-center justify-between mb-4">
+              <motion.button
+                onClick={onClose}
+                className="flex items-center gap-2 bg-white/80 backdrop-blur-sm px-4 py-2 rounded-full shadow-lg"
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                <ChevronLeft className="w-5 h-5 text-purple-600" />
+                <span className="text-purple-600 font-semibold text-sm">Back</span>
+              </motion.button>
+
+              <h2 className="text-2xl font-bold gradient-text">What Happened</h2>
+
+              <div className="w-20" /> {/* Spacer for centering */}
+            </div>
+
+            <p className="text-center text-sm font-semibold text-purple-600 mb-4">
+              {level.celebrity} - {attempts} {attempts === 1 ? 'attempt' : 'attempts'}, {mistakes.length} {mistakes.length === 1 ? 'mistake' : 'mistakes'}
+            </p>
+
+            {/* Wrong picks, in the order they were made */}
+            <ol className="space-y-3">
+              {mistakes.map((pick, index) => {
+                const part = level.parts.find(p => p.type === pick.partType);
+                if (!part) return null;
+                const partLabel = PART_TYPES[part.type]?.label || part.type;
+                const picked = part.options.find(opt => opt.id === pick.optionId);
+                const correct = part.options.find(opt => opt.id === part.correctOption);
+
+                return (
+                  <motion.li
+                    key={index}
+                    className="bg-white/90 rounded-3xl p-3 shadow-lg"
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.15 + index * 0.25 }}
+                  >
+                    <p className="flex items-center gap-1.5 mb-2 text-sm font-bold text-purple-700">
+                      <span className="flex items-center justify-center w-6 h-6 rounded-full bg-red-400 text-white text-xs">{index + 1}</span>
+                      {partLabel}
+                      {!picked && <Timer className="w-4 h-4 text-red-500" aria-label="Timed out" />}
+                    </p>
+                    <div className="flex items-center gap-2 text-center">
+                      <FaceComposite level={level} part={part} option={picked} label={picked ? 'Your pick' : 'Time ran out'} />
+                      <ArrowRight className="w-5 h-5 flex-shrink-0 text-purple-400" />
+                      <FaceComposite level={level} part={part} option={correct} label="Correct" isCorrect />
+                    </div>
+                  </motion.li>
+                );
+              })}
+            </ol>
+
+            {/* Tip */}
+            <div className="flex items-start gap-2 mt-4 bg-yellow-100 border-2 border-yellow-300 rounded-2xl px-4 py-3 text-left">
+              <Lightbulb className="w-5 h-5 flex-shrink-0 text-yellow-600" />
+              <p className="text-sm font-semibold text-yellow-800">{getReviewTip(mistakes)}</p>
+            </div>
+
+            <motion.button
+              onClick={onTryAgain}
+              className="mt-5 w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              <RefreshCw className="w-6 h-6" />
+              <span>Try Again</span>
+            </motion.button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default MistakeReview;
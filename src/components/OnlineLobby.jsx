@@ -0,0 +1,177 @@
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import { ChevronLeft, Globe, LogIn, Play, WifiOff, Crown, Loader } from 'lucide-react';
+import { ROOM_CODE_LENGTH } from '../utils/onlineRace';
+import { GAME_CONFIG } from '../data/gameData';
+
+/**
+ * OnlineLobby Component
+ * Create a room or join one by code, then wait for the race to start.
+ */
+export const OnlineLobby = ({
+  isAvailable,
+  playerName,
+  roomCode,
+  players,
+  hostId,
+  isHost,
+  error,
+  isBusy,
+  onCreateRoom,
+  onJoinRoom,
+  onStartRace,
+  onLeaveRoom,
+  onBack,
+}) => {
+  const [codeInput, setCodeInput] = useState('');
+  const connectedCount = players.filter(player => player.connected).length;
+  const canStart = isHost && connectedCount >= GAME_CONFIG.ONLINE_ROOM_MAX_PLAYERS && !isBusy;
+
+  const handleBack = () => {
+    if (roomCode) onLeaveRoom();
+    onBack();
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 bg-gradient-to-br from-purple-100 via-blue-50 to-pink-100 overflow-y-auto">
+      <div className="relative z-10 px-4 py-6 max-w-md mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <motion.button
+            onClick={handleBack}
+            className="flex items-center gap-2 bg-white/80 backdrop-blur-sm px-4 py-2 rounded-full shadow-lg hover:shadow-xl transition-all duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <ChevronLeft className="w-5 h-5 text-purple-600" />
+            <span className="text-purple-600 font-semibold text-sm">Back</span>
+          </motion.button>
+
+          <h2 className="text-2xl font-bold gradient-text">
+            Online Race
+          </h2>
+
+          <div className="w-20" /> {/* Spacer for centering */}
+        </div>
+
+        {!isAvailable ? (
+          <div className="bg-white/80 rounded-3xl p-6 shadow-lg text-center">
+            <WifiOff className="w-10 h-10 mx-auto mb-3 text-gray-400" />
+            <p className="font-bold text-purple-700">Online play is unavailable</p>
+            <p className="text-sm text-gray-600 mt-1">Check your connection and try again later.</p>
+          </div>
+        ) : !roomCode ? (
+          /* Create or join */
+          <div className="space-y-4">
+            <div className="bg-white/80 backdrop-blur-sm rounded-3xl p-5 shadow-lg">
+              <p className="flex items-center gap-2 text-sm font-semibold text-purple-600 mb-3">
+                <Globe className="w-4 h-4" />
+                Race a friend through the same levels, live!
+              </p>
+              <motion.button
+                onClick={onCreateRoom}
+                disabled={isBusy}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white disabled:opacity-60"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {isBusy ? <Loader className="w-6 h-6 animate-spin" /> : <Play className="w-6 h-6" fill="white" />}
+                <span>Create Room</span>
+              </motion.button>
+            </div>
+
+            <form
+              className="bg-white/80 backdrop-blur-sm rounded-3xl p-5 shadow-lg space-y-3"
+              onSubmit={(e) => {
+                e.preventDefault();
+                onJoinRoom(codeInput);
+              }}
+            >
+              <label htmlFor="room-code" className="block text-sm font-semibold text-purple-600">
+                Got a code? Join as {playerName}
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="room-code"
+                  type="text"
+                  value={codeInput}
+                  onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+                  placeholder="ABCDE"
+                  maxLength={ROOM_CODE_LENGTH + 2}
+                  autoComplete="off"
+                  className="flex-1 min-w-0 px-4 py-2 rounded-2xl border-2 border-purple-200 focus:border-purple-400 focus:outline-none text-purple-700 font-black tracking-[0.3em] text-center bg-white"
+                />
+                <button
+                  type="submit"
+                  disabled={isBusy || codeInput.trim().length === 0}
+                  className="flex items-center gap-1 px-4 py-2 rounded-2xl bg-purple-500 hover:bg-purple-600 text-white font-bold disabled:opacity-50"
+                >
+                  <LogIn className="w-4 h-4" />
+                  Join
+                </button>
+              </div>
+            </form>
+          </div>
+        ) : (
+          /* Waiting room */
+          <div className="bg-white/80 backdrop-blur-sm rounded-3xl p-5 shadow-lg text-center space-y-4">
+            <div>
+              <p className="text-xs font-semibold uppercase tracking-wide text-purple-500">Room code</p>
+              <p className="text-5xl font-black tracking-[0.2em] text-purple-700 select-all">{roomCode}</p>
+              <p className="text-xs text-gray-600 mt-1">Share it with a friend so they can join</p>
+            </div>
+
+            <ul className="space-y-2 text-left">
+              {players.map(player => (
+                <li key={player.id} className="flex items-center gap-2 px-3 py-2 rounded-2xl bg-purple-50">
+                  <span
+                    className={`w-2.5 h-2.5 rounded-full ${player.connected ? 'bg-green-500' : 'bg-gray-300'}`}
+                    aria-label={player.connected ? 'Online' : 'Offline'}
+                  />
+                  <span className="flex-1 truncate font-bold text-purple-700">{player.name}</span>
+                  {player.id === hostId && <Crown className="w-4 h-4 text-yellow-500" />}
+                </li>
+              ))}
+              {players.length < GAME_CONFIG.ONLINE_ROOM_MAX_PLAYERS && (
+                <li className="flex items-center gap-2 px-3 py-2 rounded-2xl border-2 border-dashed border-purple-200 text-purple-400 font-semibold">
+                  <Loader className="w-4 h-4 animate-spin" />
+                  Waiting for a friend...
+                </li>
+              )}
+            </ul>
+
+            {isHost ? (
+              <motion.button
+                onClick={onStartRace}
+                disabled={!canStart}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white disabled:opacity-50"
+                whileHover={canStart ? { scale: 1.02 } : undefined}
+                whileTap={canStart ? { scale: 0.98 } : undefined}
+              >
+                <Play className="w-6 h-6" fill="white" />
+                <span>Start Race</span>
+              </motion.button>
+            ) : (
+              <p className="font-semibold text-purple-600">Waiting for the host to start...</p>
+            )}
+
+            <button
+              onClick={onLeaveRoom}
+              className="text-sm font-semibold text-gray-500 hover:text-red-500"
+            >
+              Leave room
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <p role="alert" className="mt-4 text-center text-sm font-semibold text-red-500">
+            {error}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OnlineLobby;
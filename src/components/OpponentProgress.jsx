@@ -0,0 +1,65 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { Heart, Check, X } from 'lucide-react';
+
+/**
+ * OpponentProgress Component
+ * Live mirror of the opponent during an online race: levels cleared,
+ * score, lives and a flash for each of their picks.
+ */
+export const OpponentProgress = ({ opponent, levelCount }) => {
+  if (!opponent) return null;
+
+  const { levelsCleared = 0, score = 0, lives = 0, finished = false } = opponent.progress || {};
+  const lastPick = opponent.lastPick;
+  const status = opponent.left ? 'Left' : finished ? 'Done' : !opponent.connected ? 'Offline' : null;
+
+  return (
+    <div
+      className="absolute top-3 left-3 z-40 w-40 bg-white/90 backdrop-blur-sm rounded-2xl border-2 border-purple-200 shadow-lg px-3 py-2"
+      aria-label={`${opponent.name}: ${levelsCleared} of ${levelCount} levels, ${score} points`}
+    >
+      <div className="flex items-center gap-1.5">
+        <span className={`w-2 h-2 flex-shrink-0 rounded-full ${opponent.connected && !opponent.left ? 'bg-green-500' : 'bg-gray-300'}`} />
+        <span className="flex-1 min-w-0 truncate text-xs font-bold text-purple-700">{opponent.name}</span>
+        {status && <span className="text-[9px] font-bold uppercase text-gray-500">{status}</span>}
+
+        {/* Pick flash (keyed by pick time so every pick replays it) */}
+        <AnimatePresence>
+          {lastPick && (
+            <motion.span
+              key={lastPick.at}
+              className={`flex items-center justify-center w-4 h-4 rounded-full ${lastPick.correct ? 'bg-green-500' : 'bg-red-500'}`}
+              initial={{ scale: 0 }}
+              animate={{ scale: [0, 1.4, 1] }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              {lastPick.correct ? <Check className="w-3 h-3 text-white" /> : <X className="w-3 h-3 text-white" />}
+            </motion.span>
+          )}
+        </AnimatePresence>
+      </div>
+
+      {/* Levels cleared */}
+      <div className="mt-1.5 h-1.5 rounded-full bg-purple-100 overflow-hidden">
+        <motion.div
+          className="h-full bg-gradient-to-r from-purple-400 to-pink-400"
+          animate={{ width: `${levelCount > 0 ? (levelsCleared / levelCount) * 100 : 0}%` }}
+          transition={{ duration: 0.3 }}
+        />
+      </div>
+
+      <div className="mt-1 flex items-center justify-between text-[10px] font-bold">
+        <span className="text-purple-500">{levelsCleared}/{levelCount}</span>
+        <span className="flex gap-px">
+          {Array.from({ length: lives }).map((_, i) => (
+            <Heart key={i} className="w-2.5 h-2.5 text-red-600 fill-red-500" />
+          ))}
+        </span>
+        <span className="text-orange-500">{score}</span>
+      </div>
+    </div>
+  );
+};
+
+export default OpponentProgress;
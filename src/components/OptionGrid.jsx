@@ -1,5 +1,14 @@
 import { motion } from 'framer-motion';
 import { Check, X, Target } from 'lucide-react';
+import { PART_TYPES } from '../data/levelSchema';
+
+// Grid per option count (difficulty tiers show 2, 4, 6 or 9 options)
+const GRID_LAYOUTS = [
+  { maxOptions: 2, columns: 'grid-cols-2', optionHeight: 'h-20 sm:h-24', maxHeight: 'max-h-[180px]' },
+  { maxOptions: 4, columns: 'grid-cols-2', optionHeight: 'h-16 sm:h-20', maxHeight: 'max-h-[180px]' },
+  { maxOptions: 6, columns: 'grid-cols-3', optionHeight: 'h-14 sm:h-16', maxHeight: 'max-h-[180px]' },
+  { maxOptions: Infinity, columns: 'grid-cols-3', optionHeight: 'h-11 sm:h-14', maxHeight: 'max-h-[230px]' },
+];
 
 /**
  * OptionGrid Component - REFACTORED VERSION
@@ -9,17 +18,36 @@ import { Check, X, Target } from 'lucide-react';
  * - Added max-height constraint for mobile
  * - Faster animation transitions for snappier feel
  * - Safe area padding for notched phones
+ * - Works on any facial part; multi-part levels get a row of part tabs
+ *   (sequence levels show them as a read-only step indicator)
+ * - Options removed by a hint are greyed out and disabled
+ * - Drag mode: options are picked up with onOptionDragStart instead of tapped
+ *   (keyboard activation still selects directly)
+ * - Columns and option size follow the option count (GRID_LAYOUTS)
  */
 export const OptionGrid = ({ 
   options, 
-  selectedMouth, 
-  correctMouth, 
+  partType = 'mouth',
+  selectedOption, 
+  correctOption, 
   isLevelComplete, 
-  onMouthSelect,
-  onMouthHover = null
+  onOptionSelect,
+  onOptionHover = null,
+  parts = null,
+  activePartIndex = 0,
+  filledParts = {},
+  onSelectPart = null,
+  isSequence = false,
+  onOptionDragStart = null,
+  eliminatedOptions = []
 }) => {
+  const partLabel = PART_TYPES[partType]?.label || partType;
+  const isDragMode = Boolean(onOptionDragStart);
+  const stepLabel = isSequence && parts?.length > 1 ? `Step ${activePartIndex + 1}/${parts.length} · ` : '';
+  const gridLayout = GRID_LAYOUTS.find(({ maxOptions }) => options.length <= maxOptions);
+
   return (
-    <div className="w-full px-3 py-3 bg-gradient-to-b from-white/90 via-white/80 to-purple-50/60 backdrop-blur-sm border-t-4 border-purple-200 relative overflow-hidden max-h-[180px] flex-shrink-0 pb-safe">
+    <div className={`w-full px-3 py-3 bg-gradient-to-b from-white/90 via-white/80 to-purple-50/60 backdrop-blur-sm border-t-4 border-purple-200 relative overflow-hidden ${gridLayout.maxHeight} flex-shrink-0 pb-safe`}>
       <div className="max-w-md mx-auto relative z-10">
         {/* Header with SVG icon instead of emoji */}
         <motion.h3 
@@ -29,28 +57,65 @@ export const OptionGrid = ({
           transition={{ duration: 0.2 }}
         >
           <Target className="w-3.5 h-3.5" />
-          <span>Choose the correct mouth</span>
+          <span>{stepLabel}{isDragMode ? 'Drag' : 'Choose'} the correct {partLabel.toLowerCase()}{isDragMode ? ' onto the face' : ''}</span>
         </motion.h3>
+
+        {/* Part Tabs (levels with several missing parts) */}
+        {parts?.length > 1 && (
+          <div className="flex justify-center gap-1.5 mb-2" role="tablist" aria-label={isSequence ? 'Steps' : 'Missing parts'}>
+            {parts.map((part, index) => {
+              const isFilled = Boolean(filledParts[part.type]);
+              const isActive = index === activePartIndex;
+              return (
+                <button
+                  key={part.type}
+                  role="tab"
+                  aria-selected={isActive}
+                  disabled={isFilled || !onSelectPart}
+                  onClick={() => onSelectPart(index)}
+                  className={`flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-bold border-2 transition-colors ${
+                    isFilled
+                      ? 'bg-green-100 border-green-400 text-green-700'
+                      : isActive
+                        ? 'bg-purple-500 border-purple-600 text-white'
+                        : 'bg-white border-purple-200 text-purple-600 hover:border-purple-400'
+                  }`}
+                >
+                  {isFilled && <Check className="w-3 h-3" strokeWidth={3} />}
+                  {isSequence && !isFilled && `${index + 1}. `}
+                  {PART_TYPES[part.type]?.label || part.type}
+                </button>
+              );
+            })}
+          </div>
+        )}
         
-        <div className="grid grid-cols-2 gap-2">
+        <div className={`grid ${gridLayout.columns} gap-2`}>
           {options.map((option, index) => {
-            const isSelected = selectedMouth === option.id;
-            const isCorrect = option.id === correctMouth;
+            const isSelected = selectedOption === option.id;
+            const isCorrect = option.id === correctOption;
             const showFeedback = isSelected && !isLevelComplete;
             const showCorrect = isLevelComplete && isCorrect;
-            const isDisabled = isLevelComplete || selectedMouth !== null;
+            const isEliminated = eliminatedOptions.includes(option.id);
+            const isDisabled = isLevelComplete || selectedOption !== null || isEliminated;
 
             return (
               <motion.button
                 key={option.id}
-                onClick={() => !isDisabled && onMouthSelect(option.id)}
-                onMouseEnter={() => onMouthHover && onMouthHover(option)}
-                onMouseLeave={() => onMouthHover && onMouthHover(null)}
-                onTouchStart={() => onMouthHover && onMouthHover(option)}
-                onTouchEnd={() => onMouthHover && onMouthHover(null)}
+                layout // Slide into place when the options reshuffle
+                onClick={(e) => {
+                  // Drag mode: pointer clicks are drags, only keyboard activation (detail 0) selects
+                  if (!isDisabled && (!isDragMode || e.detail === 0)) onOptionSelect(option.id);
+                }}
+                onPointerDown={isDragMode ? (e) => !isDisabled && onOptionDragStart(option, e) : undefined}
+                style={isDragMode ? { touchAction: 'none' } : undefined}
+                onMouseEnter={() => onOptionHover && onOptionHover(option)}
+                onMouseLeave={() => onOptionHover && onOptionHover(null)}
+                onTouchStart={() => onOptionHover && onOptionHover(option)}
+                onTouchEnd={() => onOptionHover && onOptionHover(null)}
                 disabled={isDisabled}
                 className={`
-                  relative overflow-hidden rounded-xl h-16 sm:h-20
+                  relative overflow-hidden rounded-xl ${gridLayout.optionHeight}
                   transition-all duration-100 transform shadow-md
                   border-b-4
                   ${isLevelComplete 
@@ -61,9 +126,11 @@ export const OptionGrid = ({
                       ? isCorrect
                         ? 'bg-gradient-to-br from-green-400 to-emerald-500 border-green-600 ring-4 ring-green-300 ring-offset-1'
                         : 'bg-gradient-to-br from-red-400 to-rose-500 border-red-600 ring-4 ring-red-300 ring-offset-1'
-                      : 'bg-gradient-to-br from-purple-300 to-pink-300 border-purple-500 hover:border-purple-600 active:border-purple-300 active:shadow-sm border-white'
+                      : isEliminated
+                        ? 'bg-gray-200 border-gray-300 opacity-30 grayscale'
+                        : 'bg-gradient-to-br from-purple-300 to-pink-300 border-purple-500 hover:border-purple-600 active:border-purple-300 active:shadow-sm border-white'
                   }
-                  ${!isDisabled ? 'cursor-pointer active:translate-y-0.5' : 'cursor-not-allowed'}
+                  ${!isDisabled ? `${isDragMode ? 'cursor-grab' : 'cursor-pointer'} active:translate-y-0.5` : 'cursor-not-allowed'}
                 `}
                 initial={{ opacity: 0, y: 8 }}
                 animate={{ opacity: 1, y: 0 }}
@@ -78,10 +145,10 @@ export const OptionGrid = ({
                   transition: { duration: 0.03 }
                 } : {}}
               >
-                {/* Mouth Image */}
+                {/* Option Image */}
                 <img 
                   src={option.image} 
-                  alt="Mouth option"
+                  alt={`${partLabel} option`}
                   className="absolute inset-0 w-full h-full object-cover pointer-events-none rounded-xl"
                 />
 
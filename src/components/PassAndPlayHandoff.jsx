@@ -0,0 +1,85 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { Heart, Smartphone, ArrowRight } from 'lucide-react';
+
+/**
+ * PassAndPlayHandoff Component
+ * Full-screen interstitial between hot-seat turns (hides the level so the
+ * next player doesn't see it early), with the current standings.
+ */
+export const PassAndPlayHandoff = ({
+  isOpen,
+  title,
+  subtitle = null,
+  players,
+  highlightIndex = null, // Player whose turn is next
+  actionLabel,
+  onAction,
+}) => {
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 z-50 flex items-center justify-center bg-gradient-to-br from-indigo-300 via-purple-200 to-pink-200"
+          role="dialog"
+          aria-label={title}
+        >
+          <div className="text-center px-8 py-10 w-full max-w-md">
+            <motion.div
+              className="inline-flex items-center justify-center w-20 h-20 mb-5 bg-gradient-to-br from-purple-500 to-pink-500 rounded-full shadow-2xl border-4 border-white"
+              animate={{ rotate: [0, -12, 12, -12, 0] }}
+              transition={{ duration: 1, repeat: Infinity, repeatDelay: 1 }}
+            >
+              <Smartphone className="w-10 h-10 text-white" />
+            </motion.div>
+
+            <h1 className="text-4xl font-extrabold mb-2 text-purple-700">
+              {title}
+            </h1>
+            {subtitle && (
+              <p className="text-base font-semibold text-purple-600">{subtitle}</p>
+            )}
+
+            {/* Standings */}
+            <ul className="bg-white/90 rounded-3xl border-4 border-yellow-400 p-3 my-6 shadow-xl space-y-1.5 text-left">
+              {players.map((player, index) => (
+                <li
+                  key={index}
+                  className={`flex items-center gap-2 px-3 py-1.5 rounded-2xl ${
+                    index === highlightIndex ? 'bg-purple-100 ring-2 ring-purple-400' : ''
+                  } ${player.isOut ? 'opacity-50' : ''}`}
+                >
+                  <span className="flex-1 min-w-0 truncate font-bold text-purple-700">{player.name}</span>
+                  {player.isOut ? (
+                    <span className="text-xs font-bold uppercase text-gray-500">Out</span>
+                  ) : (
+                    <span className="flex gap-0.5" aria-label={`${player.lives} lives`}>
+                      {Array.from({ length: player.lives }).map((_, i) => (
+                        <Heart key={i} className="w-3.5 h-3.5 text-red-600 fill-red-500" />
+                      ))}
+                    </span>
+                  )}
+                  <span className="w-14 text-right font-extrabold text-orange-500">{player.score}</span>
+                </li>
+              ))}
+            </ul>
+
+            <motion.button
+              onClick={onAction}
+              className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+            >
+              <span>{actionLabel}</span>
+              <ArrowRight className="w-6 h-6" />
+            </motion.button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default PassAndPlayHandoff;
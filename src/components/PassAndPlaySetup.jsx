@@ -0,0 +1,105 @@
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import { ChevronLeft, UserPlus, X, Users, Play } from 'lucide-react';
+import { GAME_CONFIG } from '../data/gameData';
+
+const MIN_PLAYERS = 2;
+
+/**
+ * PassAndPlaySetup Component
+ * Name entry for a hot-seat match (2-4 players). Blank names fall back to "Player N".
+ */
+export const PassAndPlaySetup = ({ onStart, onBack, initialNames = ['', ''] }) => {
+  const [names, setNames] = useState(initialNames);
+
+  const updateName = (index, value) => {
+    setNames(prev => prev.map((name, i) => (i === index ? value.slice(0, 20) : name)));
+  };
+
+  const addPlayer = () => setNames(prev => [...prev, '']);
+  const removePlayer = (index) => setNames(prev => prev.filter((_, i) => i !== index));
+
+  const handleStart = () => {
+    onStart(names.map((name, i) => name.trim() || `Player ${i + 1}`));
+  };
+
+  return (
+    <div className="absolute inset-0 z-40 bg-gradient-to-br from-purple-100 via-blue-50 to-pink-100 overflow-y-auto">
+      <div className="relative z-10 px-4 py-6 max-w-md mx-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <motion.button
+            onClick={onBack}
+            className="flex items-center gap-2 bg-white/80 backdrop-blur-sm px-4 py-2 rounded-full shadow-lg hover:shadow-xl transition-all duration-200"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <ChevronLeft className="w-5 h-5 text-purple-600" />
+            <span className="text-purple-600 font-semibold text-sm">Back</span>
+          </motion.button>
+
+          <h2 className="text-2xl font-bold gradient-text">
+            Pass & Play
+          </h2>
+
+          <div className="w-20" /> {/* Spacer for centering */}
+        </div>
+
+        <div className="bg-white/80 backdrop-blur-sm rounded-3xl p-5 shadow-lg space-y-3">
+          <p className="flex items-center gap-2 text-sm font-semibold text-purple-600">
+            <Users className="w-4 h-4" />
+            Take turns on the same levels - pass the phone after each turn!
+          </p>
+
+          {names.map((name, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <span className="w-8 h-8 flex-shrink-0 rounded-full bg-gradient-to-br from-purple-400 to-pink-400 text-white font-bold flex items-center justify-center">
+                {index + 1}
+              </span>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => updateName(index, e.target.value)}
+                placeholder={`Player ${index + 1}`}
+                maxLength={20}
+                className="flex-1 min-w-0 px-4 py-2 rounded-2xl border-2 border-purple-200 focus:border-purple-400 focus:outline-none text-purple-700 font-semibold bg-white"
+                aria-label={`Player ${index + 1} name`}
+              />
+              {names.length > MIN_PLAYERS && (
+                <button
+                  onClick={() => removePlayer(index)}
+                  className="w-8 h-8 flex-shrink-0 rounded-full bg-gray-100 hover:bg-red-100 text-gray-500 hover:text-red-500 flex items-center justify-center"
+                  aria-label={`Remove player ${index + 1}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+
+          {names.length < GAME_CONFIG.PASS_AND_PLAY_MAX_PLAYERS && (
+            <button
+              onClick={addPlayer}
+              className="w-full flex items-center justify-center gap-2 py-2 rounded-2xl border-2 border-dashed border-purple-300 text-purple-500 font-semibold hover:bg-purple-50"
+            >
+              <UserPlus className="w-4 h-4" />
+              Add Player
+            </button>
+          )}
+        </div>
+
+        <motion.button
+          onClick={handleStart}
+          className="mt-6 w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+        >
+          <Play className="w-6 h-6" fill="white" />
+          <span>Start Match</span>
+        </motion.button>
+      </div>
+    </div>
+  );
+};
+
+export default PassAndPlaySetup;
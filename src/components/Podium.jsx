@@ -0,0 +1,100 @@
+import { motion } from 'framer-motion';
+import { Crown, RefreshCw, Home } from 'lucide-react';
+
+// Podium blocks, drawn 2nd - 1st - 3rd
+const PODIUM_ORDER = [1, 0, 2];
+const PODIUM_STYLES = [
+  { height: 'h-28', color: 'from-yellow-300 to-amber-400', label: '1st' },
+  { height: 'h-20', color: 'from-gray-200 to-gray-300', label: '2nd' },
+  { height: 'h-14', color: 'from-orange-300 to-orange-400', label: '3rd' },
+];
+
+/**
+ * Rank players: score first, then levels cleared
+ */
+const rankPlayers = (players) => [...players].sort((a, b) =>
+  b.score - a.score || b.levelsCleared - a.levelsCleared
+);
+
+/**
+ * Podium Component
+ * Final standings of a pass-and-play match.
+ */
+export const Podium = ({ players, onPlayAgain, onExit }) => {
+  const ranking = rankPlayers(players);
+
+  return (
+    <div className="absolute inset-0 z-40 flex items-center justify-center bg-gradient-to-br from-indigo-300 via-purple-200 to-pink-200 overflow-y-auto">
+      <div className="text-center px-6 py-10 w-full max-w-md">
+        <motion.h1
+          className="text-5xl font-extrabold mb-1 text-purple-700"
+          initial={{ scale: 0.8, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+        >
+          {ranking[0].name} Wins!
+        </motion.h1>
+        <p className="text-base font-semibold text-purple-600 mb-8">Final standings</p>
+
+        {/* Top Three */}
+        <div className="flex items-end justify-center gap-2 mb-6">
+          {PODIUM_ORDER.filter(place => ranking[place]).map(place => {
+            const player = ranking[place];
+            const style = PODIUM_STYLES[place];
+            return (
+              <motion.div
+                key={place}
+                className="flex-1 max-w-[7rem] flex flex-col items-center"
+                initial={{ y: 40, opacity: 0 }}
+                animate={{ y: 0, opacity: 1 }}
+                transition={{ delay: 0.2 + (2 - place) * 0.2, type: 'spring', stiffness: 200, damping: 18 }}
+              >
+                {place === 0 && <Crown className="w-8 h-8 text-yellow-500 fill-yellow-400 mb-1" />}
+                <span className="w-full truncate font-bold text-purple-700">{player.name}</span>
+                <span className="text-sm font-extrabold text-orange-500 mb-1">{player.score}</span>
+                <div className={`w-full ${style.height} rounded-t-2xl bg-gradient-to-b ${style.color} border-4 border-white shadow-lg flex items-start justify-center pt-2`}>
+                  <span className="text-lg font-black text-white drop-shadow">{style.label}</span>
+                </div>
+              </motion.div>
+            );
+          })}
+        </div>
+
+        {/* Everyone else */}
+        {ranking.length > 3 && (
+          <ul className="bg-white/80 rounded-3xl p-3 mb-6 space-y-1 text-left">
+            {ranking.slice(3).map((player, index) => (
+              <li key={index} className="flex items-center gap-2 px-2">
+                <span className="w-8 font-bold text-purple-400">{index + 4}th</span>
+                <span className="flex-1 truncate font-semibold text-purple-700">{player.name}</span>
+                <span className="font-extrabold text-orange-500">{player.score}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="space-y-3">
+          <motion.button
+            onClick={onPlayAgain}
+            className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <RefreshCw className="w-6 h-6" />
+            <span>Rematch</span>
+          </motion.button>
+          <motion.button
+            onClick={onExit}
+            className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+          >
+            <Home className="w-5 h-5" />
+            <span>Main Menu</span>
+          </motion.button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Podium;
@@ -0,0 +1,98 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { Crown, Home, Globe, Loader } from 'lucide-react';
+
+/**
+ * RaceResults Component
+ * End of an online race for this player: waits for the opponent,
+ * then crowns the winner (standings come from getRaceStandings).
+ */
+export const RaceResults = ({
+  isOpen,
+  isRaceOver,
+  standings,
+  playerId,
+  levelCount,
+  onNewRace,
+  onExit,
+}) => {
+  const winner = standings[0];
+  const opponent = standings.find(player => player.id !== playerId);
+  const isTie = standings.length > 1 && !standings.some(player => player.left)
+    && standings.every(player =>
+      player.progress?.levelsCleared === winner.progress?.levelsCleared && player.progress?.score === winner.progress?.score
+    );
+
+  const title = !isRaceOver ? 'Finished!' : isTie ? "It's a Tie!" : winner?.id === playerId ? 'You Win!' : `${winner?.name} Wins!`;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 z-50 flex items-center justify-center bg-gradient-to-br from-indigo-300 via-purple-200 to-pink-200"
+          role="dialog"
+          aria-label={title}
+        >
+          <div className="text-center px-8 py-10 w-full max-w-md">
+            <h1 className="text-5xl font-extrabold mb-2 text-purple-700">
+              {title}
+            </h1>
+            {!isRaceOver && opponent && (
+              <p className="flex items-center justify-center gap-2 text-base font-semibold text-purple-600">
+                <Loader className="w-4 h-4 animate-spin" />
+                Waiting for {opponent.name} to finish...
+              </p>
+            )}
+
+            {/* Standings (live until the race is over) */}
+            <ul className="bg-white/90 rounded-3xl border-4 border-yellow-400 p-3 my-6 shadow-xl space-y-1.5 text-left">
+              {standings.map((player, index) => (
+                <li
+                  key={player.id}
+                  className={`flex items-center gap-2 px-3 py-2 rounded-2xl ${player.id === playerId ? 'bg-purple-100' : ''}`}
+                >
+                  <span className="w-5">
+                    {isRaceOver && !isTie && index === 0 && <Crown className="w-5 h-5 text-yellow-500 fill-yellow-400" />}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate font-bold text-purple-700">
+                    {player.name}{player.id === playerId ? ' (you)' : ''}
+                  </span>
+                  {player.left && <span className="text-xs font-bold uppercase text-gray-500">Left</span>}
+                  <span className="text-sm font-semibold text-purple-500">
+                    {player.progress?.levelsCleared || 0}/{levelCount}
+                  </span>
+                  <span className="w-14 text-right font-extrabold text-orange-500">{player.progress?.score || 0}</span>
+                </li>
+              ))}
+            </ul>
+
+            <div className="space-y-3">
+              <motion.button
+                onClick={onNewRace}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <Globe className="w-6 h-6" />
+                <span>New Race</span>
+              </motion.button>
+              <motion.button
+                onClick={onExit}
+                className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <Home className="w-5 h-5" />
+                <span>Main Menu</span>
+              </motion.button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RaceResults;
@@ -0,0 +1,143 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import { useState } from 'react';
+import { RefreshCw, Home, Trophy, Crown, Send, Check } from 'lucide-react';
+
+/**
+ * RunSummary Component
+ * End-of-run overlay for run-based modes (survival, daily): final score,
+ * levels cleared, personal best and an optional leaderboard submit.
+ */
+export const RunSummary = ({
+  isOpen,
+  title = 'Run Over!',
+  subtitle = null,
+  score,
+  levelsCleared,
+  bestScore,
+  isNewBest = false,
+  onPlayAgain,
+  playAgainLabel = 'Play Again',
+  onExit,
+  exitLabel = 'Main Menu',
+  onSubmitScore,
+}) => {
+  const [submitState, setSubmitState] = useState('idle'); // idle | sending | sent
+  const [wasOpen, setWasOpen] = useState(isOpen);
+
+  // Allow a fresh submit for every run
+  if (wasOpen !== isOpen) {
+    setWasOpen(isOpen);
+    if (isOpen) setSubmitState('idle');
+  }
+
+  const handleSubmit = async () => {
+    setSubmitState('sending');
+    try {
+      await onSubmitScore();
+      setSubmitState('sent');
+    } catch (err) {
+      console.warn('[RunSummary] Failed to submit score:', err);
+      setSubmitState('idle');
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="absolute inset-0 z-50 flex items-center justify-center bg-gradient-to-br from-indigo-300/98 via-purple-200/98 to-pink-200/98 backdrop-blur-lg"
+          role="dialog"
+          aria-label={title}
+        >
+          <div className="text-center px-8 py-10 w-full max-w-md">
+            <motion.div
+              className="inline-flex items-center justify-center w-24 h-24 mb-5 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-full shadow-2xl border-4 border-white"
+              animate={isNewBest ? { rotate: [0, -10, 10, -10, 0], scale: [1, 1.1, 1] } : {}}
+              transition={{ duration: 1, repeat: Infinity, repeatDelay: 0.5 }}
+            >
+              {isNewBest ? (
+                <Crown className="w-12 h-12 text-white" strokeWidth={2.5} />
+              ) : (
+                <Trophy className="w-12 h-12 text-white" strokeWidth={2.5} />
+              )}
+            </motion.div>
+
+            <h1 className="text-5xl font-extrabold mb-2 text-purple-700">
+              {title}
+            </h1>
+            {isNewBest && (
+              <motion.p
+                className="text-lg font-bold text-orange-500 mb-2"
+                animate={{ scale: [1, 1.08, 1] }}
+                transition={{ duration: 1, repeat: Infinity }}
+              >
+                New personal best!
+              </motion.p>
+            )}
+            {subtitle && (
+              <p className="text-base font-semibold text-purple-600">{subtitle}</p>
+            )}
+
+            {/* Run Stats */}
+            <div className="grid grid-cols-3 gap-2 bg-white/90 rounded-3xl border-4 border-yellow-400 p-4 my-6 shadow-xl">
+              <div>
+                <p className="text-xs uppercase tracking-wider font-bold text-purple-500">Score</p>
+                <p className="text-3xl font-extrabold text-orange-500">{score}</p>
+              </div>
+              <div>
+                <p className="text-xs uppercase tracking-wider font-bold text-purple-500">Cleared</p>
+                <p className="text-3xl font-extrabold text-purple-600">{levelsCleared}</p>
+              </div>
+              <div>
+                <p className="text-xs uppercase tracking-wider font-bold text-purple-500">Best</p>
+                <p className="text-3xl font-extrabold text-purple-600">{bestScore}</p>
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              <motion.button
+                onClick={onPlayAgain}
+                className="w-full bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-600 hover:to-pink-600 text-white font-bold text-lg py-4 px-8 rounded-3xl shadow-xl flex items-center justify-center gap-3 border-4 border-white"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <RefreshCw className="w-6 h-6" />
+                <span>{playAgainLabel}</span>
+              </motion.button>
+
+              {onSubmitScore && score > 0 && (
+                <motion.button
+                  onClick={handleSubmit}
+                  disabled={submitState !== 'idle'}
+                  className="w-full bg-gradient-to-r from-yellow-400 to-orange-400 text-yellow-900 font-bold py-3 px-6 rounded-3xl border-4 border-white flex items-center justify-center gap-2 shadow-lg disabled:opacity-70"
+                  whileHover={{ scale: submitState === 'idle' ? 1.02 : 1 }}
+                  whileTap={{ scale: submitState === 'idle' ? 0.98 : 1 }}
+                >
+                  {submitState === 'sent' ? <Check className="w-5 h-5" /> : <Send className="w-5 h-5" />}
+                  <span>
+                    {submitState === 'sent' ? 'Score Submitted' : submitState === 'sending' ? 'Submitting...' : 'Submit to Leaderboard'}
+                  </span>
+                </motion.button>
+              )}
+
+              <motion.button
+                onClick={onExit}
+                className="w-full bg-white/80 hover:bg-white text-purple-600 font-semibold py-3 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2"
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                <Home className="w-5 h-5" />
+                <span>{exitLabel}</span>
+              </motion.button>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default RunSummary;
@@ -17,10 +17,21 @@ import {
   Play,
   User,
   Edit3,
+  Gamepad2,
+  Save,
+  Download,
+  Upload,
+  Copy,
+  Cloud,
+  Link2,
+  RefreshCw,
 } from 'lucide-react';
 
 // Import AudioManager for test sounds
 import { AudioManager } from '../services/AudioManager';
+import { encodeSaveCode, readSaveText, downloadSaveFile, getSaveDiff } from '../utils/saveTransfer';
+import { CLOUD_SYNC_STATUS } from '../hooks/useCloudSave';
+import { GAME_CONFIG } from '../data/gameData';
 
 /**
  * Premium Settings Modal Component
@@ -37,10 +48,24 @@ import { AudioManager } from '../services/AudioManager';
  * - Vibration Feedback: Enables/disables phone vibration on interactions
  * - Intensity: Controls how strong vibrations are (0-100%)
  * 
+ * GAMEPLAY:
+ * - Timed Mode: Per-level countdown with a speed bonus (timeout costs a life)
+ * - Reshuffle on Mistake: Options change places after every wrong guess
+ * - Drag & Drop: Drag options onto the face, with a bonus for precise drops
+ * 
  * ACCESSIBILITY:
  * - High Contrast: Applies high-contrast color scheme for visibility
  * - Reduce Motion: Disables all animations for motion sensitivity
  * 
+ * YOUR SAVE:
+ * - Export: Downloads the save as a JSON file or copies it as a save code
+ * - Import: Loads a save file/code (checked and upgraded like a stored save),
+ *   previews what would change and replaces the save once confirmed
+ * 
+ * CLOUD SAVE:
+ * - Cloud Save: Mirrors the save under the player ID (merged, offline-first)
+ * - Link Code: One-time code to restore this save on another device
+ * 
  * DATA MANAGEMENT:
  * - Reset All Progress: Clears level progress and scores
  */
@@ -51,6 +76,10 @@ export const SettingsModal = ({
   updateSetting,
   updateSettings,
   onResetProgress,
+  saveData,
+  onParseImport,
+  onImportSave,
+  cloudSave,
   gameState,
   goHome,
   playerName,
@@ -60,6 +89,19 @@ export const SettingsModal = ({
   const [showSuccess, setShowSuccess] = useState(false);
   const [isEditingName, setIsEditingName] = useState(false);
   const [tempName, setTempName] = useState(playerName || '');
+  const [saveCode, setSaveCode] = useState('');
+  const [isCodeCopied, setIsCodeCopied] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [importText, setImportText] = useState('');
+  const [importPreview, setImportPreview] = useState(null); // { state, diff }
+  const [importError, setImportError] = useState('');
+  const [showImported, setShowImported] = useState(false);
+  const [linkCode, setLinkCode] = useState('');
+  const [linkInput, setLinkInput] = useState('');
+  const [linkError, setLinkError] = useState('');
+  const [linkMessage, setLinkMessage] = useState('');
+  const [isLinkBusy, setIsLinkBusy] = useState(false);
 
   const handleMusicVolumeChange = useCallback((e) => {
     const value = parseInt(e.target.value, 10);
@@ -93,6 +135,18 @@ export const SettingsModal = ({
     }
   }, [updateSetting, settings.haptics.enabled]);
 
+  const handleTimedModeToggle = useCallback(() => {
+    updateSetting('gameplay.timedMode', !settings.gameplay.timedMode);
+  }, [settings.gameplay.timedMode, updateSetting]);
+
+  const handleReshuffleToggle = useCallback(() => {
+    updateSetting('gameplay.reshuffleOnWrong', !settings.gameplay.reshuffleOnWrong);
+  }, [settings.gameplay.reshuffleOnWrong, updateSetting]);
+
+  const handleDragPlacementToggle = useCallback(() => {
+    updateSetting('gameplay.dragPlacement', !settings.gameplay.dragPlacement);
+  }, [settings.gameplay.dragPlacement, updateSetting]);
+
   const handleAccessibilityToggle = useCallback((key) => {
     const current = settings.accessibility[key];
     updateSetting(`accessibility.${key}`, !current);
@@ -114,6 +168,98 @@ export const SettingsModal = ({
     }
   }, [confirmReset, onResetProgress, onClose]);
 
+  const handleCopySaveCode = useCallback(async () => {
+    setExportError('');
+    let code;
+    try {
+      code = await encodeSaveCode(saveData);
+    } catch (err) {
+      console.warn('[Settings] Could not create a save code:', err);
+      setExportError('Could not create a save code - use Save File instead.');
+      return;
+    }
+    setSaveCode(code);
+    try {
+      await navigator.clipboard.writeText(code);
+      setIsCodeCopied(true);
+    } catch (err) {
+      console.warn('[Settings] Clipboard unavailable, showing the code instead:', err);
+      setExportError('Could not copy the code - select it below and copy it yourself.');
+    }
+  }, [saveData]);
+
+  const handleCheckImport = useCallback(async (text) => {
+    setImportError('');
+    setImportPreview(null);
+    try {
+      const state = onParseImport(await readSaveText(text));
+      setImportPreview({ state, diff: getSaveDiff(saveData, state) });
+    } catch (err) {
+      setImportError(err instanceof SyntaxError ? 'That is not a save file or save code.' : err.message);
+    }
+  }, [onParseImport, saveData]);
+
+  const handleImportFile = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      console.warn('[Settings] Could not read the save file:', err);
+      setImportPreview(null);
+      setImportError('Could not read that file.');
+      return;
+    }
+    setImportText(text);
+    handleCheckImport(text);
+  }, [handleCheckImport]);
+
+  const handleCancelImport = useCallback(() => {
+    setIsImportOpen(false);
+    setImportText('');
+    setImportPreview(null);
+    setImportError('');
+  }, []);
+
+  const handleConfirmImport = useCallback(() => {
+    if (onImportSave(importPreview.state)) {
+      handleCancelImport();
+      setShowImported(true);
+      setTimeout(() => {
+        setShowImported(false);
+        onClose();
+      }, 2000);
+    }
+  }, [importPreview, onImportSave, handleCancelImport, onClose]);
+
+  /**
+   * Run a link code action, surfacing its error message
+   */
+  const runLinkAction = useCallback(async (action) => {
+    setIsLinkBusy(true);
+    setLinkError('');
+    setLinkMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setLinkError(err.message);
+    } finally {
+      setIsLinkBusy(false);
+    }
+  }, []);
+
+  const handleCreateLinkCode = useCallback(() => runLinkAction(async () => {
+    setLinkCode(await cloudSave.createLinkCode());
+  }), [runLinkAction, cloudSave]);
+
+  const handleRedeemLinkCode = useCallback(() => runLinkAction(async () => {
+    await cloudSave.redeemLinkCode(linkInput);
+    setLinkInput('');
+    setLinkMessage('Save restored - progress from this device was merged in.');
+  }), [runLinkAction, cloudSave, linkInput]);
+
   const handleSaveName = useCallback(() => {
     if (tempName.trim()) {
       setPlayerName(tempName.trim());
@@ -128,6 +274,18 @@ export const SettingsModal = ({
 
   if (!isOpen) return null;
 
+  const cloudStatusText = {
+    [CLOUD_SYNC_STATUS.UNAVAILABLE]: 'Cloud save is not available in this version of the game.',
+    [CLOUD_SYNC_STATUS.OFF]: 'Off - your save only lives on this device.',
+    [CLOUD_SYNC_STATUS.OFFLINE]: 'Offline - changes are kept on this device and synced when you are back online.',
+    [CLOUD_SYNC_STATUS.SYNCING]: 'Syncing...',
+    [CLOUD_SYNC_STATUS.SYNCED]: cloudSave.lastSyncedAt
+      ? `Synced at ${new Date(cloudSave.lastSyncedAt).toLocaleTimeString()}`
+      : 'Waiting to sync...',
+    [CLOUD_SYNC_STATUS.ERROR]: `Sync failed: ${cloudSave.error}`,
+  }[cloudSave.status];
+  const isCloudAvailable = cloudSave.status !== CLOUD_SYNC_STATUS.UNAVAILABLE;
+
   return (
     <div className={styles.backdrop} onClick={onClose}>
       <div className={styles.modal} onClick={e => e.stopPropagation()}>
@@ -343,6 +501,68 @@ export const SettingsModal = ({
             )}
           </section>
 
+          {/* Gameplay Section */}
+          <section className={styles.section}>
+            <h2 className={styles.sectionTitle}>
+              <Gamepad2 size={20} />
+              Gameplay
+            </h2>
+
+            <div className={styles.settingItem}>
+              <div className={styles.settingLabel}>
+                <span>Timed Mode</span>
+              </div>
+              <p className={styles.settingDescription}>
+                Beat the clock for a speed bonus. Running out of time costs a life
+              </p>
+              <button
+                className={`${styles.toggle} ${settings.gameplay.timedMode ? styles.toggleActive : ''}`}
+                onClick={handleTimedModeToggle}
+                role="switch"
+                aria-checked={settings.gameplay.timedMode}
+                aria-label="Toggle timed mode"
+              >
+                <div className={styles.toggleSlider} />
+              </button>
+            </div>
+
+            <div className={styles.settingItem}>
+              <div className={styles.settingLabel}>
+                <span>Reshuffle on Mistake</span>
+              </div>
+              <p className={styles.settingDescription}>
+                Options swap places after every wrong guess
+              </p>
+              <button
+                className={`${styles.toggle} ${settings.gameplay.reshuffleOnWrong ? styles.toggleActive : ''}`}
+                onClick={handleReshuffleToggle}
+                role="switch"
+                aria-checked={settings.gameplay.reshuffleOnWrong}
+                aria-label="Toggle reshuffle on mistake"
+              >
+                <div className={styles.toggleSlider} />
+              </button>
+            </div>
+
+            <div className={styles.settingItem}>
+              <div className={styles.settingLabel}>
+                <span>Drag & Drop</span>
+              </div>
+              <p className={styles.settingDescription}>
+                Drag options onto the face. Precise drops earn bonus points (scroll or +/- to resize)
+              </p>
+              <button
+                className={`${styles.toggle} ${settings.gameplay.dragPlacement ? styles.toggleActive : ''}`}
+                onClick={handleDragPlacementToggle}
+                role="switch"
+                aria-checked={settings.gameplay.dragPlacement}
+                aria-label="Toggle drag and drop placement"
+              >
+                <div className={styles.toggleSlider} />
+              </button>
+            </div>
+          </section>
+
           {/* Accessibility Section */}
           <section className={styles.section}>
             <h2 className={styles.sectionTitle}>
@@ -387,6 +607,227 @@ export const SettingsModal = ({
             </div>
           </section>
 
+          {/* Save Export/Import Section */}
+          <section className={styles.section}>
+            <h2 className={styles.sectionTitle}>
+              <Save size={20} />
+              Your Save
+            </h2>
+
+            {showImported ? (
+              <div className={styles.successMessage}>
+                <Check size={18} />
+                Save Imported Successfully!
+              </div>
+            ) : (
+              <>
+                <div className={styles.settingItem}>
+                  <div className={styles.settingLabel}>
+                    <span>Export</span>
+                  </div>
+                  <p className={styles.settingDescription}>
+                    Progress, best scores, settings and your player ID - take them to another device
+                  </p>
+                  <div className={styles.dataButtons}>
+                    <button className={styles.dataButton} onClick={() => downloadSaveFile(saveData)}>
+                      <Download size={16} />
+                      Save File
+                    </button>
+                    <button className={styles.dataButton} onClick={handleCopySaveCode}>
+                      {isCodeCopied ? <Check size={16} /> : <Copy size={16} />}
+                      {isCodeCopied ? 'Code Copied' : 'Copy Code'}
+                    </button>
+                  </div>
+                  {saveCode && (
+                    <textarea
+                      className={styles.codeBox}
+                      value={saveCode}
+                      readOnly
+                      rows={3}
+                      onFocus={(e) => e.target.select()}
+                      aria-label="Save code"
+                    />
+                  )}
+                  {exportError && <p className={styles.errorText}>{exportError}</p>}
+                </div>
+
+                <div className={styles.settingItem}>
+                  <div className={styles.settingLabel}>
+                    <span>Import</span>
+                  </div>
+                  <p className={styles.settingDescription}>
+                    Replace this device's save with a save file or code
+                  </p>
+
+                  {!isImportOpen ? (
+                    <button className={styles.dataButton} onClick={() => setIsImportOpen(true)}>
+                      <Upload size={16} />
+                      Import Save
+                    </button>
+                  ) : importPreview ? (
+                    <>
+                      <table className={styles.diffTable}>
+                        <thead>
+                          <tr>
+                            <th />
+                            <th>Now</th>
+                            <th>Imported</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {importPreview.diff.rows.map(row => (
+                            <tr key={row.label} className={row.from !== row.to ? styles.diffChanged : ''}>
+                              <td>{row.label}</td>
+                              <td>{row.from}</td>
+                              <td>{row.to}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {importPreview.diff.lowerBests > 0 && (
+                        <p className={styles.errorText}>
+                          Your better best scores on {importPreview.diff.lowerBests} {importPreview.diff.lowerBests === 1 ? 'level' : 'levels'} will be lost.
+                        </p>
+                      )}
+                      {!importPreview.diff.isSamePlayer && (
+                        <p className={styles.settingDescription}>
+                          This save belongs to another player ID - leaderboard scores from this device won't carry over.
+                        </p>
+                      )}
+                      <div className={styles.nameButtons}>
+                        <button className={styles.saveButton} onClick={handleConfirmImport}>
+                          <Check size={16} />
+                          Replace My Save
+                        </button>
+                        <button className={styles.cancelButton} onClick={handleCancelImport} aria-label="Cancel import">
+                          <X size={16} />
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <div className={styles.nameInputContainer}>
+                      <textarea
+                        className={styles.codeBox}
+                        value={importText}
+                        onChange={(e) => setImportText(e.target.value)}
+                        placeholder="Paste a save code..."
+                        rows={3}
+                        aria-label="Save code to import"
+                      />
+                      <label className={styles.dataButton}>
+                        <Upload size={16} />
+                        Choose Save File
+                        <input type="file" accept=".json,application/json" onChange={handleImportFile} hidden />
+                      </label>
+                      {importError && <p className={styles.errorText}>{importError}</p>}
+                      <div className={styles.nameButtons}>
+                        <button
+                          className={styles.saveButton}
+                          onClick={() => handleCheckImport(importText)}
+                          disabled={!importText.trim()}
+                        >
+                          <Check size={16} />
+                          Check Save
+                        </button>
+                        <button className={styles.cancelButton} onClick={handleCancelImport} aria-label="Cancel import">
+                          <X size={16} />
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </section>
+
+          {/* Cloud Save Section */}
+          <section className={styles.section}>
+            <h2 className={styles.sectionTitle}>
+              <Cloud size={20} />
+              Cloud Save
+            </h2>
+
+            <div className={styles.settingItem}>
+              <div className={styles.settingLabel}>
+                <span>Sync to Cloud</span>
+              </div>
+              <p className={styles.settingDescription}>
+                Keeps your save in the cloud under your player ID. Progress from every device is combined.
+              </p>
+              <button
+                className={`${styles.toggle} ${cloudSave.isEnabled ? styles.toggleActive : ''}`}
+                onClick={() => cloudSave.setEnabled(!cloudSave.isEnabled)}
+                disabled={!isCloudAvailable}
+                role="switch"
+                aria-checked={cloudSave.isEnabled}
+                aria-label="Toggle cloud save"
+              >
+                <div className={styles.toggleSlider} />
+              </button>
+              <p className={cloudSave.status === CLOUD_SYNC_STATUS.ERROR ? styles.errorText : styles.settingDescription}>
+                {cloudStatusText}
+              </p>
+              {cloudSave.status === CLOUD_SYNC_STATUS.ERROR && (
+                <button className={styles.dataButton} onClick={cloudSave.syncNow}>
+                  <RefreshCw size={16} />
+                  Try Again
+                </button>
+              )}
+            </div>
+
+            {isCloudAvailable && (
+              <div className={styles.settingItem}>
+                <div className={styles.settingLabel}>
+                  <span>Link Another Device</span>
+                </div>
+                <p className={styles.settingDescription}>
+                  Get a code here and enter it on your other device within {GAME_CONFIG.CLOUD_LINK_TTL_MINUTES} minutes.
+                  The code works once.
+                </p>
+
+                {cloudSave.isEnabled && (
+                  linkCode ? (
+                    <div className={styles.nameDisplay}>
+                      <span className={styles.playerNameText}>{linkCode}</span>
+                      <button className={styles.editButton} onClick={() => setLinkCode('')}>
+                        <Check size={16} />
+                        Done
+                      </button>
+                    </div>
+                  ) : (
+                    <button className={styles.dataButton} onClick={handleCreateLinkCode} disabled={isLinkBusy}>
+                      <Link2 size={16} />
+                      Get Link Code
+                    </button>
+                  )
+                )}
+
+                <div className={`${styles.nameButtons} ${styles.linkRow}`}>
+                  <input
+                    type="text"
+                    value={linkInput}
+                    onChange={(e) => setLinkInput(e.target.value)}
+                    placeholder="Have a code? XXXX-XXXX"
+                    maxLength={9}
+                    className={styles.nameInput}
+                    aria-label="Link code"
+                    onKeyDown={(e) => e.key === 'Enter' && linkInput.trim() && handleRedeemLinkCode()}
+                  />
+                  <button
+                    className={styles.saveButton}
+                    onClick={handleRedeemLinkCode}
+                    disabled={!linkInput.trim() || isLinkBusy}
+                  >
+                    <Download size={16} />
+                    Restore
+                  </button>
+                </div>
+                {linkError && <p className={styles.errorText}>{linkError}</p>}
+                {linkMessage && <p className={styles.settingDescription}>{linkMessage}</p>}
+              </div>
+            )}
+          </section>
+
           {/* Data Management Section */}
           <section className={`${styles.section} ${styles.dangerZone}`}>
             <h2 className={styles.sectionTitle}>
@@ -411,7 +852,7 @@ export const SettingsModal = ({
                 <p className={styles.dangerText}>
                   {confirmReset
                     ? 'This action cannot be undone. All level progress and scores will be deleted.'
-                    : 'Deletes all unlocked levels, scores, and game progress. Settings are preserved.'
+                    : 'Deletes all unlocked levels, scores, and game progress. Settings are preserved; cloud save is turned off.'
                   }
                 </p>
               </>
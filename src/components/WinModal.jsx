@@ -1,23 +1,36 @@
 import { motion, AnimatePresence } from 'framer-motion';
-import { Trophy, RotateCcw, ArrowRight, Star, Zap } from 'lucide-react';
+import { Trophy, RotateCcw, ArrowRight, Star, Zap, Crown } from 'lucide-react';
+import { MAX_STARS } from '../utils/stars';
 
 /**
  * WinModal Component - COZY PLAYFUL VERSION
  * Level complete overlay with bubbly, friendly design
+ * (isGameWon switches to the golden finale variant for the last campaign level)
  */
 export const WinModal = ({ 
   isOpen, 
   score, 
+  runScore = null, // Run total so far (campaign), shown under the level score
   currentLevel, 
   totalLevels, 
   onNextLevel, 
-  onReplay 
+  onReplay,
+  steps = null, // Per-step breakdown for sequence levels: [{ label, attempts, points }]
+  hintsUsed = 0,
+  stars = null, // Star rating earned (campaign only)
+  difficulty = null, // Difficulty tier played (multiplier shown when it isn't x1)
+  nextLabel = 'Next Level!',
+  isGameWon = false, // Final campaign level cleared - leads to the ending screen
+  isPractice = false // Practice run - nothing was scored
 }) => {
+  const HeroIcon = isGameWon ? Crown : Trophy;
   return (
     <AnimatePresence>
       {isOpen && (
         <motion.div
-          className="absolute inset-0 z-50 flex items-center justify-center bg-gradient-to-br from-purple-300/98 via-pink-300/98 to-orange-300/98 backdrop-blur-lg"
+          className={`absolute inset-0 z-50 flex items-center justify-center backdrop-blur-lg bg-gradient-to-br ${isGameWon
+            ? 'from-yellow-200/98 via-orange-200/98 to-pink-300/98'
+            : 'from-purple-300/98 via-pink-300/98 to-orange-300/98'}`}
           initial={{ opacity: 0 }}
           animate={{ opacity: 1 }}
           exit={{ opacity: 0 }}
@@ -25,7 +38,7 @@ export const WinModal = ({
         >
           {/* Floating Stars */}
           <div className="absolute inset-0 overflow-hidden pointer-events-none">
-            {Array.from({ length: 15 }).map((_, i) => (
+            {Array.from({ length: isGameWon ? 30 : 15 }).map((_, i) => (
               <motion.div
                 key={i}
                 className="absolute"
@@ -70,7 +83,7 @@ export const WinModal = ({
                 repeatType: 'reverse',
               }}
             >
-              <Trophy className="w-14 h-14 text-white" strokeWidth={2.5} />
+              <HeroIcon className="w-14 h-14 text-white" strokeWidth={2.5} />
             </motion.div>
 
             {/* Main Heading */}
@@ -90,9 +103,28 @@ export const WinModal = ({
               animate={{ opacity: 1 }}
               transition={{ delay: 0.3 }}
             >
-              Level Complete!
+              {isGameWon ? 'Campaign Complete!' : 'Level Complete!'}
             </motion.p>
 
+            {/* Star Rating */}
+            {stars !== null && (
+              <div className="flex justify-center gap-2 mb-4" aria-label={`${stars} of ${MAX_STARS} stars`}>
+                {Array.from({ length: MAX_STARS }).map((_, i) => (
+                  <motion.div
+                    key={i}
+                    initial={{ scale: 0, rotate: -90 }}
+                    animate={{ scale: 1, rotate: 0 }}
+                    transition={{ delay: 0.3 + i * 0.15, type: 'spring', stiffness: 300, damping: 15 }}
+                  >
+                    <Star
+                      className={`w-12 h-12 drop-shadow-lg ${i < stars ? 'text-yellow-400 fill-yellow-400' : 'text-white/70'}`}
+                      strokeWidth={2}
+                    />
+                  </motion.div>
+                ))}
+              </div>
+            )}
+
             {/* Score Display */}
             <motion.div
               className="bg-white/90 backdrop-blur-sm border-4 border-yellow-400 rounded-3xl px-8 py-6 mb-8 shadow-xl"
@@ -103,13 +135,49 @@ export const WinModal = ({
               <div className="flex items-center justify-center gap-3 mb-2">
                 <Star className="w-6 h-6 text-yellow-500 fill-yellow-500" />
                 <span className="text-purple-600 text-sm uppercase tracking-wider font-bold">
-                  Score
+                  {isPractice ? 'Practice' : 'Score'}
                 </span>
                 <Star className="w-6 h-6 text-yellow-500 fill-yellow-500" />
               </div>
-              <p className="text-6xl font-extrabold text-orange-500">
-                {score}
-              </p>
+              {isPractice ? (
+                <p className="text-2xl font-extrabold text-teal-500">
+                  Not scored - keep exploring!
+                </p>
+              ) : (
+                <p className="text-6xl font-extrabold text-orange-500">
+                  {score}
+                </p>
+              )}
+              {runScore !== null && (
+                <p className="text-sm font-bold text-purple-500">
+                  Run total {runScore}
+                </p>
+              )}
+              {!isPractice && difficulty && difficulty.multiplier !== 1 && (
+                <p className="mt-1 text-xs font-bold text-pink-500">
+                  {difficulty.label} ×{difficulty.multiplier}
+                </p>
+              )}
+              {hintsUsed > 0 && (
+                <p className="mt-1 text-xs font-semibold text-purple-400">
+                  {hintsUsed} {hintsUsed === 1 ? 'hint' : 'hints'} used
+                </p>
+              )}
+
+              {/* Step Breakdown */}
+              {steps?.length > 1 && (
+                <ul className="mt-3 pt-3 border-t-2 border-yellow-200 space-y-1 text-sm">
+                  {steps.map((step, index) => (
+                    <li key={step.label} className="flex items-center justify-between text-purple-700">
+                      <span className="font-semibold">{index + 1}. {step.label}</span>
+                      <span className="text-xs text-purple-400">
+                        {step.attempts} {step.attempts === 1 ? 'try' : 'tries'}
+                      </span>
+                      {!isPractice && <span className="font-bold text-orange-500">+{step.points}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </motion.div>
 
             {/* Action Buttons */}
@@ -124,24 +192,30 @@ export const WinModal = ({
                 whileHover={{ scale: 1.05, boxShadow: '0 20px 40px rgba(139, 92, 246, 0.5)' }}
                 whileTap={{ scale: 0.95 }}
               >
-                <Zap className="w-6 h-6 group-hover:animate-pulse" />
-                <span>Next Level!</span>
+                {isGameWon ? (
+                  <Crown className="w-6 h-6 group-hover:animate-pulse" />
+                ) : (
+                  <Zap className="w-6 h-6 group-hover:animate-pulse" />
+                )}
+                <span>{isGameWon ? 'See Your Results' : nextLabel}</span>
                 <ArrowRight className="w-6 h-6 group-hover:translate-x-1 transition-transform" />
               </motion.button>
 
-              {/* Replay Button */}
-              <motion.button
-                onClick={onReplay}
-                className="w-full bg-white/80 hover:bg-white backdrop-blur-sm text-purple-600 font-semibold py-4 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2 shadow-lg"
-                initial={{ opacity: 0, x: 20 }}
-                animate={{ opacity: 1, x: 0 }}
-                transition={{ delay: 0.6 }}
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
-              >
-                <RotateCcw className="w-5 h-5" />
-                <span>Replay Level</span>
-              </motion.button>
+              {/* Replay Button (omitted in run-based modes) */}
+              {onReplay && (
+                <motion.button
+                  onClick={onReplay}
+                  className="w-full bg-white/80 hover:bg-white backdrop-blur-sm text-purple-600 font-semibold py-4 px-6 rounded-3xl border-4 border-purple-200 flex items-center justify-center gap-2 shadow-lg"
+                  initial={{ opacity: 0, x: 20 }}
+                  animate={{ opacity: 1, x: 0 }}
+                  transition={{ delay: 0.6 }}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                >
+                  <RotateCcw className="w-5 h-5" />
+                  <span>Replay Level</span>
+                </motion.button>
+              )}
             </div>
           </motion.div>
         </motion.div>
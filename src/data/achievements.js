@@ -0,0 +1,128 @@
+/**
+ * Achievements
+ * Declarative definitions evaluated by useAchievements: each one listens
+ * to a single game event and unlocks the first time `test(payload)` passes.
+ */
+import { GAME_MODES } from './gameData';
+import { MAX_STARS } from '../utils/stars';
+
+// Game events (emitted through GameEvents) and their payloads
+export const GAME_EVENTS = {
+    CORRECT_PICK: 'correctPick', // { levelAttempts }
+    PLACEMENT: 'placement', // { precision } - correct drag-and-drop drops
+    LEVEL_COMPLETE: 'levelComplete', // { stars, hintsUsed, mistakes, seconds }
+    GAME_OVER: 'gameOver', // { mode, score }
+    RUN_END: 'runEnd', // { mode, score, levelsCleared, bestCombo }
+    CAMPAIGN_PROGRESS: 'campaignProgress', // { completedLevels, levelCount, totalStars }
+    DAILY_STREAK: 'dailyStreak', // { streak }
+};
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'first_smile',
+        title: 'First Smile',
+        description: 'Make your first correct pick',
+        emoji: '😄',
+        event: GAME_EVENTS.CORRECT_PICK,
+        test: () => true,
+    },
+    {
+        id: 'sharp_eye',
+        title: 'Sharp Eye',
+        description: 'Finish a level without a mistake',
+        emoji: '👀',
+        event: GAME_EVENTS.LEVEL_COMPLETE,
+        test: ({ mistakes }) => mistakes === 0,
+    },
+    {
+        id: 'no_help_needed',
+        title: 'No Help Needed',
+        description: 'Clear a level without using a hint',
+        emoji: '🧠',
+        event: GAME_EVENTS.LEVEL_COMPLETE,
+        test: ({ hintsUsed }) => hintsUsed === 0,
+    },
+    {
+        id: 'superstar',
+        title: 'Superstar',
+        description: 'Earn three stars on a level',
+        emoji: '⭐',
+        event: GAME_EVENTS.LEVEL_COMPLETE,
+        test: ({ stars }) => stars === MAX_STARS,
+    },
+    {
+        id: 'speed_demon',
+        title: 'Speed Demon',
+        description: 'Finish a level in under 5 seconds',
+        emoji: '⚡',
+        event: GAME_EVENTS.LEVEL_COMPLETE,
+        test: ({ seconds }) => seconds < 5,
+    },
+    {
+        id: 'pixel_perfect',
+        title: 'Pixel Perfect',
+        description: 'Land a near-perfect drag-and-drop placement',
+        emoji: '🎯',
+        event: GAME_EVENTS.PLACEMENT,
+        test: ({ precision }) => precision >= 0.95,
+    },
+    {
+        id: 'oh_no',
+        title: 'Oh No!',
+        description: 'Run out of lives',
+        emoji: '😢',
+        event: GAME_EVENTS.GAME_OVER,
+        test: () => true,
+    },
+    {
+        id: 'survivor',
+        title: 'Survivor',
+        description: 'Clear 10 levels in one survival run',
+        emoji: '💪',
+        event: GAME_EVENTS.RUN_END,
+        test: ({ mode, levelsCleared }) => mode === GAME_MODES.SURVIVAL && levelsCleared >= 10,
+    },
+    {
+        id: 'face_fixer',
+        title: 'Face Fixer',
+        description: 'Complete every campaign level',
+        emoji: '🏆',
+        event: GAME_EVENTS.CAMPAIGN_PROGRESS,
+        test: ({ completedLevels, levelCount }) => levelCount > 0 && completedLevels >= levelCount,
+    },
+    {
+        id: 'perfect_campaign',
+        title: 'Perfect Campaign',
+        description: 'Earn three stars on every campaign level',
+        emoji: '👑',
+        event: GAME_EVENTS.CAMPAIGN_PROGRESS,
+        test: ({ totalStars, levelCount }) => levelCount > 0 && totalStars >= levelCount * MAX_STARS,
+    },
+    {
+        id: 'habit_forming',
+        title: 'Habit Forming',
+        description: 'Reach a 3-day daily challenge streak',
+        emoji: '📅',
+        event: GAME_EVENTS.DAILY_STREAK,
+        test: ({ streak }) => streak >= 3,
+    },
+    {
+        id: 'ten_days_strong',
+        title: 'Ten Days Strong',
+        description: 'Reach a 10-day daily challenge streak',
+        emoji: '🔥',
+        event: GAME_EVENTS.DAILY_STREAK,
+        test: ({ streak }) => streak >= 10,
+    },
+];
+
+/**
+ * Achievements newly unlocked by an event
+ * @param {string} type - Event type (GAME_EVENTS)
+ * @param {Object} payload - Event payload
+ * @param {Object} unlocked - { [achievementId]: timestamp } already unlocked
+ * @returns {string[]} Ids of the achievements to unlock
+ */
+export const evaluateAchievements = (type, payload, unlocked) => ACHIEVEMENTS
+    .filter(achievement => achievement.event === type && !unlocked[achievement.id] && achievement.test(payload))
+    .map(achievement => achievement.id);
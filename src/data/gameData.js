@@ -1,96 +1,61 @@
 /**
- * Game Data Structure
- * Each level contains:
- * - id: Unique identifier
- * - celebrity: Name of the celebrity
- * - baseImage: Image URL with missing mouth
- * - completeImage: Full image URL with correct mouth
- * - overlayStyle: Object with { top, left, width } percentages for mouth positioning
- * - options: Array of mouth option images (no labels)
- * - correctMouth: ID of the correct mouth option
+ * Game Data
+ * Levels live in JSON level packs under /public/levels
+ * (format: levelSchema.js, loading: LevelPackLoader.js)
  */
 
-export const gameLevels = [
-    {
-        id: 1,
-        celebrity: "Big Ramy",
-        baseImage: "/assets/level1/base.png",
-        completeImage: "/assets/level1/complete.png",
-        overlayStyle: {
-            top: "10%",    // Vertical position of mouth on face
-            left: "55%",   // Horizontal position of mouth on face
-            width: "15%",   // Width of mouth relative to face
-            transform: "translate(-50%, -50%)"
-        },
-        options: [
-            { id: "m1", image: "/assets/level1/mouth_wrong1.jpg" },
-            { id: "m2", image: "/assets/level1/mouth_correct.jpg" },
-            { id: "m3", image: "/assets/level1/mouth_wrong2.jpg" },
-            { id: "m4", image: "/assets/level1/mouth_wrong3.jpg" },
-        ],
-        correctMouth: "m2"
-    },
-    {
-        id: 2,
-        celebrity: "Ahmed Helmy",
-        baseImage: "/assets/level2/base.png",
-        completeImage: "/assets/level2/complete.png",
-        overlayStyle: {
-            top: "28%",
-            left: "42%",
-            width: "15%"
-        },
-        options: [
-            { id: "m1", image: "/assets/level2/mouth_wrong1.jpg" },
-            { id: "m2", image: "/assets/level2/mouth_wrong2.jpg" },
-            { id: "m3", image: "/assets/level2/mouth_correct.jpg" },
-            { id: "m4", image: "/assets/level2/mouth_wrong3.jpg" },
-        ],
-        correctMouth: "m3"
-    },
-    {
-        id: 3,
-        celebrity: "Tamer Hosny",
-        baseImage: "/assets/level3/base.png",
-        completeImage: "/assets/level3/complete.png",
-        overlayStyle: {
-            top: "50%",
-            left: "45%",
-            width: "23%"
-        },
-        options: [
-            { id: "m1", image: "/assets/level3/mouth_correct.jpg" },
-            { id: "m2", image: "/assets/level3/mouth_wrong1.jpg" },
-            { id: "m3", image: "/assets/level3/mouth_wrong2.jpg" },
-            { id: "m4", image: "/assets/level3/mouth_wrong3.jpg" },
-        ],
-        correctMouth: "m1"
-    },
-    {
-        id: 4,
-        celebrity: "Mo Salah",
-        baseImage: "/assets/level4/base.png",
-        completeImage: "/assets/level4/complete.png",
-        overlayStyle: {
-            top: "25%",
-            left: "35%",
-            width: "20%"
-        },
-        options: [
-            { id: "m1", image: "/assets/level4/mouth_wrong1.jpg" },
-            { id: "m2", image: "/assets/level4/mouth_wrong2.jpg" },
-            { id: "m3", image: "/assets/level4/mouth_wrong3.jpg" },
-            { id: "m4", image: "/assets/level4/mouth_correct.jpg" },
-        ],
-        correctMouth: "m4"
-    },
-];
-
 // Game configuration
 export const GAME_CONFIG = {
     INITIAL_LIVES: 3,
     POINTS_PER_LEVEL: 100,
-    POINTS_BONUS_SPEED: 50, // Bonus for quick answers
+    POINTS_BONUS_SPEED: 50, // Max bonus for quick answers (timed mode, decays to 0)
+    POINTS_BONUS_PLACEMENT: 30, // Max bonus for a precise drop (drag mode, per correct part)
+    PLACEMENT_SNAP_PRECISION: 0.6, // Drops at least this precise snap into place
+    LEVEL_TIME_LIMIT: 20, // Seconds per level in timed mode
     ANIMATION_DURATION: 300,
-    CONFETTI_DURATION: 3000
+    CONFETTI_DURATION: 3000,
+    LEVEL_PACKS_MANIFEST: '/levels/index.json', // Lists the level packs to load
+    LEVEL_IMAGE_HASHES: '/levels/image-hashes.json', // Option image content hashes (written by check:levels)
+    DAILY_LEVEL_COUNT: 3, // Levels in each daily challenge
+    PASS_AND_PLAY_ROUNDS: 5, // Levels in a pass-and-play match
+    PASS_AND_PLAY_MAX_PLAYERS: 4,
+    ONLINE_LEVEL_COUNT: 5, // Levels in an online race
+    ONLINE_ROOM_MAX_PLAYERS: 2,
+    ONLINE_ROOM_TTL_MINUTES: 120, // Rooms untouched for this long are deleted
+    CLOUD_LINK_TTL_MINUTES: 15, // Cloud save link codes stop working after this long (also in database.rules.json save_links)
+    CLOUD_SYNC_DELAY_MS: 3000, // Wait after the last local change before syncing
+    STAR_PAR_SECONDS_PER_PART: 10, // Finishing slower than this (per part) costs a star
+    COMBO_STEP: 0.1, // Run multiplier added per consecutive level cleared without a mistake, after the first
+    COMBO_MAX_MULTIPLIER: 2,
+    HINT_COSTS: { // Points deducted from the attempt points per hint
+        eliminate: 20,
+        silhouette: 10,
+    },
 };
+
+// Game modes
+export const GAME_MODES = {
+    CAMPAIGN: 'campaign', // Level-by-level progression with unlocks
+    SURVIVAL: 'survival', // Endless shuffled run on one set of lives
+    DAILY: 'daily', // Same seeded puzzle for every player each day
+    PASS_AND_PLAY: 'passAndPlay', // Hot-seat match for 2-4 players on one device
+    ONLINE: 'online', // Head-to-head race over a shared room
+    PRACTICE: 'practice', // Any unlocked level, no lives or scoring
+};
+
+// Hint types (costs in GAME_CONFIG.HINT_COSTS)
+export const HINT_TYPES = {
+    ELIMINATE: 'eliminate', // Grey out one wrong option
+    SILHOUETTE: 'silhouette', // Briefly flash the correct part's silhouette on the face
+};
+
+// Difficulty tiers - options shown per part and the score multiplier
+// (Normal is the authored level; each tier keeps its own best scores)
+export const DIFFICULTIES = {
+    easy: { id: 'easy', label: 'Easy', optionCount: 2, multiplier: 0.5 },
+    normal: { id: 'normal', label: 'Normal', optionCount: 4, multiplier: 1 },
+    hard: { id: 'hard', label: 'Hard', optionCount: 6, multiplier: 1.5 },
+    expert: { id: 'expert', label: 'Expert', optionCount: 9, multiplier: 2 },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
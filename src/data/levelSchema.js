@@ -0,0 +1,271 @@
+/**
+ * Level Pack Schema
+ *
+ * Level packs are JSON files under /public/levels, listed in /levels/index.json:
+ * {
+ *   id: "core",                 // Unique pack id
+ *   name: "Egyptian Stars",     // Display name (optional)
+ *   levels: [ Level, ... ]
+ * }
+ *
+ * Each level contains:
+ * - id: Unique positive integer (also the level number and the key of its
+ *   saved progress, so a shipped level keeps its id)
+ * - celebrity: Name of the celebrity
+ * - baseImage: Image URL with the missing facial parts
+ * - completeImage: Full image URL with every part restored
+ * - parts: One or more missing facial parts, each with:
+ *   - type: Which feature is missing (see PART_TYPES), unique within the level
+ *   - overlayStyle: Object with { top, left, width } percentages (+ optional transform) for positioning
+ *   - options: Array of option images (no labels)
+ *     - overlay (optional): { offsetX, offsetY, scale, rotate } to fine-tune that option on the face
+ *   - correctOption: ID of the correct option
+ *
+ * - sequence (optional): true to make the player restore the parts in order,
+ *   one step at a time, each step scored on its own
+ *
+ * Legacy single-mouth levels (overlayStyle / options / correctMouth on the
+ * level itself) are still accepted and normalized into one "mouth" part.
+ *
+ * Plain functions with no browser APIs, so the same rules run in Node scripts.
+ */
+
+const IMAGE_PATH = /^\/.+\.(png|jpe?g|webp|gif|svg)$/i;
+const PERCENT = /^-?\d+(\.\d+)?%$/;
+const OPTION_OVERLAY_KEYS = ['offsetX', 'offsetY', 'scale', 'rotate'];
+
+/**
+ * Facial features a part can restore
+ */
+export const PART_TYPES = {
+    mouth: { label: 'Mouth' },
+    eyes: { label: 'Eyes' },
+    nose: { label: 'Nose' },
+    eyebrows: { label: 'Eyebrows' },
+    hair: { label: 'Hair' },
+};
+
+const LEGACY_KEYS = ['overlayStyle', 'options', 'correctMouth'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isImagePath = (value) => typeof value === 'string' && IMAGE_PATH.test(value);
+
+/**
+ * Validate the overlayStyle block of a level
+ */
+const validateOverlayStyle = (overlayStyle, path) => {
+    if (!isObject(overlayStyle)) {
+        return [`${path}.overlayStyle must be an object`];
+    }
+
+    const errors = [];
+    ['top', 'left', 'width'].forEach((key) => {
+        if (!PERCENT.test(overlayStyle[key] ?? '')) {
+            errors.push(`${path}.overlayStyle.${key} must be a percentage like "25%" (got ${JSON.stringify(overlayStyle[key])})`);
+        }
+    });
+    if (overlayStyle.transform !== undefined && typeof overlayStyle.transform !== 'string') {
+        errors.push(`${path}.overlayStyle.transform must be a string`);
+    }
+    return errors;
+};
+
+/**
+ * Validate the options array of a level
+ */
+const validateOptions = (options, path) => {
+    if (!Array.isArray(options) || options.length < 2) {
+        return [`${path}.options must be an array with at least 2 options`];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    options.forEach((option, index) => {
+        const optionPath = `${path}.options[${index}]`;
+        if (!isObject(option)) {
+            errors.push(`${optionPath} must be an object`);
+            return;
+        }
+        if (!isNonEmptyString(option.id)) {
+            errors.push(`${optionPath}.id must be a non-empty string`);
+        } else if (seen.has(option.id)) {
+            errors.push(`${optionPath}.id "${option.id}" is duplicated`);
+        } else {
+            seen.add(option.id);
+        }
+        if (!isImagePath(option.image)) {
+            errors.push(`${optionPath}.image must be an absolute image path (got ${JSON.stringify(option.image)})`);
+        }
+        if (option.overlay !== undefined) {
+            if (!isObject(option.overlay)) {
+                errors.push(`${optionPath}.overlay must be an object`);
+            } else {
+                Object.entries(option.overlay).forEach(([key, value]) => {
+                    if (!OPTION_OVERLAY_KEYS.includes(key)) {
+                        errors.push(`${optionPath}.overlay.${key} is not supported (use ${OPTION_OVERLAY_KEYS.join(', ')})`);
+                    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                        errors.push(`${optionPath}.overlay.${key} must be a number`);
+                    }
+                });
+            }
+        }
+    });
+    return errors;
+};
+
+/**
+ * Validate one facial part (overlay region, options and correct answer)
+ * @param {Object} part - { overlayStyle, options, correctOption }
+ * @param {string} path - Location used in error messages
+ * @param {string} correctKey - Field holding the correct option id
+ */
+const validatePartFields = (part, path, correctKey) => {
+    const errors = [
+        ...validateOverlayStyle(part.overlayStyle, path),
+        ...validateOptions(part.options, path),
+    ];
+
+    const optionIds = Array.isArray(part.options) ? part.options.map(opt => opt?.id) : [];
+    if (!isNonEmptyString(part[correctKey])) {
+        errors.push(`${path}.${correctKey} must be a non-empty string`);
+    } else if (!optionIds.includes(part[correctKey])) {
+        errors.push(`${path}.${correctKey} "${part[correctKey]}" does not match any option id (${optionIds.join(', ')})`);
+    }
+    return errors;
+};
+
+/**
+ * Validate the parts array of a level
+ */
+const validateParts = (parts, path) => {
+    if (!Array.isArray(parts) || parts.length === 0) {
+        return [`${path}.parts must be a non-empty array`];
+    }
+
+    const errors = [];
+    const seenTypes = new Set();
+    parts.forEach((part, index) => {
+        const partPath = `${path}.parts[${index}]`;
+        if (!isObject(part)) {
+            errors.push(`${partPath} must be an object`);
+            return;
+        }
+        if (!PART_TYPES[part.type]) {
+            errors.push(`${partPath}.type must be one of ${Object.keys(PART_TYPES).join(', ')} (got ${JSON.stringify(part.type)})`);
+        } else if (seenTypes.has(part.type)) {
+            errors.push(`${partPath}.type "${part.type}" is duplicated`);
+        } else {
+            seenTypes.add(part.type);
+        }
+        errors.push(...validatePartFields(part, partPath, 'correctOption'));
+    });
+    return errors;
+};
+
+/**
+ * Get a level's parts, converting the legacy single-mouth fields
+ * @param {Object} level - Level object
+ * @returns {Object[]} Parts ({ type, overlayStyle, options, correctOption })
+ */
+export const getLevelParts = (level) => {
+    if (Array.isArray(level.parts)) return level.parts;
+    return [{
+        type: 'mouth',
+        overlayStyle: level.overlayStyle,
+        options: level.options,
+        correctOption: level.correctMouth,
+    }];
+};
+
+/**
+ * Normalize a valid level to the parts format
+ * @param {Object} level - Level object (parts or legacy format)
+ * @returns {Object} Level with `parts` and no legacy fields
+ */
+export const normalizeLevel = (level) => {
+    if (Array.isArray(level.parts)) return level;
+
+    const normalized = { ...level, parts: getLevelParts(level) };
+    LEGACY_KEYS.forEach(key => delete normalized[key]);
+    return normalized;
+};
+
+/**
+ * Validate a single level definition
+ * @param {Object} level - Level object
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export const validateLevel = (level, path = 'level') => {
+    if (!isObject(level)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    if (!Number.isInteger(level.id) || level.id < 1) {
+        errors.push(`${path}.id must be a positive integer (got ${JSON.stringify(level.id)})`);
+    }
+    if (!isNonEmptyString(level.celebrity)) {
+        errors.push(`${path}.celebrity must be a non-empty string`);
+    }
+    ['baseImage', 'completeImage'].forEach((key) => {
+        if (!isImagePath(level[key])) {
+            errors.push(`${path}.${key} must be an absolute image path (got ${JSON.stringify(level[key])})`);
+        }
+    });
+
+    if (level.sequence !== undefined && typeof level.sequence !== 'boolean') {
+        errors.push(`${path}.sequence must be true or false`);
+    }
+
+    if (level.parts !== undefined) {
+        errors.push(...validateParts(level.parts, path));
+        const legacy = LEGACY_KEYS.filter(key => level[key] !== undefined);
+        if (legacy.length > 0) {
+            errors.push(`${path} mixes parts with legacy fields (${legacy.join(', ')}) - move them into a part`);
+        }
+    } else {
+        errors.push(...validatePartFields(level, path, 'correctMouth'));
+    }
+    return errors;
+};
+
+/**
+ * Validate a whole level pack
+ * @param {Object} pack - Parsed pack JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export const validateLevelPack = (pack) => {
+    if (!isObject(pack)) {
+        return ['pack must be a JSON object'];
+    }
+
+    const errors = [];
+    if (!isNonEmptyString(pack.id)) {
+        errors.push('pack.id must be a non-empty string');
+    }
+    if (pack.name !== undefined && typeof pack.name !== 'string') {
+        errors.push('pack.name must be a string');
+    }
+    if (pack.requiredStars !== undefined && !(Number.isInteger(pack.requiredStars) && pack.requiredStars >= 0)) {
+        errors.push('pack.requiredStars must be a non-negative integer');
+    }
+    if (!Array.isArray(pack.levels) || pack.levels.length === 0) {
+        errors.push('pack.levels must be a non-empty array');
+        return errors;
+    }
+
+    const seenIds = new Set();
+    pack.levels.forEach((level, index) => {
+        const path = `levels[${index}]${Number.isInteger(level?.id) ? ` (id ${level.id})` : ''}`;
+        errors.push(...validateLevel(level, path));
+        if (Number.isInteger(level?.id)) {
+            if (seenIds.has(level.id)) {
+                errors.push(`${path}.id ${level.id} is duplicated within the pack`);
+            }
+            seenIds.add(level.id);
+        }
+    });
+    return errors;
+};
@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { evaluateAchievements } from '../data/achievements';
+import { GameEvents } from '../services/GameEvents';
+import { AudioManager } from '../services/AudioManager';
+
+/**
+ * Achievements Hook
+ *
+ * Listens to GameEvents, evaluates the achievement definitions and
+ * unlocks new ones through `onUnlock` (persisted by useGameState).
+ * Every unlock is queued as a toast and announced with a jingle.
+ *
+ * @param {Object} options
+ * @param {Object} options.unlocked - { [achievementId]: timestamp } already unlocked
+ * @param {Function} options.onUnlock - Called with (ids, timestamp) to persist new unlocks
+ * @param {boolean} [options.enabled=true] - Ignore events while false (e.g. pass-and-play)
+ */
+export const useAchievements = ({ unlocked, onUnlock, enabled = true }) => {
+    const [toastQueue, setToastQueue] = useState([]); // Achievement ids waiting to be shown
+    const unlockedRef = useRef(unlocked);
+    const onUnlockRef = useRef(onUnlock);
+    const enabledRef = useRef(enabled);
+
+    useEffect(() => {
+        unlockedRef.current = unlocked;
+        onUnlockRef.current = onUnlock;
+        enabledRef.current = enabled;
+    }, [unlocked, onUnlock, enabled]);
+
+    useEffect(() => GameEvents.subscribe((type, payload) => {
+        if (!enabledRef.current) return;
+        const ids = evaluateAchievements(type, payload, unlockedRef.current);
+        if (ids.length === 0) return;
+
+        // Mark them right away so events in the same tick can't unlock them twice
+        const timestamp = Date.now();
+        unlockedRef.current = { ...unlockedRef.current, ...Object.fromEntries(ids.map(id => [id, timestamp])) };
+
+        onUnlockRef.current(ids, timestamp);
+        setToastQueue(prev => [...prev, ...ids]);
+        AudioManager.playAchievement();
+    }), []);
+
+    /**
+     * Remove the toast currently shown (first in the queue)
+     */
+    const dismissToast = useCallback(() => {
+        setToastQueue(prev => prev.slice(1));
+    }, []);
+
+    return {
+        currentToast: toastQueue[0] || null, // Achievement id to show
+        dismissToast,
+    };
+};
+
+export default useAchievements;
@@ -48,7 +48,7 @@ export const useAssetPreloader = (level, levelIndex) => {
         const imagesToLoad = [
             level.baseImage,
             level.completeImage,
-            ...level.options.map(opt => opt.image),
+            ...level.parts.flatMap(part => part.options.map(opt => opt.image)),
         ].filter(Boolean);
 
         const total = imagesToLoad.length;
@@ -102,7 +102,7 @@ export const useAssetPreloader = (level, levelIndex) => {
         const imagesToLoad = [
             nextLevel.baseImage,
             nextLevel.completeImage,
-            ...nextLevel.options.map(opt => opt.image),
+            ...nextLevel.parts.flatMap(part => part.options.map(opt => opt.image)),
         ].filter(Boolean);
 
         await Promise.all(imagesToLoad.map(preloadImage));
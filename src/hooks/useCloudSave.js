@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { CloudSaveService } from '../services/firebase';
+import { GAME_CONFIG } from '../data/gameData';
+import { mergeSaves, getCloudCopy, getSaveFingerprint, normalizeLinkCode, generateSaveSecret } from '../utils/cloudSave';
+
+// What the cloud save is doing, for the settings screen
+export const CLOUD_SYNC_STATUS = {
+    UNAVAILABLE: 'unavailable', // No database configured
+    OFF: 'off',
+    OFFLINE: 'offline', // Changes wait on this device until the connection is back
+    SYNCING: 'syncing',
+    SYNCED: 'synced',
+    ERROR: 'error',
+};
+
+/**
+ * Cloud Save Hook (opt-in mirror of the save under the player ID)
+ *
+ * The local save stays the source of truth and the game never waits on
+ * the network. While cloud save is on and the database is reachable,
+ * local changes are merged into the cloud copy (CloudSaveService.syncSave)
+ * a few seconds after the last one, and the merged result is merged back
+ * into the local save. Going offline just postpones the sync until the
+ * connection returns. The cloud copy is stored under the player ID and a
+ * secret generated when cloud save is first turned on. Link codes carry
+ * both over to another device: redeeming one takes over that save and
+ * merges the progress made on this device into it.
+ *
+ * @param {Object} options
+ * @param {Object} options.saveData - Persisted state (useGameState saveData)
+ * @param {Function} options.parseSave - Save JSON => normalized save (useGameState parseSaveImport)
+ * @param {Function} options.mergeCloudSave - Merge a cloud save locally (useGameState)
+ * @param {Function} options.updateCloudSync - Persist this device's cloud settings (useGameState)
+ */
+export const useCloudSave = ({ saveData, parseSave, mergeCloudSave, updateCloudSync }) => {
+    const [isConnected, setIsConnected] = useState(false);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [error, setError] = useState(null);
+
+    const saveRef = useRef(saveData);
+    const syncedFingerprintRef = useRef(null); // Save last known to match the cloud copy
+
+    useEffect(() => {
+        saveRef.current = saveData;
+    }, [saveData]);
+
+    // Reconnecting clears a failed sync so it is tried again
+    useEffect(() => CloudSaveService.subscribeToConnection((connected) => {
+        setIsConnected(connected);
+        if (connected) setError(null);
+    }), []);
+
+    /**
+     * Cloud save (as stored) => normalized save at the current version
+     */
+    const readCloudSave = useCallback((cloudSave) => parseSave(JSON.stringify(cloudSave)), [parseSave]);
+
+    /**
+     * Merge the local save into the cloud copy and the result back
+     * @returns {Promise<boolean>} Whether it worked (failures are kept in `error`)
+     */
+    const sync = useCallback(async () => {
+        const local = saveRef.current;
+        setIsSyncing(true);
+        try {
+            const synced = await CloudSaveService.syncSave(local.playerId, local.cloudSync.secret, cloudSave => (
+                getCloudCopy(cloudSave ? mergeSaves(local, readCloudSave(cloudSave)) : local)
+            ));
+            const merged = readCloudSave(synced);
+            syncedFingerprintRef.current = getSaveFingerprint(merged);
+            mergeCloudSave(merged, { syncedAt: Date.now() });
+            setError(null);
+            return true;
+        } catch (syncError) {
+            console.warn('[CloudSave] Sync failed:', syncError.message);
+            setError(syncError.message);
+            return false;
+        } finally {
+            setIsSyncing(false);
+        }
+    }, [readCloudSave, mergeCloudSave]);
+
+    // Sync a while after the last local change (and on every reconnect)
+    const { enabled, secret } = saveData.cloudSync;
+    useEffect(() => {
+        if (!enabled || !secret || !isConnected || error) return undefined;
+        if (getSaveFingerprint(saveData) === syncedFingerprintRef.current) return undefined;
+
+        const timer = setTimeout(sync, GAME_CONFIG.CLOUD_SYNC_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [saveData, enabled, secret, isConnected, error, sync]);
+
+    /**
+     * Turn cloud save on or off for this device
+     * @param {boolean} isEnabled - On or off
+     * @param {string} linkedSecret - Secret of a linked save (default: keep this device's, or make one)
+     */
+    const setEnabled = useCallback((isEnabled, linkedSecret = null) => {
+        syncedFingerprintRef.current = null; // Sync again once turned back on
+        setError(null);
+        updateCloudSync({
+            enabled: isEnabled,
+            secret: linkedSecret || saveRef.current.cloudSync.secret || generateSaveSecret(),
+        });
+    }, [updateCloudSync]);
+
+    /**
+     * Sync now, then make a one-time code for restoring this save elsewhere
+     * @returns {Promise<string>} Link code
+     */
+    const createLinkCode = useCallback(async () => {
+        if (!(await sync())) throw new Error('Could not reach the cloud save - try again in a moment');
+        return CloudSaveService.createLinkCode(saveRef.current.playerId, saveRef.current.cloudSync.secret);
+    }, [sync]);
+
+    /**
+     * Restore the save behind a link code on this device (merged with local progress)
+     * @param {string} input - Code as typed
+     * @throws {Error} When the code is incomplete, unknown or expired
+     */
+    const redeemLinkCode = useCallback(async (input) => {
+        const code = normalizeLinkCode(input);
+        if (!code) throw new Error('Enter the 8-character code from your other device');
+
+        const { playerId, secret: linkedSecret, save } = await CloudSaveService.redeemLinkCode(code);
+        mergeCloudSave(readCloudSave(save), { playerId });
+        setEnabled(true, linkedSecret);
+    }, [mergeCloudSave, readCloudSave, setEnabled]);
+
+    const getStatus = () => {
+        if (!CloudSaveService.isAvailable()) return CLOUD_SYNC_STATUS.UNAVAILABLE;
+        if (!enabled) return CLOUD_SYNC_STATUS.OFF;
+        if (isSyncing) return CLOUD_SYNC_STATUS.SYNCING;
+        if (error) return CLOUD_SYNC_STATUS.ERROR;
+        if (!isConnected) return CLOUD_SYNC_STATUS.OFFLINE;
+        return CLOUD_SYNC_STATUS.SYNCED;
+    };
+
+    return {
+        status: getStatus(),
+        error,
+        isEnabled: enabled,
+        isConnected,
+        lastSyncedAt: saveData.cloudSync.lastSyncedAt,
+        setEnabled,
+        syncNow: sync,
+        createLinkCode,
+        redeemLinkCode,
+    };
+};
+
+export default useCloudSave;
@@ -0,0 +1,50 @@
+import { useState, useCallback } from 'react';
+
+/**
+ * Daily Challenge Hook
+ *
+ * Holds the challenge being played (see buildDailyChallenge) and walks
+ * through its levels in order. Lives and score are carried by useGameState.
+ */
+export const useDailyChallenge = () => {
+    const [challenge, setChallenge] = useState(null);
+    const [step, setStep] = useState(0);
+    const [isFinished, setIsFinished] = useState(false);
+
+    /**
+     * Start a challenge at its first level
+     * @param {Object} nextChallenge - Challenge built by buildDailyChallenge
+     * @returns {number} Index of the first level
+     */
+    const startChallenge = useCallback((nextChallenge) => {
+        setChallenge(nextChallenge);
+        setStep(0);
+        setIsFinished(false);
+        return nextChallenge.levelIndices[0];
+    }, []);
+
+    /**
+     * Count the current level as cleared and move on
+     * @returns {number|null} Index of the next level, or null when the challenge is done
+     */
+    const advance = useCallback(() => {
+        const nextStep = step + 1;
+        setStep(nextStep);
+
+        if (nextStep >= challenge.levelIndices.length) {
+            setIsFinished(true);
+            return null;
+        }
+        return challenge.levelIndices[nextStep];
+    }, [step, challenge]);
+
+    return {
+        challenge,
+        levelsCleared: step,
+        isFinished,
+        startChallenge,
+        advance,
+    };
+};
+
+export default useDailyChallenge;
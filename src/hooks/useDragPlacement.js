@@ -0,0 +1,166 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getTargetBox, scorePlacement } from '../utils/placement';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 2;
+const SCALE_STEP = 0.1;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+/**
+ * Drag-and-Drop Placement Hook
+ *
+ * Lets the player drag an option onto the stage with mouse, touch or pen
+ * (pointer events). While dragging, the ghost can be resized with the
+ * mouse wheel, +/- keys or a two-finger pinch; Escape cancels.
+ * Dropping on the stage scores the drop against the active part's
+ * overlayStyle region; dropping anywhere else cancels.
+ *
+ * @param {Object} options
+ * @param {Object} options.stageRef - Ref to the stage image container
+ * @param {Object} options.overlayStyle - Active part's target region
+ * @param {Function} options.onDrop - Called with { option, precision, offsetX, offsetY, scale }
+ */
+export const useDragPlacement = ({ stageRef, overlayStyle, onDrop }) => {
+    const [drag, setDrag] = useState(null); // { option, pointerId, x, y, scale, aspect, width, isOverStage }
+    const dragRef = useRef(null); // Latest drag state for the window listeners
+    const pinchRef = useRef(null); // { pointerId, startDistance, startScale }
+    const onDropRef = useRef(onDrop);
+
+    useEffect(() => {
+        onDropRef.current = onDrop;
+    }, [onDrop]);
+
+    useEffect(() => {
+        dragRef.current = drag;
+    }, [drag]);
+
+    /**
+     * Pick up an option (from its pointerdown event)
+     * @param {Object} option - Option being dragged
+     * @param {PointerEvent} event - The pointerdown event on the option button
+     */
+    const startDrag = useCallback((option, event) => {
+        const stageRect = stageRef.current?.getBoundingClientRect();
+        if (!stageRect) return;
+        event.preventDefault();
+
+        const image = event.currentTarget.querySelector('img');
+        const aspect = image?.naturalWidth && image?.naturalHeight ? image.naturalWidth / image.naturalHeight : 1;
+        pinchRef.current = null;
+
+        setDrag({
+            option,
+            pointerId: event.pointerId,
+            x: event.clientX,
+            y: event.clientY,
+            scale: 1,
+            aspect,
+            width: getTargetBox(overlayStyle, stageRect, aspect).width,
+            isOverStage: false,
+        });
+    }, [stageRef, overlayStyle]);
+
+    const isDragging = drag !== null;
+    const dragPointerId = drag?.pointerId;
+
+    /**
+     * Follow the pointer until it is released
+     */
+    useEffect(() => {
+        if (!isDragging) return;
+
+        const isInside = (rect, x, y) => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+
+        const handleMove = (event) => {
+            const pinch = pinchRef.current;
+            if (pinch && event.pointerId === pinch.pointerId) {
+                // Second finger: resize relative to the distance between both fingers
+                const { x, y } = dragRef.current;
+                const scale = clampScale(pinch.startScale * (Math.hypot(event.clientX - x, event.clientY - y) / pinch.startDistance));
+                setDrag(prev => ({ ...prev, scale }));
+                return;
+            }
+            if (event.pointerId !== dragPointerId) return;
+
+            const stageRect = stageRef.current?.getBoundingClientRect();
+            setDrag(prev => ({
+                ...prev,
+                x: event.clientX,
+                y: event.clientY,
+                isOverStage: Boolean(stageRect && isInside(stageRect, event.clientX, event.clientY)),
+            }));
+        };
+
+        const handleSecondPointer = (event) => {
+            if (event.pointerId === dragPointerId || pinchRef.current) return;
+            const { x, y, scale } = dragRef.current;
+            pinchRef.current = {
+                pointerId: event.pointerId,
+                startDistance: Math.max(1, Math.hypot(event.clientX - x, event.clientY - y)),
+                startScale: scale,
+            };
+        };
+
+        const handleUp = (event) => {
+            if (pinchRef.current?.pointerId === event.pointerId) {
+                pinchRef.current = null;
+                return;
+            }
+            if (event.pointerId !== dragPointerId) return;
+
+            const { option, aspect, scale } = dragRef.current;
+            const stageRect = stageRef.current?.getBoundingClientRect();
+            setDrag(null);
+            pinchRef.current = null;
+
+            // Released off the stage (or cancelled by the browser) - nothing happens
+            if (event.type !== 'pointerup' || !stageRect || !isInside(stageRect, event.clientX, event.clientY)) return;
+
+            const target = getTargetBox(overlayStyle, stageRect, aspect);
+            const drop = { x: event.clientX - stageRect.left, y: event.clientY - stageRect.top, scale };
+            onDropRef.current({ option, scale, ...scorePlacement(drop, target) });
+        };
+
+        const handleWheel = (event) => {
+            setDrag(prev => ({ ...prev, scale: clampScale(prev.scale - Math.sign(event.deltaY) * SCALE_STEP) }));
+        };
+
+        const handleKey = (event) => {
+            if (event.key === 'Escape') {
+                setDrag(null);
+            } else if (event.key === '+' || event.key === '=' || event.key === '-') {
+                const direction = event.key === '-' ? -1 : 1;
+                setDrag(prev => ({ ...prev, scale: clampScale(prev.scale + direction * SCALE_STEP) }));
+            }
+        };
+
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerdown', handleSecondPointer);
+        window.addEventListener('pointerup', handleUp);
+        window.addEventListener('pointercancel', handleUp);
+        window.addEventListener('wheel', handleWheel);
+        window.addEventListener('keydown', handleKey);
+        return () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerdown', handleSecondPointer);
+            window.removeEventListener('pointerup', handleUp);
+            window.removeEventListener('pointercancel', handleUp);
+            window.removeEventListener('wheel', handleWheel);
+            window.removeEventListener('keydown', handleKey);
+        };
+    }, [isDragging, dragPointerId, stageRef, overlayStyle]);
+
+    /**
+     * Drop whatever is being dragged without placing it
+     */
+    const cancelDrag = useCallback(() => setDrag(null), []);
+
+    return {
+        drag, // Current drag state (null when idle) - drives the ghost
+        startDrag,
+        cancelDrag,
+    };
+};
+
+export default useDragPlacement;
@@ -1,21 +1,40 @@
-import { useState, useCallback, useEffect, useRef } from 'react';
-import { gameLevels, GAME_CONFIG } from '../data/gameData';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
+import { GAME_CONFIG, HINT_TYPES, DEFAULT_DIFFICULTY } from '../data/gameData';
+import { useLevelCatalog } from './useLevelCatalog';
 import { AudioManager } from '../services/AudioManager';
 import { LeaderboardService } from '../services/firebase';
+import { GameEvents } from '../services/GameEvents';
+import { SessionStore } from '../services/SessionStore';
+import { SaveStore } from '../services/SaveStore';
+import { GAME_EVENTS } from '../data/achievements';
+import { getPreviousDailyKey } from '../utils/dailyChallenge';
+import { getLevelStars, getTotalStars } from '../utils/stars';
+import { getDifficulty, getAvailableDifficulties, applyDifficulty } from '../utils/difficulty';
+import { createSeededRandom } from '../utils/random';
+import { SAVE_VERSION, readSave } from '../utils/saveMigrations';
+import { mergeSaves } from '../utils/cloudSave';
 import confetti from 'canvas-confetti';
 
-/**
- * STORAGE SCHEMA - Single Source of Truth
- * All game data stored under one versioned key
- */
-const STORAGE_KEY = 'hamada_game_v3';
-
 /**
  * SCORING SYSTEM
  * Points based on number of attempts:
  * - 1st try: 100 points
  * - 2nd try: 70 points  
  * - 3rd try: 40 points
+ * Timed mode adds a speed bonus that decays linearly with the clock
+ * (full POINTS_BONUS_SPEED at the start, 0 when time runs out).
+ * Sequence levels score every step on its own attempts instead.
+ * Hints deduct their cost (GAME_CONFIG.HINT_COSTS) from the attempt points,
+ * never below zero; bonuses are not affected.
+ * The difficulty multiplier (DIFFICULTIES) then scales everything, rounded.
+ * Practice scores nothing.
+ *
+ * RUNS
+ * The run score carries on across consecutive levels (lives too) until the
+ * run is reset. Every point added to it is scaled by the combo multiplier:
+ * consecutive first-try answers raise it by COMBO_STEP (up to
+ * COMBO_MAX_MULTIPLIER), any mistake or timeout drops it back to x1.
+ * Level scores - and so bestScores - never include the combo.
  */
 const POINTS_BY_ATTEMPT = {
     1: 100,
@@ -23,17 +42,57 @@ const POINTS_BY_ATTEMPT = {
     3: 40,
 };
 
+// A fresh run
+const NEW_RUN = { score: 0, levelsCleared: 0, combo: 0, bestCombo: 0, ended: false };
+
+/**
+ * Run multiplier for a streak of levels cleared without a mistake
+ * @param {number} combo - Streak length (0 or 1 = no bonus)
+ */
+const getComboMultiplier = (combo) => Math.min(
+    GAME_CONFIG.COMBO_MAX_MULTIPLIER,
+    1 + Math.max(0, combo - 1) * GAME_CONFIG.COMBO_STEP
+);
+
+// Daily challenge results kept in storage
+const DAILY_HISTORY_DAYS = 30;
+
+/**
+ * STORAGE SCHEMA - Single Source of Truth
+ * All game data stored under one versioned key (see SaveStore); saves from
+ * older versions are upgraded by utils/saveMigrations when loaded
+ */
 const DEFAULT_STATE = {
-    version: 3,
+    version: SAVE_VERSION,
     // Player Profile
     playerName: '',
     playerId: null, // Unique ID for leaderboard
     // Progress
     unlockedLevels: [1],
     completedLevels: [],
-    bestScores: {},
+    bestScores: {}, // { [levelId]: best score } on Normal
+    tierBestScores: {}, // { [difficultyId]: { [levelId]: best score } } on the other tiers
+    levelHints: {}, // { [levelId]: hints used on the best-scoring completion }
+    levelStars: {}, // { [levelId]: best star rating (1-3) }
+    levelResults: {}, // { [levelId]: { score, attempts, seconds } } of the best-scoring completion (any tier)
+    runRecords: {}, // { [mode]: { bestScore, bestLevelsCleared, bestCombo, runsPlayed } } of finished runs
+    achievements: {}, // { [achievementId]: unlock timestamp }
+    totalHintsUsed: 0,
     highScore: 0,
     totalScore: 0, // Cumulative score across all levels
+    // Survival mode (separate from campaign progress)
+    survival: {
+        bestScore: 0,
+        bestLevelsCleared: 0,
+        runsPlayed: 0,
+    },
+    // Daily challenge
+    daily: {
+        streak: 0, // Consecutive days completed
+        bestStreak: 0,
+        lastCompletedDay: null, // Day key of the last completed challenge
+        results: {}, // { [dayKey]: { score, levelsCleared, completed } }
+    },
     // Settings
     settings: {
         audio: {
@@ -51,7 +110,33 @@ const DEFAULT_STATE = {
             highContrast: false,
             reduceMotion: false,
         },
+        gameplay: {
+            timedMode: false,
+            reshuffleOnWrong: false, // Reshuffle the options after each wrong guess
+            dragPlacement: false, // Drag options onto the face instead of tapping them
+            difficulty: DEFAULT_DIFFICULTY, // Key of DIFFICULTIES
+        },
     },
+    settingsUpdatedAt: 0, // When settings or the player name last changed (cloud save: latest wins)
+    // Cloud save on this device (not mirrored)
+    cloudSync: {
+        enabled: false,
+        secret: null, // Key of the cloud copy (see CloudSaveService), shared only through link codes
+        lastSyncedAt: null,
+    },
+};
+
+/**
+ * Every level's best score over all difficulty tiers
+ * @param {Object} bestScores - Normal tier bests
+ * @param {Object} tierBestScores - Other tiers' bests ({ [difficultyId]: bests })
+ */
+const getOverallBests = (bestScores, tierBestScores) => {
+    const overall = { ...bestScores };
+    Object.values(tierBestScores).forEach(bests => Object.entries(bests).forEach(([levelId, best]) => {
+        overall[levelId] = Math.max(overall[levelId] || 0, best);
+    }));
+    return overall;
 };
 
 /**
@@ -62,28 +147,33 @@ const generatePlayerId = () => {
 };
 
 /**
- * Load state from localStorage with migration support
+ * Merge a save (at the current version) over the defaults
+ * Fills in fields added since the save was written
+ */
+const normalizeState = (parsed) => ({
+    ...DEFAULT_STATE,
+    ...parsed,
+    playerId: parsed.playerId || generatePlayerId(),
+    survival: { ...DEFAULT_STATE.survival, ...parsed.survival },
+    daily: { ...DEFAULT_STATE.daily, ...parsed.daily },
+    settings: {
+        ...DEFAULT_STATE.settings,
+        ...parsed.settings,
+        audio: { ...DEFAULT_STATE.settings.audio, ...parsed.settings?.audio },
+        haptics: { ...DEFAULT_STATE.settings.haptics, ...parsed.settings?.haptics },
+        accessibility: { ...DEFAULT_STATE.settings.accessibility, ...parsed.settings?.accessibility },
+        gameplay: { ...DEFAULT_STATE.settings.gameplay, ...parsed.settings?.gameplay },
+    },
+    cloudSync: { ...DEFAULT_STATE.cloudSync, ...parsed.cloudSync },
+});
+
+/**
+ * Load state from localStorage (upgraded to the current version by SaveStore)
  */
 const loadPersistedState = () => {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (stored) {
-            const parsed = JSON.parse(stored);
-            // Deep merge with defaults to handle schema upgrades
-            const merged = {
-                ...DEFAULT_STATE,
-                ...parsed,
-                playerId: parsed.playerId || generatePlayerId(),
-                settings: {
-                    ...DEFAULT_STATE.settings,
-                    ...parsed.settings,
-                    audio: { ...DEFAULT_STATE.settings.audio, ...parsed.settings?.audio },
-                    haptics: { ...DEFAULT_STATE.settings.haptics, ...parsed.settings?.haptics },
-                    accessibility: { ...DEFAULT_STATE.settings.accessibility, ...parsed.settings?.accessibility },
-                },
-            };
-            return merged;
-        }
+        const parsed = SaveStore.load();
+        if (parsed) return normalizeState(parsed);
     } catch (err) {
         console.warn('[useGameState] Failed to load persisted state:', err);
     }
@@ -100,8 +190,14 @@ const loadPersistedState = () => {
  * - Settings (audio, haptics, accessibility)
  * 
  * @param {number} levelIndex - Current level index (0-based)
+ * @param {Object} options
+ * @param {string} options.difficultyOverride - Tier to play instead of the chosen one (shared daily/online puzzles)
+ * @param {boolean} options.isPractice - Practice: wrong picks cost nothing, no points, no hint stats
+ * @param {boolean} options.isOnline - Online race: played for the race only, no hint stats (like progress and runs)
+ * @param {Object} options.timeLeftRef - Ref to the timed mode seconds left (snapshotted with the session)
+ * @param {string} options.sessionMode - Mode being played when it can be resumed (the session is snapshotted while set)
  */
-export const useGameState = (levelIndex = 0) => {
+export const useGameState = (levelIndex = 0, { difficultyOverride = null, isPractice = false, isOnline = false, timeLeftRef = null, sessionMode = null } = {}) => {
     // ========================================
     // PERSISTED STATE (survives page reload)
     // ========================================
@@ -110,11 +206,20 @@ export const useGameState = (levelIndex = 0) => {
     // ========================================
     // SESSION STATE (resets on page reload)
     // ========================================
-    const [sessionScore, setSessionScore] = useState(0); // Score for current game session
+    const [levelScore, setLevelScore] = useState(0); // Points earned on the current level
+    const [run, setRun] = useState(NEW_RUN); // Continuous run across consecutive levels
     const [lives, setLives] = useState(GAME_CONFIG.INITIAL_LIVES);
     const [attempts, setAttempts] = useState(0); // Attempts for current level
+    const [levelPicks, setLevelPicks] = useState([]); // Current level's picks in order: { partType, optionId, correct } (optionId null = timed out)
     const [isLevelComplete, setIsLevelComplete] = useState(false);
-    const [selectedMouth, setSelectedMouth] = useState(null);
+    const [selectedOption, setSelectedOption] = useState(null); // Option showing pick feedback
+    const [activePartIndex, setActivePartIndex] = useState(0); // Part being filled
+    const [filledParts, setFilledParts] = useState({}); // { [partType]: optionId } restored so far
+    const [partStats, setPartStats] = useState({}); // { [partType]: { attempts, livesLost, points, hints, hintCost } }
+    const [eliminatedOptions, setEliminatedOptions] = useState({}); // { [partType]: optionIds greyed out by hints }
+    const [runHints, setRunHints] = useState(0); // Hints used since the last reset (whole run in survival/daily)
+    const [earnedStars, setEarnedStars] = useState(0); // Stars for the level just completed
+    const [levelSeconds, setLevelSeconds] = useState(0); // Time taken on the level just completed
     const [isShaking, setIsShaking] = useState(false);
     const [gameOver, setGameOver] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
@@ -122,17 +227,37 @@ export const useGameState = (levelIndex = 0) => {
     // Track if audio manager was initialized
     const audioInitialized = useRef(false);
 
-    const currentLevel = gameLevels[levelIndex] || gameLevels[0];
+    // When the current level attempt started (star rating time)
+    const levelStartRef = useRef(null);
+
+    // Saved session offered for resuming, the live snapshot, and the level index just restored
+    const [savedSession, setSavedSession] = useState(SessionStore.load);
+    const snapshotRef = useRef(null);
+    const restoredLevelRef = useRef(null);
+
+    // Level catalog (loaded from level packs), resized for the difficulty tier
+    // (a tier the catalog can't fill plays as the hardest one it can)
+    const { levels, packs } = useLevelCatalog();
+    const availableDifficulties = useMemo(() => getAvailableDifficulties(levels), [levels]);
+    const difficulty = getDifficulty(difficultyOverride || persistedState.settings.gameplay.difficulty, availableDifficulties);
+    const baseLevel = levels[levelIndex] || levels[0];
+    const currentLevel = useMemo(() => applyDifficulty(baseLevel, levels, difficulty), [baseLevel, levels, difficulty]);
+
+    // The saved session at its level's current catalog position (looked up by
+    // id), or null once that level is gone
+    const resumableSession = useMemo(() => {
+        const index = savedSession ? levels.findIndex(level => level.id === savedSession.levelId) : -1;
+        return index >= 0 ? { ...savedSession, levelIndex: index } : null;
+    }, [savedSession, levels]);
+    const parts = currentLevel.parts;
+    const activePart = parts[activePartIndex] || null;
+    const isSequence = Boolean(currentLevel.sequence); // Parts must be restored in order
 
     // ========================================
     // PERSIST STATE TO LOCALSTORAGE
     // ========================================
     useEffect(() => {
-        try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(persistedState));
-        } catch (err) {
-            console.warn('[useGameState] Failed to persist state:', err);
-        }
+        SaveStore.save(persistedState);
     }, [persistedState]);
 
     // ========================================
@@ -162,12 +287,76 @@ export const useGameState = (levelIndex = 0) => {
     // RESET LEVEL STATE ON LEVEL CHANGE
     // ========================================
     useEffect(() => {
-        setSelectedMouth(null);
+        // Landed on a level whose session was just restored - keep it
+        const restoredLevel = restoredLevelRef.current;
+        restoredLevelRef.current = null;
+        if (restoredLevel === levelIndex) return;
+
+        setSelectedOption(null);
+        setActivePartIndex(0);
+        setFilledParts({});
+        setPartStats({});
+        setEliminatedOptions({});
+        setLevelPicks([]);
+        setEarnedStars(0);
+        setLevelSeconds(0);
         setIsLevelComplete(false);
         setIsShaking(false);
         setAttempts(0); // Reset attempts for new level
+        levelStartRef.current = Date.now();
     }, [levelIndex]);
 
+    // ========================================
+    // SNAPSHOT THE SESSION (resume after reload)
+    // ========================================
+
+    // Live clocks saved with the snapshot: seconds on the level, timed mode seconds left
+    const getSessionClocks = useCallback(() => ({
+        seconds: (Date.now() - levelStartRef.current) / 1000,
+        timeLeft: timeLeftRef?.current ?? null,
+    }), [timeLeftRef]);
+
+    useEffect(() => {
+        if (!sessionMode) return;
+        if (gameOver) {
+            // Nothing left to resume
+            snapshotRef.current = null;
+            SessionStore.clear();
+            return;
+        }
+
+        snapshotRef.current = {
+            mode: sessionMode,
+            levelId: baseLevel.id,
+            difficultyId: difficulty.id,
+            lives,
+            attempts,
+            levelScore,
+            run,
+            activePartIndex,
+            filledParts,
+            partStats,
+            eliminatedOptions,
+            levelPicks,
+            runHints,
+            isLevelComplete,
+            earnedStars,
+            levelSeconds,
+        };
+        SessionStore.save({ ...snapshotRef.current, ...getSessionClocks() });
+    }, [sessionMode, gameOver, getSessionClocks, baseLevel.id, difficulty.id, lives, attempts, levelScore, run, activePartIndex, filledParts, partStats, eliminatedOptions, levelPicks, runHints, isLevelComplete, earnedStars, levelSeconds]);
+
+    // Refresh the clocks in the snapshot when the tab is hidden (mobile browsers may evict it)
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden' && snapshotRef.current) {
+                SessionStore.save({ ...snapshotRef.current, ...getSessionClocks() });
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, [getSessionClocks]);
+
     // ========================================
     // PLAYER NAME ACTIONS
     // ========================================
@@ -180,6 +369,7 @@ export const useGameState = (levelIndex = 0) => {
         setPersistedState(prev => ({
             ...prev,
             playerName: cleanName,
+            settingsUpdatedAt: Date.now(),
         }));
     }, []);
 
@@ -205,6 +395,7 @@ export const useGameState = (levelIndex = 0) => {
                 current = current[keys[i]];
             }
             current[keys[keys.length - 1]] = value;
+            updated.settingsUpdatedAt = Date.now();
 
             return updated;
         });
@@ -227,6 +418,7 @@ export const useGameState = (levelIndex = 0) => {
         setPersistedState(prev => ({
             ...prev,
             settings: { ...prev.settings, ...updates },
+            settingsUpdatedAt: Date.now(),
         }));
     }, []);
 
@@ -242,9 +434,39 @@ export const useGameState = (levelIndex = 0) => {
     /**
      * Check if a level is unlocked
      */
+    const totalStars = getTotalStars(persistedState.levelStars);
+
+    /**
+     * Persist newly unlocked achievements (see useAchievements)
+     * @param {string[]} ids - Achievement ids
+     * @param {number} timestamp - Unlock time
+     */
+    const unlockAchievements = useCallback((ids, timestamp = Date.now()) => {
+        setPersistedState(prev => ({
+            ...prev,
+            achievements: {
+                ...Object.fromEntries(ids.map(id => [id, timestamp])),
+                ...prev.achievements, // Keep the first unlock time
+            },
+        }));
+    }, []);
+
+    /**
+     * Check if a level pack's star requirement is met
+     * @param {string} packId - Pack id
+     */
+    const isPackUnlocked = useCallback((packId) => {
+        const pack = packs.find(p => p.id === packId);
+        return totalStars >= (pack?.requiredStars || 0);
+    }, [packs, totalStars]);
+
+    /**
+     * Check if a level is unlocked (previous level beaten and its pack's star gate met)
+     */
     const isLevelUnlocked = useCallback((levelId) => {
-        return persistedState.unlockedLevels.includes(levelId);
-    }, [persistedState.unlockedLevels]);
+        const level = levels.find(l => l.id === levelId);
+        return persistedState.unlockedLevels.includes(levelId) && (!level || isPackUnlocked(level.packId));
+    }, [persistedState.unlockedLevels, levels, isPackUnlocked]);
 
     /**
      * Check if a level is completed
@@ -254,33 +476,63 @@ export const useGameState = (levelIndex = 0) => {
     }, [persistedState.completedLevels]);
 
     /**
-     * Get best score for a level
+     * Get best score for a level on a difficulty tier (defaults to the current one)
      */
-    const getBestScore = useCallback((levelId) => {
-        return persistedState.bestScores[levelId] || 0;
-    }, [persistedState.bestScores]);
+    const getBestScore = useCallback((levelId, difficultyId = difficulty.id) => {
+        const tierId = getDifficulty(difficultyId).id;
+        const bests = tierId === DEFAULT_DIFFICULTY
+            ? persistedState.bestScores
+            : persistedState.tierBestScores[tierId] || {};
+        return bests[levelId] || 0;
+    }, [persistedState.bestScores, persistedState.tierBestScores, difficulty.id]);
 
     /**
-     * Mark a level as completed and unlock next
+     * Get the best star rating for a level (0 if never completed)
      */
-    const completeLevel = useCallback((levelId, levelScore) => {
+    const getLevelStarRating = useCallback((levelId) => {
+        return persistedState.levelStars[levelId] || 0;
+    }, [persistedState.levelStars]);
+
+    /**
+     * Mark a level as completed and unlock the next one in the catalog
+     * Best scores are kept per difficulty tier (the current one).
+     * @param {number} levelId - Level id (progress is keyed by id, not catalog position)
+     * @param {number} levelScore - Score earned on the level
+     * @param {Object} result - { hintsUsed, stars, attempts, seconds } for the completion
+     */
+    const completeLevel = useCallback((levelId, levelScore, { hintsUsed = 0, stars = 0, attempts = 0, seconds = 0 } = {}) => {
         setPersistedState(prev => {
             const newCompleted = prev.completedLevels.includes(levelId)
                 ? prev.completedLevels
                 : [...prev.completedLevels, levelId];
 
-            const nextLevel = levelId + 1;
-            const newUnlocked = nextLevel <= gameLevels.length && !prev.unlockedLevels.includes(nextLevel)
-                ? [...prev.unlockedLevels, nextLevel]
+            const position = levels.findIndex(level => level.id === levelId);
+            const nextLevelId = position >= 0 ? levels[position + 1]?.id : undefined;
+            const newUnlocked = nextLevelId !== undefined && !prev.unlockedLevels.includes(nextLevelId)
+                ? [...prev.unlockedLevels, nextLevelId]
                 : prev.unlockedLevels;
 
-            const newBestScores = {
-                ...prev.bestScores,
-                [levelId]: Math.max(prev.bestScores[levelId] || 0, levelScore),
+            // Best for this tier, and the best over every tier (counted in the total)
+            const isNormal = difficulty.id === DEFAULT_DIFFICULTY;
+            const tierBests = isNormal ? prev.bestScores : prev.tierBestScores[difficulty.id] || {};
+            const newTierBests = { ...tierBests, [levelId]: Math.max(tierBests[levelId] || 0, levelScore) };
+            const newBestScores = isNormal ? newTierBests : prev.bestScores;
+            const newTierBestScores = isNormal ? prev.tierBestScores : { ...prev.tierBestScores, [difficulty.id]: newTierBests };
+
+            const isNewBest = levelScore >= (getOverallBests(prev.bestScores, prev.tierBestScores)[levelId] || 0);
+            const newLevelHints = isNewBest
+                ? { ...prev.levelHints, [levelId]: hintsUsed }
+                : prev.levelHints;
+            const newLevelResults = isNewBest
+                ? { ...prev.levelResults, [levelId]: { score: levelScore, attempts, seconds: Math.round(seconds) } }
+                : prev.levelResults;
+            const newLevelStars = {
+                ...prev.levelStars,
+                [levelId]: Math.max(prev.levelStars[levelId] || 0, stars),
             };
 
-            // Calculate total score from all best scores
-            const newTotalScore = Object.values(newBestScores).reduce((sum, s) => sum + s, 0);
+            // Calculate total score from every level's best score (any tier)
+            const newTotalScore = Object.values(getOverallBests(newBestScores, newTierBestScores)).reduce((sum, s) => sum + s, 0);
             const newHighScore = Math.max(prev.highScore, newTotalScore);
 
             return {
@@ -288,11 +540,15 @@ export const useGameState = (levelIndex = 0) => {
                 completedLevels: newCompleted,
                 unlockedLevels: newUnlocked,
                 bestScores: newBestScores,
+                tierBestScores: newTierBestScores,
+                levelHints: newLevelHints,
+                levelStars: newLevelStars,
+                levelResults: newLevelResults,
                 totalScore: newTotalScore,
                 highScore: newHighScore,
             };
         });
-    }, []);
+    }, [levels, difficulty.id]);
 
     /**
      * Submit score to global leaderboard
@@ -301,11 +557,122 @@ export const useGameState = (levelIndex = 0) => {
         const name = persistedState.playerName || playerName;
         const levelsCompleted = persistedState.completedLevels.length;
         const totalScore = persistedState.totalScore;
+        const hintsUsed = Object.values(persistedState.levelHints).reduce((sum, n) => sum + n, 0);
 
         if (totalScore > 0 && name) {
-            await LeaderboardService.submitScore(name, totalScore, levelsCompleted);
+            await LeaderboardService.submitScore(name, totalScore, levelsCompleted, 'campaign', null, hintsUsed);
+        }
+    }, [persistedState.playerName, persistedState.completedLevels.length, persistedState.totalScore, persistedState.levelHints, playerName]);
+
+    // ========================================
+    // RUNS
+    // ========================================
+
+    /**
+     * End the current run: persist its record and emit RUN_END (once per run)
+     * A run with no points and no cleared level isn't recorded.
+     * @param {string} mode - Game mode the run was played in (GAME_MODES)
+     */
+    const endRun = useCallback((mode) => {
+        if (run.ended || (run.score === 0 && run.levelsCleared === 0)) return;
+
+        setRun(prev => ({ ...prev, ended: true }));
+        setPersistedState(prev => {
+            const record = prev.runRecords[mode] || { bestScore: 0, bestLevelsCleared: 0, bestCombo: 0, runsPlayed: 0 };
+            return {
+                ...prev,
+                runRecords: {
+                    ...prev.runRecords,
+                    [mode]: {
+                        bestScore: Math.max(record.bestScore, run.score),
+                        bestLevelsCleared: Math.max(record.bestLevelsCleared, run.levelsCleared),
+                        bestCombo: Math.max(record.bestCombo, run.bestCombo),
+                        runsPlayed: record.runsPlayed + 1,
+                    },
+                },
+            };
+        });
+        GameEvents.emit(GAME_EVENTS.RUN_END, { mode, score: run.score, levelsCleared: run.levelsCleared, bestCombo: run.bestCombo });
+    }, [run]);
+
+    // ========================================
+    // SURVIVAL MODE
+    // ========================================
+
+    /**
+     * Persist the result of a finished survival run
+     */
+    const recordSurvivalRun = useCallback((runScore, levelsCleared) => {
+        setPersistedState(prev => ({
+            ...prev,
+            survival: {
+                bestScore: Math.max(prev.survival.bestScore, runScore),
+                bestLevelsCleared: Math.max(prev.survival.bestLevelsCleared, levelsCleared),
+                runsPlayed: prev.survival.runsPlayed + 1,
+            },
+        }));
+    }, []);
+
+    /**
+     * Submit a survival run to its own leaderboard category
+     */
+    const submitSurvivalScore = useCallback(async (runScore, levelsCleared) => {
+        if (runScore > 0 && playerName) {
+            await LeaderboardService.submitScore(playerName, runScore, levelsCleared, 'survival', null, runHints);
         }
-    }, [persistedState.playerName, persistedState.completedLevels.length, persistedState.totalScore, playerName]);
+    }, [playerName, runHints]);
+
+    // ========================================
+    // DAILY CHALLENGE
+    // ========================================
+
+    /**
+     * Persist a daily challenge result (keeps the day's best score)
+     * Completing the day extends the streak if yesterday was completed too.
+     */
+    const recordDailyResult = useCallback((dayKey, runScore, levelsCleared, completed) => {
+        setPersistedState(prev => {
+            const previous = prev.daily.results[dayKey];
+            const isFirstCompletion = completed && !previous?.completed;
+
+            let { streak, bestStreak, lastCompletedDay } = prev.daily;
+            if (isFirstCompletion) {
+                streak = lastCompletedDay === getPreviousDailyKey(dayKey) ? streak + 1 : 1;
+                bestStreak = Math.max(bestStreak, streak);
+                lastCompletedDay = dayKey;
+            }
+
+            // Keep the most recent DAILY_HISTORY_DAYS results
+            const results = {
+                ...prev.daily.results,
+                [dayKey]: {
+                    score: Math.max(previous?.score || 0, runScore),
+                    levelsCleared: Math.max(previous?.levelsCleared || 0, levelsCleared),
+                    completed: completed || Boolean(previous?.completed),
+                },
+            };
+            const recentDays = Object.keys(results).sort().slice(-DAILY_HISTORY_DAYS);
+
+            return {
+                ...prev,
+                daily: {
+                    streak,
+                    bestStreak,
+                    lastCompletedDay,
+                    results: Object.fromEntries(recentDays.map(day => [day, results[day]])),
+                },
+            };
+        });
+    }, []);
+
+    /**
+     * Submit a daily result to that day's leaderboard
+     */
+    const submitDailyScore = useCallback(async (dayKey, runScore, levelsCleared) => {
+        if (runScore > 0 && playerName) {
+            await LeaderboardService.submitScore(playerName, runScore, levelsCleared, 'daily', dayKey, runHints);
+        }
+    }, [playerName, runHints]);
 
     // ========================================
     // HAPTICS
@@ -349,34 +716,167 @@ export const useGameState = (levelIndex = 0) => {
 
     /**
      * Calculate points based on attempt number
+     * (multi-part levels: 1 + mistakes, so a clean run is always "1st try")
      */
     const getPointsForAttempt = (attemptNumber) => {
         return POINTS_BY_ATTEMPT[attemptNumber] || 40; // Default to 40 for 3+ attempts
     };
 
     /**
-     * Handle mouth selection with audio feedback
+     * Calculate the timed mode speed bonus for the seconds left on the clock
      */
-    const handleMouthSelect = useCallback((mouthId) => {
-        if (isLevelComplete || gameOver) return;
+    const getSpeedBonus = (secondsLeft) => {
+        const ratio = Math.max(0, Math.min(1, secondsLeft / GAME_CONFIG.LEVEL_TIME_LIMIT));
+        return Math.round(GAME_CONFIG.POINTS_BONUS_SPEED * ratio);
+    };
+
+    /**
+     * Scale points by the difficulty multiplier
+     */
+    const applyMultiplier = useCallback((points) => (
+        isPractice ? 0 : Math.round(points * difficulty.multiplier)
+    ), [isPractice, difficulty.multiplier]);
+
+    /**
+     * Calculate the drag-and-drop precision bonus for a placement (precision in [0, 1])
+     */
+    const getPlacementBonus = (precision) => {
+        return Math.round(GAME_CONFIG.POINTS_BONUS_PLACEMENT * Math.max(0, Math.min(1, precision)));
+    };
+
+    /**
+     * Lose a life (wrong pick or timeout), ending the game at zero
+     * Practice only nudges: no life lost, no shake.
+     */
+    const loseLife = useCallback(() => {
+        if (isPractice) {
+            AudioManager.playNudge();
+            triggerHaptic(0.15);
+            return;
+        }
+
+        setIsShaking(true);
+        AudioManager.playWrong();
+        triggerHaptic(0.3);
+
+        setLives(prev => {
+            const newLives = prev - 1;
+            if (newLives <= 0) {
+                setGameOver(true);
+                AudioManager.playGameOver();
+                triggerHaptic(0.6);
+            }
+            return newLives;
+        });
+    }, [isPractice, triggerHaptic]);
+
+    /**
+     * Update the per-part stats of a part
+     */
+    const updatePartStats = useCallback((partType, update) => {
+        setPartStats(prev => {
+            const current = prev[partType] || { attempts: 0, livesLost: 0, points: 0, hints: 0, hintCost: 0 };
+            return { ...prev, [partType]: { ...current, ...update(current) } };
+        });
+    }, []);
+
+    /**
+     * Add points to the run, scaled by the combo multiplier
+     * The combo counts levels cleared in a row without a mistake (a wrong pick
+     * or a timeout resets it as it happens).
+     * @param {number} points - Points earned (before the combo)
+     * @param {boolean} isLevelCleared - The answer completed the level
+     * @param {boolean} isFlawless - The level was cleared without a mistake (extends the combo)
+     */
+    const addRunPoints = useCallback((points, isLevelCleared = false, isFlawless = false) => {
+        setRun(prev => {
+            const combo = !isLevelCleared ? prev.combo : isFlawless ? prev.combo + 1 : 0;
+            return {
+                ...prev,
+                score: prev.score + Math.round(points * getComboMultiplier(combo)),
+                levelsCleared: prev.levelsCleared + (isLevelCleared ? 1 : 0),
+                combo,
+                bestCombo: Math.max(prev.bestCombo, combo),
+            };
+        });
+    }, []);
+
+    /**
+     * Handle an option pick for the active part, with audio feedback
+     * A correct pick fills that part; the level is complete once every part is filled.
+     * Sequence levels award each step's points as soon as that step is restored.
+     * @param {string} optionId - Picked option
+     * @param {number} speedBonus - Extra points when the pick completes the level (timed mode)
+     * @param {number} placementBonus - Extra points for a precise drop, if the pick is correct (drag mode)
+     */
+    const handleOptionSelect = useCallback((optionId, speedBonus = 0, placementBonus = 0) => {
+        if (isLevelComplete || gameOver || !activePart) return;
 
         // Initialize audio on first interaction
         initAudio();
 
-        setSelectedMouth(mouthId);
+        setSelectedOption(optionId);
+        setLevelPicks(prev => [...prev, { partType: activePart.type, optionId, correct: optionId === activePart.correctOption }]);
         triggerHaptic(0.5);
 
-        // Increment attempt counter
+        // Increment attempt counters (level + this part)
         const newAttempts = attempts + 1;
         setAttempts(newAttempts);
+        const stepAttempts = (partStats[activePart.type]?.attempts || 0) + 1;
+
+        if (optionId === activePart.correctOption) {
+            const newFilledParts = { ...filledParts, [activePart.type]: optionId };
+            setFilledParts(newFilledParts);
+
+            const nextPartIndex = parts.findIndex(part => !newFilledParts[part.type]);
+            const isLastPart = nextPartIndex === -1;
+            const stepHintCost = partStats[activePart.type]?.hintCost || 0;
+            const stepPoints = applyMultiplier(placementBonus + (isSequence
+                ? Math.max(0, getPointsForAttempt(stepAttempts) - stepHintCost) + (isLastPart ? speedBonus : 0)
+                : 0));
+            updatePartStats(activePart.type, () => ({ attempts: stepAttempts, points: stepPoints }));
+
+            if (!isLastPart) {
+                // CORRECT PART - keep it on the face and move on to the next missing part
+                setLevelScore(prev => prev + stepPoints);
+                addRunPoints(stepPoints);
+                GameEvents.emit(GAME_EVENTS.CORRECT_PICK, { levelAttempts: newAttempts });
+                AudioManager.playCorrect();
+                triggerHaptic(0.8);
+
+                setTimeout(() => {
+                    setSelectedOption(null);
+                    setActivePartIndex(nextPartIndex);
+                }, 400);
+                return;
+            }
 
-        if (mouthId === currentLevel.correctMouth) {
-            // CORRECT ANSWER - Calculate points based on attempts
-            const pointsEarned = getPointsForAttempt(newAttempts);
-            const newSessionScore = sessionScore + pointsEarned;
-            setSessionScore(newSessionScore);
+            // LEVEL COMPLETE - Points based on mistakes made, minus hints (+ speed/placement bonus), or the last step's points
+            const mistakes = newAttempts - parts.length;
+            const levelHintCost = Object.values(partStats).reduce((sum, stats) => sum + (stats.hintCost || 0), 0);
+            const pointsEarned = isSequence
+                ? stepPoints
+                : applyMultiplier(Math.max(0, getPointsForAttempt(mistakes + 1) - levelHintCost) + speedBonus + placementBonus);
+            // Star rating and combo - lives lost also counts timeouts
+            const levelStats = Object.values(partStats);
+            const levelMistakes = levelStats.reduce((sum, stats) => sum + (stats.livesLost || 0), 0);
+            setLevelScore(prev => prev + pointsEarned);
+            addRunPoints(pointsEarned, true, levelMistakes === 0);
             setIsLevelComplete(true);
 
+            const levelResult = {
+                mistakes: levelMistakes,
+                hintsUsed: levelStats.reduce((sum, stats) => sum + (stats.hints || 0), 0),
+                seconds: (Date.now() - levelStartRef.current) / 1000,
+                partCount: parts.length,
+            };
+            const stars = getLevelStars(levelResult);
+            setEarnedStars(stars);
+            setLevelSeconds(levelResult.seconds);
+
+            GameEvents.emit(GAME_EVENTS.CORRECT_PICK, { levelAttempts: newAttempts });
+            GameEvents.emit(GAME_EVENTS.LEVEL_COMPLETE, { ...levelResult, stars });
+
             AudioManager.playCorrect();
             triggerHaptic(0.8);
 
@@ -386,38 +886,172 @@ export const useGameState = (levelIndex = 0) => {
             }, 200);
         } else {
             // WRONG ANSWER
-            setIsShaking(true);
-            AudioManager.playWrong();
-            triggerHaptic(0.3);
-
-            setLives(prev => {
-                const newLives = prev - 1;
-                if (newLives <= 0) {
-                    setGameOver(true);
-                    AudioManager.playGameOver();
-                    triggerHaptic(0.6);
-                }
-                return newLives;
-            });
+            updatePartStats(activePart.type, (stats) => ({ attempts: stepAttempts, livesLost: stats.livesLost + 1 }));
+            setRun(prev => ({ ...prev, combo: 0 }));
+            loseLife();
 
             setTimeout(() => {
                 setIsShaking(false);
-                setSelectedMouth(null);
+                setSelectedOption(null);
             }, 400);
         }
-    }, [currentLevel, isLevelComplete, gameOver, sessionScore, attempts, triggerConfetti, triggerHaptic, initAudio]);
+    }, [parts, activePart, isSequence, filledParts, partStats, isLevelComplete, gameOver, attempts, triggerConfetti, triggerHaptic, initAudio, loseLife, updatePartStats, applyMultiplier, addRunPoints]);
+
+    /**
+     * Use a hint on the active part (its cost comes off the attempt points)
+     * ELIMINATE greys out one wrong option (always leaving at least one),
+     * picked with the level's option seed so a shared seed (daily challenge,
+     * online race) greys out the same options for everyone;
+     * SILHOUETTE is shown by the stage, this only records and charges it.
+     * @param {string} hintType - One of HINT_TYPES
+     * @param {number|string} optionSeed - Seed of the level's option order
+     * @returns {boolean} Whether the hint was applied
+     */
+    const handleHint = useCallback((hintType, optionSeed) => {
+        if (isLevelComplete || gameOver || !activePart || selectedOption) return false;
+
+        if (hintType === HINT_TYPES.ELIMINATE) {
+            const eliminated = eliminatedOptions[activePart.type] || [];
+            const candidates = activePart.options.filter(opt =>
+                opt.id !== activePart.correctOption && !eliminated.includes(opt.id)
+            );
+            if (candidates.length <= 1) return false;
+
+            const random = createSeededRandom(`${optionSeed}:${currentLevel.id}:${activePart.type}:eliminate:${eliminated.length}`);
+            const removed = candidates[Math.floor(random() * candidates.length)];
+            setEliminatedOptions(prev => ({ ...prev, [activePart.type]: [...eliminated, removed.id] }));
+        } else if (hintType !== HINT_TYPES.SILHOUETTE) {
+            return false;
+        }
+
+        const cost = GAME_CONFIG.HINT_COSTS[hintType];
+        updatePartStats(activePart.type, (stats) => ({ hints: stats.hints + 1, hintCost: stats.hintCost + cost }));
+        setRunHints(prev => prev + 1);
+        if (!isPractice && !isOnline) {
+            setPersistedState(prev => ({ ...prev, totalHintsUsed: prev.totalHintsUsed + 1 }));
+        }
+        AudioManager.playClick();
+        return true;
+    }, [isLevelComplete, gameOver, activePart, currentLevel.id, selectedOption, eliminatedOptions, updatePartStats, isPractice, isOnline]);
 
     /**
-     * Reset current level (try again)
+     * Switch which missing part the player is filling (not in sequence levels)
+     * @param {number} partIndex - Index into currentLevel.parts
      */
-    const handleResetLevel = useCallback(() => {
-        setSessionScore(0);
-        setLives(GAME_CONFIG.INITIAL_LIVES);
+    const selectPart = useCallback((partIndex) => {
+        const part = parts[partIndex];
+        if (isSequence || !part || filledParts[part.type] || selectedOption || isLevelComplete) return;
+        setActivePartIndex(partIndex);
+    }, [parts, isSequence, filledParts, selectedOption, isLevelComplete]);
+
+    /**
+     * Timed mode: the clock ran out before a correct pick
+     */
+    const handleTimeExpired = useCallback(() => {
+        if (isLevelComplete || gameOver) return;
+
+        if (activePart) {
+            updatePartStats(activePart.type, (stats) => ({ livesLost: stats.livesLost + 1 }));
+            setLevelPicks(prev => [...prev, { partType: activePart.type, optionId: null, correct: false }]);
+        }
+        setRun(prev => ({ ...prev, combo: 0 }));
+        loseLife();
+        setTimeout(() => setIsShaking(false), 400);
+    }, [isLevelComplete, gameOver, activePart, loseLife, updatePartStats]);
+
+    /**
+     * Reset current level (try again) - also starts a new run
+     * @param {number} startingLives - Lives to start with (daily modifiers may lower it)
+     */
+    const handleResetLevel = useCallback((startingLives = GAME_CONFIG.INITIAL_LIVES) => {
+        // A new session replaces any saved one
+        snapshotRef.current = null;
+        SessionStore.clear();
+        setSavedSession(null);
+
+        setLevelScore(0);
+        setRun(NEW_RUN);
+        setLives(startingLives);
         setAttempts(0);
         setIsLevelComplete(false);
-        setSelectedMouth(null);
+        setSelectedOption(null);
+        setActivePartIndex(0);
+        setFilledParts({});
+        setPartStats({});
+        setEliminatedOptions({});
+        setLevelPicks([]);
+        setRunHints(0);
+        setEarnedStars(0);
+        setLevelSeconds(0);
+        setIsShaking(false);
+        setGameOver(false);
+        levelStartRef.current = Date.now();
+    }, []);
+
+    /**
+     * Move on to another level in the same run
+     * Clears the per-level state but keeps lives and the run.
+     */
+    const handleContinueRun = useCallback(() => {
+        setLevelScore(0);
+        setAttempts(0);
+        setIsLevelComplete(false);
+        setSelectedOption(null);
+        setActivePartIndex(0);
+        setFilledParts({});
+        setPartStats({});
+        setEliminatedOptions({});
+        setLevelPicks([]);
+        setEarnedStars(0);
+        setLevelSeconds(0);
+        setIsShaking(false);
+        levelStartRef.current = Date.now();
+    }, []);
+
+    /**
+     * Restore the saved session (App switches to its mode and level alongside,
+     * and restarts the timed mode clock from the snapshot's timeLeft)
+     * Lives, attempts, scores, run and the parts restored so far come back exactly.
+     */
+    const restoreSession = useCallback(() => {
+        const snapshot = resumableSession;
+        if (!snapshot) return;
+
+        restoredLevelRef.current = snapshot.levelIndex;
+        setSavedSession(null);
+        if (snapshot.difficultyId !== persistedState.settings.gameplay.difficulty) {
+            setPersistedState(prev => ({
+                ...prev,
+                settings: { ...prev.settings, gameplay: { ...prev.settings.gameplay, difficulty: snapshot.difficultyId } },
+                settingsUpdatedAt: Date.now(),
+            }));
+        }
+
+        setLives(snapshot.lives);
+        setAttempts(snapshot.attempts);
+        setLevelScore(snapshot.levelScore);
+        setRun(snapshot.run);
+        setActivePartIndex(snapshot.activePartIndex);
+        setFilledParts(snapshot.filledParts);
+        setPartStats(snapshot.partStats);
+        setEliminatedOptions(snapshot.eliminatedOptions);
+        setLevelPicks(snapshot.levelPicks);
+        setRunHints(snapshot.runHints);
+        setIsLevelComplete(snapshot.isLevelComplete);
+        setEarnedStars(snapshot.earnedStars);
+        setLevelSeconds(snapshot.levelSeconds);
+        setSelectedOption(null);
         setIsShaking(false);
         setGameOver(false);
+        levelStartRef.current = Date.now() - snapshot.seconds * 1000;
+    }, [resumableSession, persistedState.settings.gameplay.difficulty]);
+
+    /**
+     * Forget the saved session without resuming it
+     */
+    const discardSession = useCallback(() => {
+        SessionStore.clear();
+        setSavedSession(null);
     }, []);
 
     /**
@@ -431,8 +1065,19 @@ export const useGameState = (levelIndex = 0) => {
             unlockedLevels: [1],
             completedLevels: [],
             bestScores: {},
+            tierBestScores: {},
+            levelHints: {},
+            levelStars: {},
+            levelResults: {},
+            runRecords: {},
+            achievements: {},
+            totalHintsUsed: 0,
             highScore: 0,
             totalScore: 0,
+            survival: DEFAULT_STATE.survival,
+            daily: DEFAULT_STATE.daily,
+            // Merging with the cloud copy would bring the progress back
+            cloudSync: { ...prev.cloudSync, enabled: false },
         }));
 
         // Reset session state
@@ -441,11 +1086,52 @@ export const useGameState = (levelIndex = 0) => {
         return true; // Success indicator
     }, [handleResetLevel]);
 
+    /**
+     * Check an imported save (JSON) the same way a stored one is loaded
+     * @param {string} raw - Save JSON (see utils/saveTransfer readSaveText)
+     * @returns {Object} State it would load as
+     * @throws {Error} When it can't be parsed, upgraded or validated
+     */
+    const parseSaveImport = useCallback((raw) => normalizeState(readSave(raw).save), []);
+
+    /**
+     * Replace the whole save with an imported one (from parseSaveImport)
+     */
+    const importSave = useCallback((state) => {
+        setPersistedState(prev => ({ ...state, cloudSync: prev.cloudSync }));
+        discardSession();
+        handleResetLevel();
+        return true; // Success indicator
+    }, [discardSession, handleResetLevel]);
+
+    /**
+     * Turn cloud save on/off or record a sync on this device
+     * @param {Object} updates - { enabled, secret, lastSyncedAt }
+     */
+    const updateCloudSync = useCallback((updates) => {
+        setPersistedState(prev => ({ ...prev, cloudSync: { ...prev.cloudSync, ...updates } }));
+    }, []);
+
+    /**
+     * Merge a cloud save into this device's save (see utils/cloudSave)
+     * @param {Object} save - Cloud save (from parseSaveImport)
+     * @param {Object} options
+     * @param {string} options.playerId - Take over this player ID (restoring a linked save)
+     * @param {number} options.syncedAt - When the cloud copy was last in sync with this device
+     */
+    const mergeCloudSave = useCallback((save, { playerId = null, syncedAt = null } = {}) => {
+        setPersistedState(prev => ({
+            ...mergeSaves(prev, save),
+            playerId: playerId || prev.playerId,
+            cloudSync: { ...prev.cloudSync, ...(syncedAt && { lastSyncedAt: syncedAt }) },
+        }));
+    }, []);
+
     /**
      * Hard reset - clear EVERYTHING including settings
      */
     const handleHardReset = useCallback(() => {
-        localStorage.removeItem(STORAGE_KEY);
+        SaveStore.clear();
         setPersistedState({ ...DEFAULT_STATE, playerId: generatePlayerId() });
         handleResetLevel();
     }, [handleResetLevel]);
@@ -466,6 +1152,7 @@ export const useGameState = (levelIndex = 0) => {
                     isSfxMuted: isMuted,
                 },
             },
+            settingsUpdatedAt: Date.now(),
         }));
         return isMuted;
     }, [initAudio]);
@@ -479,8 +1166,10 @@ export const useGameState = (levelIndex = 0) => {
     // RETURN PUBLIC API
     // ========================================
     return {
-        // Current level
+        // Current level (options resized for the difficulty tier)
         currentLevel,
+        difficulty,
+        availableDifficulties, // Tiers the catalog has enough images for
 
         // Player profile
         playerName,
@@ -488,11 +1177,26 @@ export const useGameState = (levelIndex = 0) => {
         setPlayerName,
 
         // Session state
-        score: sessionScore,
+        score: run.score, // Run score (combo included)
+        levelScore, // Current level's points (what bestScores keep)
+        runLevelsCleared: run.levelsCleared,
+        combo: run.combo,
+        comboMultiplier: getComboMultiplier(run.combo),
         lives,
         attempts, // Current level attempts
+        levelPicks, // Current level picks in order (mistake review)
         isLevelComplete,
-        selectedMouth,
+        selectedOption,
+        activePart,
+        activePartIndex,
+        filledParts,
+        partStats, // Per part: attempts, lives lost, points (sequence levels), hints and their cost
+        eliminatedOptions: (activePart && eliminatedOptions[activePart.type]) || [], // Active part options removed by hints
+        levelHintsUsed: Object.values(partStats).reduce((sum, stats) => sum + (stats.hints || 0), 0),
+        runHints,
+        earnedStars, // Stars for the level just completed (0 until complete)
+        levelSeconds, // Seconds taken on the level just completed (0 until complete)
+        isSequence,
         isShaking,
         gameOver,
         isLoading,
@@ -501,6 +1205,19 @@ export const useGameState = (levelIndex = 0) => {
         // Persisted state
         highScore: persistedState.highScore,
         totalScore: persistedState.totalScore,
+        totalHintsUsed: persistedState.totalHintsUsed,
+        totalStars,
+        achievements: persistedState.achievements,
+        survivalStats: persistedState.survival,
+        dailyStats: persistedState.daily,
+        runRecords: persistedState.runRecords,
+
+        // Save export/import and cloud save
+        saveData: persistedState,
+        parseSaveImport,
+        importSave,
+        updateCloudSync,
+        mergeCloudSave,
 
         // Settings
         settings,
@@ -509,21 +1226,42 @@ export const useGameState = (levelIndex = 0) => {
         isMuted,
         toggleMute,
 
+        // Saved session (only offered while its level still exists)
+        savedSession: resumableSession,
+        restoreSession,
+        discardSession,
+
         // Progress
         isLevelUnlocked,
         isLevelCompleted,
         getBestScore,
+        getLevelStarRating,
+        isPackUnlocked,
+        unlockAchievements,
         completeLevel,
         submitToLeaderboard,
+        endRun,
+        recordSurvivalRun,
+        submitSurvivalScore,
+        recordDailyResult,
+        submitDailyScore,
         progress: {
             unlockedLevels: persistedState.unlockedLevels,
             completedLevels: persistedState.completedLevels,
             bestScores: persistedState.bestScores,
+            tierBestScores: persistedState.tierBestScores,
+            levelHints: persistedState.levelHints,
+            levelStars: persistedState.levelStars,
+            levelResults: persistedState.levelResults,
         },
 
         // Actions
-        handleMouthSelect,
+        handleOptionSelect,
+        selectPart,
+        handleHint,
+        handleTimeExpired,
         handleResetLevel,
+        handleContinueRun,
         handleResetProgress,
         handleHardReset,
         triggerHaptic,
@@ -534,6 +1272,8 @@ export const useGameState = (levelIndex = 0) => {
 
         // Scoring info
         getPointsForAttempt,
+        getSpeedBonus,
+        getPlacementBonus,
     };
 };
 
@@ -0,0 +1,23 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Level catalog context, filled by LevelCatalogProvider
+ * Value: { levels, packs, errors, reload }
+ */
+export const LevelCatalogContext = createContext(null);
+
+/**
+ * Level Catalog Hook
+ *
+ * Returns the merged level catalog loaded from the level packs.
+ * Must be used below LevelCatalogProvider.
+ */
+export const useLevelCatalog = () => {
+    const catalog = useContext(LevelCatalogContext);
+    if (!catalog) {
+        throw new Error('useLevelCatalog must be used inside <LevelCatalogProvider>');
+    }
+    return catalog;
+};
+
+export default useLevelCatalog;
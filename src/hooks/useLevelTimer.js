@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+
+const TICK_MS = 100;
+
+/**
+ * Track whether the browser tab is hidden
+ */
+const useTabHidden = () => {
+    const [isHidden, setIsHidden] = useState(() => document.hidden);
+
+    useEffect(() => {
+        const handleVisibility = () => setIsHidden(document.hidden);
+        document.addEventListener('visibilitychange', handleVisibility);
+        return () => document.removeEventListener('visibilitychange', handleVisibility);
+    }, []);
+
+    return isHidden;
+};
+
+/**
+ * Level Countdown Timer Hook
+ *
+ * Counts down from `duration` seconds while enabled and not paused.
+ * The clock also pauses automatically while the tab is hidden.
+ * Changing `resetKey` restarts the countdown from the full duration, or
+ * from `startAt` seconds when set (a resumed level keeps the time it had).
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether the timer is active at all
+ * @param {number} options.duration - Countdown length in seconds
+ * @param {boolean} options.isPaused - Freeze the clock (modals, loading, level over)
+ * @param {string|number} options.resetKey - Restart the countdown when this changes
+ * @param {number} options.startAt - Seconds the restarted countdown starts from (default: the full duration)
+ * @param {Function} options.onExpire - Called once when the countdown hits zero
+ */
+export const useLevelTimer = ({ enabled, duration, isPaused, resetKey, startAt = null, onExpire }) => {
+    const durationMs = duration * 1000;
+    const [remainingMs, setRemainingMs] = useState(durationMs);
+    const [prevResetKey, setPrevResetKey] = useState(resetKey);
+    const isTabHidden = useTabHidden();
+    const onExpireRef = useRef(onExpire);
+
+    useEffect(() => {
+        onExpireRef.current = onExpire;
+    }, [onExpire]);
+
+    // Restart the countdown when the reset key changes
+    if (prevResetKey !== resetKey) {
+        setPrevResetKey(resetKey);
+        setRemainingMs(startAt > 0 ? Math.min(startAt, duration) * 1000 : durationMs);
+    }
+
+    const isRunning = enabled && !isPaused && !isTabHidden && remainingMs > 0;
+
+    /**
+     * Tick while running (measures real elapsed time, so slow ticks don't drift)
+     */
+    useEffect(() => {
+        if (!isRunning) return;
+
+        let lastTick = Date.now();
+        const interval = setInterval(() => {
+            const now = Date.now();
+            const elapsed = now - lastTick;
+            lastTick = now;
+            setRemainingMs(prev => Math.max(0, prev - elapsed));
+        }, TICK_MS);
+
+        return () => clearInterval(interval);
+    }, [isRunning]);
+
+    /**
+     * Notify once when time runs out
+     */
+    useEffect(() => {
+        if (enabled && remainingMs === 0) {
+            onExpireRef.current?.();
+        }
+    }, [enabled, remainingMs]);
+
+    return {
+        timeLeft: enabled ? remainingMs / 1000 : null, // Seconds left (null when disabled)
+        isRunning,
+    };
+};
+
+export default useLevelTimer;
@@ -0,0 +1,184 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { RoomService, ROOM_STATUS } from '../services/firebase';
+import { buildRaceLevels, normalizeRoomCode, getRaceStandings, isRaceOver, ROOM_CODE_LENGTH } from '../utils/onlineRace';
+import { createSeed } from '../utils/random';
+
+/**
+ * Online Race Hook (head-to-head over a RoomService room)
+ *
+ * Owns the room subscription and this player's presence, and walks
+ * through the race levels like useDailyChallenge. Lives and score are
+ * carried by useGameState; App mirrors them with reportProgress.
+ *
+ * @param {Object} options
+ * @param {string} options.playerId - This player's ID
+ * @param {string} options.playerName - This player's display name
+ * @param {Array} options.levels - Level catalog (race levels are stored by id)
+ * @param {Function} options.onRaceStart - Called with (levelIndices, room) when the host starts the race
+ */
+export const useOnlineRace = ({ playerId, playerName, levels, onRaceStart }) => {
+    const [code, setCode] = useState(null);
+    const [room, setRoom] = useState(null);
+    const [error, setError] = useState(null);
+    const [isBusy, setIsBusy] = useState(false);
+    const [step, setStep] = useState(0);
+
+    const levelsRef = useRef(levels);
+    const onRaceStartRef = useRef(onRaceStart);
+
+    useEffect(() => {
+        levelsRef.current = levels;
+        onRaceStartRef.current = onRaceStart;
+    }, [levels, onRaceStart]);
+
+    // Room subscription and presence while in a room
+    useEffect(() => {
+        if (!code) return undefined;
+
+        let status = null;
+        const stopPresence = RoomService.trackPresence(code, playerId);
+        const unsubscribe = RoomService.subscribeToRoom(code, (nextRoom) => {
+            setRoom(nextRoom);
+            if (!nextRoom) {
+                setError('The room was closed');
+                setCode(null);
+                return;
+            }
+
+            if (status !== ROOM_STATUS.PLAYING && nextRoom.status === ROOM_STATUS.PLAYING) {
+                const levelIndices = nextRoom.levelIds.map(id => levelsRef.current.findIndex(level => level.id === id));
+                setStep(0);
+                onRaceStartRef.current(levelIndices, nextRoom);
+            }
+            status = nextRoom.status;
+        });
+
+        return () => {
+            unsubscribe();
+            stopPresence();
+        };
+    }, [code, playerId]);
+
+    /**
+     * Run a room action, surfacing its error message
+     */
+    const runAction = useCallback(async (action) => {
+        setIsBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (actionError) {
+            setError(actionError.message);
+        } finally {
+            setIsBusy(false);
+        }
+    }, []);
+
+    /**
+     * Create a room with freshly seeded race levels
+     */
+    const createRoom = useCallback(() => runAction(async () => {
+        const seed = createSeed();
+        const levelIds = buildRaceLevels(levels, seed);
+        setCode(await RoomService.createRoom({ playerId, playerName }, { seed, levelIds }));
+    }), [runAction, levels, playerId, playerName]);
+
+    /**
+     * Join a friend's room
+     * @param {string} input - Room code as typed
+     */
+    const joinRoom = useCallback((input) => runAction(async () => {
+        const roomCode = normalizeRoomCode(input);
+        if (roomCode.length !== ROOM_CODE_LENGTH) {
+            throw new Error(`Room codes have ${ROOM_CODE_LENGTH} characters`);
+        }
+
+        const joined = await RoomService.joinRoom(roomCode, { playerId, playerName });
+        if (joined.levelIds.some(id => !levels.some(level => level.id === id))) {
+            await RoomService.leaveRoom(roomCode, playerId);
+            throw new Error("That room uses levels you don't have");
+        }
+        setCode(roomCode);
+    }), [runAction, levels, playerId, playerName]);
+
+    /**
+     * Start the race (host only)
+     */
+    const startRace = useCallback(() => runAction(() => RoomService.startRace(code)), [runAction, code]);
+
+    /**
+     * Leave the room (forfeits a race in progress)
+     */
+    const leaveRoom = useCallback(() => {
+        if (code) {
+            RoomService.leaveRoom(code, playerId).catch(leaveError => {
+                console.warn('[Rooms] Failed to leave room:', leaveError.message);
+            });
+        }
+        setCode(null);
+        setRoom(null);
+        setStep(0);
+        setError(null);
+    }, [code, playerId]);
+
+    /**
+     * Mirror a pick to the opponent
+     * @param {Object} pick - { levelId, partType, optionId, correct }
+     */
+    const reportPick = useCallback((pick) => {
+        if (!code) return;
+        RoomService.reportPick(code, playerId, pick).catch(reportError => {
+            console.warn('[Rooms] Failed to report pick:', reportError.message);
+        });
+    }, [code, playerId]);
+
+    /**
+     * Mirror race progress to the opponent
+     * @param {Object} progress - { levelsCleared, score, lives, finished }
+     */
+    const reportProgress = useCallback((progress) => {
+        if (!code) return;
+        RoomService.reportProgress(code, playerId, progress).catch(reportError => {
+            console.warn('[Rooms] Failed to report progress:', reportError.message);
+        });
+    }, [code, playerId]);
+
+    const levelIndices = useMemo(() => (room?.levelIds || []).map(id => levels.findIndex(level => level.id === id)), [room, levels]);
+
+    /**
+     * Count the current level as cleared and move on
+     * @returns {number|null} Index of the next level, or null when this player is done
+     */
+    const advance = useCallback(() => {
+        const nextStep = step + 1;
+        setStep(nextStep);
+        return nextStep < levelIndices.length ? levelIndices[nextStep] : null;
+    }, [step, levelIndices]);
+
+    const standings = getRaceStandings(room?.players);
+
+    return {
+        isAvailable: RoomService.isAvailable(),
+        roomCode: code,
+        room,
+        error,
+        isBusy,
+        isHost: room?.hostId === playerId,
+        isRacing: room?.status === ROOM_STATUS.PLAYING,
+        players: standings,
+        opponent: standings.find(player => player.id !== playerId) || null,
+        levelCount: levelIndices.length,
+        levelsCleared: step,
+        isFinished: levelIndices.length > 0 && step >= levelIndices.length,
+        isRaceOver: room?.status === ROOM_STATUS.PLAYING && isRaceOver(room.players),
+        createRoom,
+        joinRoom,
+        startRace,
+        leaveRoom,
+        reportPick,
+        reportProgress,
+        advance,
+    };
+};
+
+export default useOnlineRace;
@@ -0,0 +1,114 @@
+import { useState, useCallback } from 'react';
+import { GAME_CONFIG } from '../data/gameData';
+
+// Match phases
+export const MATCH_PHASES = {
+    HANDOFF: 'handoff', // "Pass to <player>" screen before a turn
+    PLAYING: 'playing',
+    PODIUM: 'podium', // Match over
+};
+
+/**
+ * Next player still in the match after `fromIndex` in the same round
+ * @returns {number} Player index, or -1 when the round is over
+ */
+const findNextPlayer = (players, fromIndex) => {
+    for (let i = fromIndex + 1; i < players.length; i++) {
+        if (!players[i].isOut) return i;
+    }
+    return -1;
+};
+
+/**
+ * Pass-and-Play Match Hook (hot seat, 2-4 players on one device)
+ *
+ * Every round is one level, played by each remaining player in turn.
+ * Lives and scores live here, per player - useGameState only runs the
+ * level for the player whose turn it is (seeded with their lives).
+ * Nothing here is persisted.
+ */
+export const usePassAndPlay = () => {
+    const [match, setMatch] = useState(null);
+    // { players: [{ name, lives, score, levelsCleared, isOut }], levelIndices, round, turn, phase, lastTurn }
+
+    /**
+     * Start a match
+     * @param {string[]} names - Player names (2-4)
+     * @param {number[]} levelIndices - Level played in each round
+     * @returns {{ levelIndex: number, lives: number }} First turn
+     */
+    const startMatch = useCallback((names, levelIndices) => {
+        setMatch({
+            players: names.map(name => ({
+                name,
+                lives: GAME_CONFIG.INITIAL_LIVES,
+                score: 0,
+                levelsCleared: 0,
+                isOut: false,
+            })),
+            levelIndices,
+            round: 0,
+            turn: 0,
+            phase: MATCH_PHASES.HANDOFF,
+            lastTurn: null,
+        });
+        return { levelIndex: levelIndices[0], lives: GAME_CONFIG.INITIAL_LIVES };
+    }, []);
+
+    /**
+     * The player has the device - start their turn
+     */
+    const beginTurn = useCallback(() => {
+        setMatch(prev => ({ ...prev, phase: MATCH_PHASES.PLAYING }));
+    }, []);
+
+    /**
+     * Finish the current turn and move to the next player (or round)
+     * @param {Object} result
+     * @param {number} result.points - Points earned this turn
+     * @param {number} result.livesLeft - Player's lives after the turn (0 = out)
+     * @param {boolean} result.cleared - Whether the level was solved
+     * @returns {{ levelIndex: number, lives: number }|null} Next turn, or null when the match is over
+     */
+    const endTurn = useCallback(({ points, livesLeft, cleared }) => {
+        const players = match.players.map((player, index) => index !== match.turn ? player : {
+            ...player,
+            score: player.score + points,
+            lives: livesLeft,
+            levelsCleared: player.levelsCleared + (cleared ? 1 : 0),
+            isOut: livesLeft <= 0,
+        });
+        const lastTurn = { playerIndex: match.turn, points, cleared };
+
+        let round = match.round;
+        let turn = findNextPlayer(players, match.turn);
+        if (turn === -1) {
+            round += 1;
+            turn = findNextPlayer(players, -1);
+        }
+
+        if (turn === -1 || round >= match.levelIndices.length) {
+            setMatch({ ...match, players, lastTurn, phase: MATCH_PHASES.PODIUM });
+            return null;
+        }
+
+        setMatch({ ...match, players, round, turn, lastTurn, phase: MATCH_PHASES.HANDOFF });
+        return { levelIndex: match.levelIndices[round], lives: players[turn].lives };
+    }, [match]);
+
+    /**
+     * Leave the match
+     */
+    const endMatch = useCallback(() => setMatch(null), []);
+
+    return {
+        match,
+        currentPlayer: match ? match.players[match.turn] : null,
+        startMatch,
+        beginTurn,
+        endTurn,
+        endMatch,
+    };
+};
+
+export default usePassAndPlay;
@@ -0,0 +1,23 @@
+import { useMemo } from 'react';
+import { createSeededRandom, shuffle } from '../utils/random';
+
+/**
+ * Shuffled Options Hook
+ *
+ * Returns a part's options in a seeded random order, so the correct
+ * answer isn't always in the same cell. The same seed and reshuffle
+ * count always give the same order (daily/shared runs stay
+ * reproducible); bump the count to reshuffle mid-level.
+ *
+ * @param {Object[]} options - Options to order
+ * @param {string} seed - Seed (base seed per level start/reset + level/part ids)
+ * @param {number} reshuffleCount - Reshuffles so far within this attempt
+ */
+export const useShuffledOptions = (options, seed, reshuffleCount = 0) => {
+    return useMemo(
+        () => shuffle(options, createSeededRandom(`${seed}:${reshuffleCount}`)),
+        [options, seed, reshuffleCount]
+    );
+};
+
+export default useShuffledOptions;
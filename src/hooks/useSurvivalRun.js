@@ -0,0 +1,60 @@
+import { useState, useCallback } from 'react';
+import { shuffle } from '../utils/random';
+
+/**
+ * Build a freshly shuffled pool of level indices
+ * Avoids serving the same level twice in a row across a reshuffle.
+ */
+const buildPool = (levelCount, lastIndex = null) => {
+    const pool = shuffle(Array.from({ length: levelCount }, (_, i) => i));
+    if (pool.length > 1 && pool[0] === lastIndex) {
+        pool.push(pool.shift());
+    }
+    return pool;
+};
+
+/**
+ * Survival Run Hook
+ *
+ * Serves level indices from the whole catalog in shuffled order,
+ * with no repeats until the pool is exhausted (then reshuffles).
+ * Lives and score are carried by useGameState; this hook only
+ * tracks the level queue and how many levels the run has cleared.
+ *
+ * @param {number} levelCount - Number of levels in the catalog
+ */
+export const useSurvivalRun = (levelCount) => {
+    const [queue, setQueue] = useState([]);
+    const [levelsCleared, setLevelsCleared] = useState(0);
+
+    /**
+     * Start a new run
+     * @returns {number} Index of the first level
+     */
+    const startRun = useCallback(() => {
+        const pool = buildPool(levelCount);
+        setQueue(pool.slice(1));
+        setLevelsCleared(0);
+        return pool[0];
+    }, [levelCount]);
+
+    /**
+     * Count the current level as cleared and draw the next one
+     * @param {number} lastIndex - Index of the level just cleared
+     * @returns {number} Index of the next level
+     */
+    const advance = useCallback((lastIndex) => {
+        const pool = queue.length > 0 ? queue : buildPool(levelCount, lastIndex);
+        setQueue(pool.slice(1));
+        setLevelsCleared(count => count + 1);
+        return pool[0];
+    }, [queue, levelCount]);
+
+    return {
+        levelsCleared,
+        startRun,
+        advance,
+    };
+};
+
+export default useSurvivalRun;
@@ -1,10 +1,23 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { LevelCatalogProvider } from './components/LevelCatalogProvider.jsx'
+
+// Dev-only level editor at /editor (dropped from production builds)
+const LevelEditor = import.meta.env.DEV ? lazy(() => import('./components/LevelEditor.jsx')) : null
+const isEditorRoute = LevelEditor && window.location.pathname === '/editor'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <LevelCatalogProvider>
+      {isEditorRoute ? (
+        <Suspense fallback={null}>
+          <LevelEditor />
+        </Suspense>
+      ) : (
+        <App />
+      )}
+    </LevelCatalogProvider>
   </StrictMode>,
 )
@@ -153,6 +153,14 @@ class AudioManagerClass {
         this._playTone([311.13, 233.08], 0.15, 'sawtooth', 0.25); // Eb4 -> Bb3
     }
 
+    /**
+     * Play a gentle "not quite" nudge (soft two-note hum, practice mode)
+     */
+    async playNudge() {
+        await this.ensureReady();
+        this._playTone([440, 392], 0.1, 'sine', 0.15); // A4 -> G4
+    }
+
     /**
      * Play a level complete fanfare
      */
@@ -166,6 +174,18 @@ class AudioManagerClass {
         this._playToneAt([1046.5], 0.3, 'sine', 0.4, now + 0.3);  // C6
     }
 
+    /**
+     * Play an achievement unlock jingle (sparkly arpeggio)
+     */
+    async playAchievement() {
+        await this.ensureReady();
+        const now = this.audioContext.currentTime;
+        this._playToneAt([783.99], 0.12, 'triangle', 0.3, now);         // G5
+        this._playToneAt([1046.5], 0.12, 'triangle', 0.3, now + 0.08);  // C6
+        this._playToneAt([1318.51], 0.12, 'triangle', 0.3, now + 0.16); // E6
+        this._playToneAt([1567.98], 0.35, 'sine', 0.35, now + 0.24);    // G6
+    }
+
     /**
      * Play a click sound (short pop)
      */
@@ -0,0 +1,38 @@
+/**
+ * GameEvents - Tiny publish/subscribe bus for gameplay events
+ *
+ * Game code emits what happened (see GAME_EVENTS in data/achievements.js);
+ * listeners such as the achievements engine react to it without the
+ * emitters knowing about them.
+ */
+
+const listeners = new Set();
+
+export const GameEvents = {
+    /**
+     * Notify every listener of an event
+     * @param {string} type - Event type
+     * @param {Object} payload - Event details
+     */
+    emit(type, payload = {}) {
+        listeners.forEach(listener => {
+            try {
+                listener(type, payload);
+            } catch (err) {
+                console.warn(`[GameEvents] Listener failed on "${type}":`, err);
+            }
+        });
+    },
+
+    /**
+     * Listen to every event
+     * @param {Function} listener - Called with (type, payload)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    },
+};
+
+export default GameEvents;
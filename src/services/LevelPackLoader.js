@@ -0,0 +1,142 @@
+/**
+ * LevelPackLoader - Fetches and validates level packs from /public
+ *
+ * The manifest (/levels/index.json) lists pack URLs:
+ *   { "packs": ["/levels/core.json", ...] }
+ *
+ * A pack may set "requiredStars": its levels stay locked until the
+ * player has collected that many stars in total.
+ *
+ * Every pack is validated against the level schema. Invalid packs are
+ * rejected with a readable error and skipped; valid packs are merged into
+ * one catalog in manifest order, with every level normalized to the
+ * parts format (see normalizeLevel).
+ *
+ * Options also get the content hash of their image (imageHash, from
+ * /levels/image-hashes.json written by `npm run check:levels`), so copies
+ * of an image saved under another path can be told apart from new ones.
+ */
+import { GAME_CONFIG } from '../data/gameData';
+import { normalizeLevel, validateLevelPack } from '../data/levelSchema';
+
+/**
+ * Fetch and parse a JSON file, with a clear error on failure
+ */
+const fetchJson = async (url) => {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (err) {
+        throw new Error(`Could not fetch ${url}: ${err.message}`);
+    }
+    if (!response.ok) {
+        throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+    }
+    try {
+        return await response.json();
+    } catch {
+        throw new Error(`${url} is not valid JSON`);
+    }
+};
+
+/**
+ * Tag every option with the content hash of its image (when known)
+ */
+const withImageHashes = (level, imageHashes) => ({
+    ...level,
+    parts: level.parts.map(part => ({
+        ...part,
+        options: part.options.map(option => (
+            imageHashes[option.image] ? { ...option, imageHash: imageHashes[option.image] } : option
+        )),
+    })),
+});
+
+export const LevelPackLoader = {
+    /**
+     * Load the list of pack URLs from the manifest
+     * @param {string} manifestUrl - URL of the pack manifest
+     * @returns {Promise<string[]>} Pack URLs
+     */
+    async loadManifest(manifestUrl = GAME_CONFIG.LEVEL_PACKS_MANIFEST) {
+        const manifest = await fetchJson(manifestUrl);
+        if (!Array.isArray(manifest?.packs) || !manifest.packs.every(p => typeof p === 'string')) {
+            throw new Error(`${manifestUrl} must contain a "packs" array of URLs`);
+        }
+        return manifest.packs;
+    },
+
+    /**
+     * Load and validate a single pack
+     * @param {string} url - Pack URL
+     * @returns {Promise<Object>} The validated pack
+     */
+    async loadPack(url) {
+        const pack = await fetchJson(url);
+        const errors = validateLevelPack(pack);
+        if (errors.length > 0) {
+            throw new Error(`Invalid level pack ${url}:\n- ${errors.join('\n- ')}`);
+        }
+        return pack;
+    },
+
+    /**
+     * Load the option image hashes (missing hashes only make tiers compare paths)
+     * @returns {Promise<Object>} Image URL -> content hash
+     */
+    async loadImageHashes(url = GAME_CONFIG.LEVEL_IMAGE_HASHES) {
+        try {
+            return await fetchJson(url);
+        } catch (err) {
+            console.warn('[LevelPackLoader]', err.message);
+            return {};
+        }
+    },
+
+    /**
+     * Load every pack in the manifest and merge them into one catalog
+     * @returns {Promise<{ levels: Object[], packs: Object[], errors: string[] }>}
+     */
+    async loadCatalog(manifestUrl = GAME_CONFIG.LEVEL_PACKS_MANIFEST) {
+        const packUrls = await this.loadManifest(manifestUrl);
+        const [results, imageHashes] = await Promise.all([
+            Promise.allSettled(packUrls.map(url => this.loadPack(url))),
+            this.loadImageHashes(),
+        ]);
+
+        const levels = [];
+        const packs = [];
+        const errors = [];
+        const levelOwners = new Map(); // level id -> pack id
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                errors.push(result.reason.message);
+                return;
+            }
+
+            const pack = result.value;
+            const clashes = pack.levels.filter(level => levelOwners.has(level.id));
+            if (clashes.length > 0) {
+                errors.push(`Invalid level pack ${packUrls[index]}: level ids ${clashes.map(l => l.id).join(', ')} are already defined by pack "${levelOwners.get(clashes[0].id)}"`);
+                return;
+            }
+
+            pack.levels.forEach(level => levelOwners.set(level.id, pack.id));
+            packs.push({
+                id: pack.id,
+                name: pack.name || pack.id,
+                requiredStars: pack.requiredStars || 0,
+                levelIds: pack.levels.map(l => l.id),
+            });
+            levels.push(...pack.levels.map(level => ({ ...withImageHashes(normalizeLevel(level), imageHashes), packId: pack.id })));
+        });
+
+        errors.forEach(message => console.warn('[LevelPackLoader]', message));
+        // Campaign order follows the ids (progress is keyed by id, not position)
+        levels.sort((a, b) => a.id - b.id);
+        return { levels, packs, errors };
+    },
+};
+
+export default LevelPackLoader;
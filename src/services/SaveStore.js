@@ -0,0 +1,95 @@
+/**
+ * SaveStore - Reads and writes the progress save
+ *
+ * Loading looks under the current key first, then under the keys older
+ * versions used (newest first). A save from an older version is copied
+ * to a backup key as it was stored, upgraded through the steps in
+ * utils/saveMigrations, written under the current key and its old key is
+ * removed. A save that can't be parsed, upgraded or validated (or was
+ * written by a newer version of the game) is also backed up before it is
+ * skipped, so nothing is lost when the game falls back to an older save
+ * or to a fresh one.
+ */
+
+import { SAVE_VERSION, SAVE_KEYS, readSave } from '../utils/saveMigrations';
+
+const SAVE_KEY = SAVE_KEYS[SAVE_VERSION];
+const BACKUP_PREFIX = 'hamada_game_backup_';
+
+/**
+ * Keep a stored blob under a backup key
+ * @param {string} name - Backup name (e.g. v2, corrupt_v3)
+ * @param {string} raw - Blob exactly as stored
+ */
+const backup = (name, raw) => {
+    try {
+        localStorage.setItem(BACKUP_PREFIX + name, raw);
+    } catch (err) {
+        console.warn(`[SaveStore] Failed to back up save (${name}):`, err);
+    }
+};
+
+export const SaveStore = {
+    /**
+     * Find, upgrade and return the save
+     * @returns {Object|null} Save at SAVE_VERSION, or null when there is none to use
+     */
+    load() {
+        const versions = Object.keys(SAVE_KEYS).map(Number).sort((a, b) => b - a);
+        for (const version of versions) {
+            const key = SAVE_KEYS[version];
+            let raw;
+            try {
+                raw = localStorage.getItem(key);
+            } catch (err) {
+                console.warn('[SaveStore] Storage unavailable:', err);
+                return null;
+            }
+            if (raw === null) continue;
+
+            let result;
+            try {
+                result = readSave(raw, version);
+            } catch (err) {
+                console.warn(`[SaveStore] Skipping unreadable save in ${key}:`, err);
+                backup(`corrupt_v${version}`, raw);
+                continue;
+            }
+
+            const { save, fromVersion } = result;
+            if (key !== SAVE_KEY || fromVersion < SAVE_VERSION) {
+                backup(`v${fromVersion}`, raw);
+                SaveStore.save(save);
+                if (key !== SAVE_KEY) localStorage.removeItem(key);
+                console.info(`[SaveStore] Upgraded save from v${fromVersion} to v${SAVE_VERSION}`);
+            }
+            return save;
+        }
+        return null;
+    },
+
+    /**
+     * Write the save under the current key
+     * @param {Object} save - Persisted state (see useGameState)
+     */
+    save(save) {
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+        } catch (err) {
+            console.warn('[SaveStore] Failed to save:', err);
+        }
+    },
+
+    /**
+     * Delete the save (backups are kept)
+     */
+    clear() {
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (err) {
+            console.warn('[SaveStore] Failed to clear save:', err);
+        }
+    },
+};
+
+export default SaveStore;
@@ -0,0 +1,53 @@
+/**
+ * SessionStore - Snapshot of the level in progress
+ *
+ * useGameState writes the live session (level, lives, attempts, scores,
+ * parts restored so far, timed mode time left) here while a resumable
+ * mode is being played, so a reload or an evicted mobile tab can pick up
+ * exactly where it stopped.
+ * Kept apart from the progress save: it is thrown away as soon as the
+ * session ends (game over, leaving the level, starting something else).
+ */
+
+const SESSION_KEY = 'hamada_session_v1';
+const SNAPSHOT_VERSION = 1;
+
+export const SessionStore = {
+    /**
+     * Read the saved snapshot
+     * @returns {Object|null} Snapshot, or null when there is none (or it is unreadable)
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+            return saved?.version === SNAPSHOT_VERSION ? saved : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Save a snapshot of the session
+     * @param {Object} snapshot - Session fields (see useGameState)
+     */
+    save(snapshot) {
+        try {
+            localStorage.setItem(SESSION_KEY, JSON.stringify({ ...snapshot, version: SNAPSHOT_VERSION, savedAt: Date.now() }));
+        } catch (err) {
+            console.warn('[SessionStore] Failed to save session:', err);
+        }
+    },
+
+    /**
+     * Forget the saved snapshot
+     */
+    clear() {
+        try {
+            localStorage.removeItem(SESSION_KEY);
+        } catch (err) {
+            console.warn('[SessionStore] Failed to clear session:', err);
+        }
+    },
+};
+
+export default SessionStore;
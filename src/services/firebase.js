@@ -1,11 +1,21 @@
 /**
  * Firebase Configuration for Hamada Yed7ak
  * 
- * This configures Firebase Realtime Database for the global leaderboard.
- * The database rules allow read access to everyone and write access to authenticated scores.
+ * This configures Firebase Realtime Database for the global leaderboard,
+ * the online head-to-head rooms and cloud saves (rules: database.rules.json).
+ *
+ * Local emulator: `npm run emulators`, then start the app with
+ * VITE_FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000
  */
 import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, push, onValue, query, orderByChild, limitToLast, set, get } from 'firebase/database';
+import {
+    getDatabase, connectDatabaseEmulator, ref, push, onValue, query, orderByChild, limitToLast, limitToFirst, endAt,
+    set, get, update, remove, runTransaction, onDisconnect, serverTimestamp,
+} from 'firebase/database';
+import { getDailyKey } from '../utils/dailyChallenge';
+import { generateRoomCode } from '../utils/onlineRace';
+import { generateLinkCode } from '../utils/cloudSave';
+import { GAME_CONFIG } from '../data/gameData';
 
 // Firebase configuration - Free tier project for Hamada Yed7ak
 // Note: For production, create your own Firebase project at https://console.firebase.google.com
@@ -20,6 +30,13 @@ const firebaseConfig = {
     measurementId: "G-NQPMRYH6ES"
 };
 
+// Database emulator ("host:port"); a demo project needs no credentials
+const emulatorHost = import.meta.env.VITE_FIREBASE_DATABASE_EMULATOR_HOST;
+if (emulatorHost) {
+    firebaseConfig.projectId ||= 'demo-hamada-yed7ak';
+    firebaseConfig.databaseURL ||= `http://${emulatorHost}?ns=${firebaseConfig.projectId}`;
+}
+
 // Initialize Firebase
 let app = null;
 let database = null;
@@ -27,10 +44,42 @@ let database = null;
 try {
     app = initializeApp(firebaseConfig);
     database = getDatabase(app);
+
+    if (emulatorHost) {
+        const [host, port] = emulatorHost.split(':');
+        connectDatabaseEmulator(database, host, Number(port));
+        console.log('[Firebase] Using the database emulator at', emulatorHost);
+    }
 } catch (error) {
     console.warn('[Firebase] Failed to initialize:', error.message);
 }
 
+/**
+ * Leaderboard categories - each mode ranks separately
+ * - path: Realtime Database node
+ * - localKey: localStorage fallback key
+ * - perDay: one board per day (node `${path}/${dayKey}`)
+ */
+export const LEADERBOARD_CATEGORIES = {
+    campaign: { path: 'leaderboard', localKey: 'hamada_local_leaderboard', label: 'Campaign' },
+    survival: { path: 'leaderboard_survival', localKey: 'hamada_local_leaderboard_survival', label: 'Survival' },
+    daily: { path: 'leaderboard_daily', localKey: 'hamada_local_leaderboard_daily', label: 'Daily', perDay: true },
+};
+
+/**
+ * Resolve where a category's scores live
+ * @param {string} category - Leaderboard category
+ * @param {string} dayKey - Day for per-day categories (defaults to today)
+ * @returns {{ path: string, localKey: string }}
+ */
+const getBoard = (category, dayKey = null) => {
+    const { path, localKey, perDay } = LEADERBOARD_CATEGORIES[category] || LEADERBOARD_CATEGORIES.campaign;
+    if (!perDay) return { path, localKey };
+
+    const day = dayKey || getDailyKey();
+    return { path: `${path}/${day}`, localKey: `${localKey}_${day}` };
+};
+
 /**
  * LeaderboardService - Handles all leaderboard operations
  */
@@ -40,21 +89,25 @@ export const LeaderboardService = {
      * @param {string} playerName - Player's display name
      * @param {number} score - Total score
      * @param {number} levelsCompleted - Number of levels completed
+     * @param {string} category - Leaderboard category (see LEADERBOARD_CATEGORIES)
+     * @param {string} dayKey - Day for per-day categories (defaults to today)
+     * @param {number} hintsUsed - Hints used to earn the score (shown next to the entry)
      */
-    async submitScore(playerName, score, levelsCompleted) {
+    async submitScore(playerName, score, levelsCompleted, category = 'campaign', dayKey = null, hintsUsed = 0) {
         if (!database) {
             console.warn('[Leaderboard] Database not initialized, using local only');
-            return this._saveLocalScore(playerName, score, levelsCompleted);
+            return this._saveLocalScore(playerName, score, levelsCompleted, category, dayKey, hintsUsed);
         }
 
         try {
-            const scoresRef = ref(database, 'leaderboard');
+            const scoresRef = ref(database, getBoard(category, dayKey).path);
             const newScoreRef = push(scoresRef);
 
             const scoreEntry = {
                 name: playerName.substring(0, 20), // Max 20 chars
                 score: score,
                 levelsCompleted: levelsCompleted,
+                hintsUsed: hintsUsed,
                 timestamp: Date.now(),
                 id: newScoreRef.key
             };
@@ -64,22 +117,24 @@ export const LeaderboardService = {
             return scoreEntry;
         } catch (error) {
             console.warn('[Leaderboard] Failed to submit score:', error.message);
-            return this._saveLocalScore(playerName, score, levelsCompleted);
+            return this._saveLocalScore(playerName, score, levelsCompleted, category, dayKey, hintsUsed);
         }
     },
 
     /**
      * Get top scores from the leaderboard
      * @param {number} limit - Number of scores to fetch (default 50)
+     * @param {string} category - Leaderboard category
+     * @param {string} dayKey - Day for per-day categories (defaults to today)
      * @returns {Promise<Array>} Array of score entries
      */
-    async getTopScores(limit = 50) {
+    async getTopScores(limit = 50, category = 'campaign', dayKey = null) {
         if (!database) {
-            return this._getLocalScores();
+            return this._getLocalScores(category, dayKey);
         }
 
         try {
-            const scoresRef = ref(database, 'leaderboard');
+            const scoresRef = ref(database, getBoard(category, dayKey).path);
             const topScoresQuery = query(scoresRef, orderByChild('score'), limitToLast(limit));
 
             const snapshot = await get(topScoresQuery);
@@ -97,7 +152,7 @@ export const LeaderboardService = {
             return scores.sort((a, b) => b.score - a.score);
         } catch (error) {
             console.warn('[Leaderboard] Failed to fetch scores:', error.message);
-            return this._getLocalScores();
+            return this._getLocalScores(category, dayKey);
         }
     },
 
@@ -105,15 +160,17 @@ export const LeaderboardService = {
      * Subscribe to real-time leaderboard updates
      * @param {Function} callback - Called with updated scores array
      * @param {number} limit - Number of scores to track
+     * @param {string} category - Leaderboard category
+     * @param {string} dayKey - Day for per-day categories (defaults to today)
      * @returns {Function} Unsubscribe function
      */
-    subscribeToLeaderboard(callback, limit = 50) {
+    subscribeToLeaderboard(callback, limit = 50, category = 'campaign', dayKey = null) {
         if (!database) {
-            callback(this._getLocalScores());
+            callback(this._getLocalScores(category, dayKey));
             return () => { };
         }
 
-        const scoresRef = ref(database, 'leaderboard');
+        const scoresRef = ref(database, getBoard(category, dayKey).path);
         const topScoresQuery = query(scoresRef, orderByChild('score'), limitToLast(limit));
 
         const unsubscribe = onValue(topScoresQuery, (snapshot) => {
@@ -131,7 +188,7 @@ export const LeaderboardService = {
             callback(scores.sort((a, b) => b.score - a.score));
         }, (error) => {
             console.warn('[Leaderboard] Subscription error:', error.message);
-            callback(this._getLocalScores());
+            callback(this._getLocalScores(category, dayKey));
         });
 
         return unsubscribe;
@@ -140,27 +197,28 @@ export const LeaderboardService = {
     /**
      * Fallback: Save score locally
      */
-    _saveLocalScore(playerName, score, levelsCompleted) {
-        const localScores = this._getLocalScores();
+    _saveLocalScore(playerName, score, levelsCompleted, category = 'campaign', dayKey = null, hintsUsed = 0) {
+        const localScores = this._getLocalScores(category, dayKey);
         const newEntry = {
             name: playerName,
             score: score,
             levelsCompleted: levelsCompleted,
+            hintsUsed: hintsUsed,
             timestamp: Date.now(),
             id: `local_${Date.now()}`
         };
         localScores.push(newEntry);
         localScores.sort((a, b) => b.score - a.score);
-        localStorage.setItem('hamada_local_leaderboard', JSON.stringify(localScores.slice(0, 100)));
+        localStorage.setItem(getBoard(category, dayKey).localKey, JSON.stringify(localScores.slice(0, 100)));
         return newEntry;
     },
 
     /**
      * Fallback: Get local scores
      */
-    _getLocalScores() {
+    _getLocalScores(category = 'campaign', dayKey = null) {
         try {
-            const stored = localStorage.getItem('hamada_local_leaderboard');
+            const stored = localStorage.getItem(getBoard(category, dayKey).localKey);
             return stored ? JSON.parse(stored) : [];
         } catch {
             return [];
@@ -168,4 +226,377 @@ export const LeaderboardService = {
     }
 };
 
+// Online room lifecycle
+export const ROOM_STATUS = {
+    WAITING: 'waiting', // Lobby, waiting for the opponent
+    PLAYING: 'playing', // Race in progress
+};
+
+const ROOMS_PATH = 'rooms';
+const ROOM_CODE_ATTEMPTS = 5;
+
+/**
+ * RoomService - Online head-to-head rooms
+ *
+ * rooms/{code}: { code, hostId, status, seed, levelIds, createdAt, updatedAt,
+ *   players: { [playerId]: { name, connected, left, lastSeen, progress, lastPick } } }
+ *
+ * Unlike the leaderboard there is no local fallback - every method throws
+ * when the database is unavailable.
+ */
+export const RoomService = {
+    /**
+     * Whether online play is possible (database initialized)
+     */
+    isAvailable() {
+        return Boolean(database);
+    },
+
+    /**
+     * Create a room with a fresh code and join it as the host
+     * @param {Object} player - { playerId, playerName }
+     * @param {Object} race - { seed, levelIds } shared by both players
+     * @returns {Promise<string>} Room code
+     */
+    async createRoom({ playerId, playerName }, { seed, levelIds }) {
+        this._requireDatabase();
+        await this.cleanupAbandonedRooms();
+
+        for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+            const code = generateRoomCode();
+            const room = {
+                code,
+                hostId: playerId,
+                status: ROOM_STATUS.WAITING,
+                seed,
+                levelIds,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp(),
+                players: { [playerId]: this._newPlayer(playerName) },
+            };
+
+            // Only claim codes nobody is using
+            const result = await runTransaction(ref(database, `${ROOMS_PATH}/${code}`), current => (current === null ? room : undefined));
+            if (result.committed) return code;
+        }
+        throw new Error('Could not create a room, please try again');
+    },
+
+    /**
+     * Join a waiting room (rejoining a room you are already in always works)
+     * @param {string} code - Room code
+     * @param {Object} player - { playerId, playerName }
+     * @returns {Promise<Object>} The room
+     */
+    async joinRoom(code, { playerId, playerName }) {
+        this._requireDatabase();
+
+        let failure = null;
+        const result = await runTransaction(ref(database, `${ROOMS_PATH}/${code}`), room => {
+            failure = null;
+            // A null first pass may just be an empty cache - writing null lets the server answer
+            if (room === null) return null;
+
+            const players = room.players || {};
+            if (players[playerId]) {
+                return { ...room, players: { ...players, [playerId]: { ...players[playerId], connected: true, left: false } } };
+            }
+            if (room.status !== ROOM_STATUS.WAITING) {
+                failure = 'That race has already started';
+                return undefined;
+            }
+            if (Object.keys(players).length >= GAME_CONFIG.ONLINE_ROOM_MAX_PLAYERS) {
+                failure = 'That room is full';
+                return undefined;
+            }
+
+            return { ...room, updatedAt: serverTimestamp(), players: { ...players, [playerId]: this._newPlayer(playerName) } };
+        });
+
+        if (failure) throw new Error(failure);
+        if (!result.snapshot.exists()) throw new Error('No room with that code');
+        return result.snapshot.val();
+    },
+
+    /**
+     * Start the race (host)
+     * @param {string} code - Room code
+     */
+    async startRace(code) {
+        this._requireDatabase();
+        await update(ref(database, `${ROOMS_PATH}/${code}`), {
+            status: ROOM_STATUS.PLAYING,
+            startedAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+        });
+    },
+
+    /**
+     * Subscribe to a room
+     * @param {string} code - Room code
+     * @param {Function} callback - Called with the room (null once it is gone)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToRoom(code, callback) {
+        this._requireDatabase();
+        return onValue(ref(database, `${ROOMS_PATH}/${code}`), (snapshot) => {
+            callback(snapshot.val());
+        }, (error) => {
+            console.warn('[Rooms] Subscription error:', error.message);
+            callback(null);
+        });
+    },
+
+    /**
+     * Keep `connected` up to date for a player while subscribed
+     * (set on every (re)connect, cleared by the server on disconnect)
+     * @param {string} code - Room code
+     * @param {string} playerId - Player ID
+     * @returns {Function} Stop tracking presence
+     */
+    trackPresence(code, playerId) {
+        this._requireDatabase();
+        const playerRef = ref(database, `${ROOMS_PATH}/${code}/players/${playerId}`);
+
+        const unsubscribe = onValue(ref(database, '.info/connected'), async (snapshot) => {
+            if (snapshot.val() !== true) return;
+            try {
+                await onDisconnect(playerRef).update({ connected: false, lastSeen: serverTimestamp() });
+                await update(playerRef, { connected: true, lastSeen: serverTimestamp() });
+            } catch (error) {
+                console.warn('[Rooms] Failed to update presence:', error.message);
+            }
+        });
+
+        return () => {
+            unsubscribe();
+            onDisconnect(playerRef).cancel().catch(() => { });
+        };
+    },
+
+    /**
+     * Mirror a pick to the room
+     * @param {string} code - Room code
+     * @param {string} playerId - Player ID
+     * @param {Object} pick - { levelId, partType, optionId, correct }
+     */
+    async reportPick(code, playerId, pick) {
+        this._requireDatabase();
+        await update(ref(database, `${ROOMS_PATH}/${code}`), {
+            [`players/${playerId}/lastPick`]: { ...pick, at: serverTimestamp() },
+            updatedAt: serverTimestamp(),
+        });
+    },
+
+    /**
+     * Mirror race progress to the room
+     * @param {string} code - Room code
+     * @param {string} playerId - Player ID
+     * @param {Object} progress - { levelsCleared, score, lives, finished }
+     */
+    async reportProgress(code, playerId, progress) {
+        this._requireDatabase();
+        await update(ref(database, `${ROOMS_PATH}/${code}`), {
+            [`players/${playerId}/progress`]: {
+                ...progress,
+                finishedAt: progress.finished ? serverTimestamp() : null,
+            },
+            updatedAt: serverTimestamp(),
+        });
+    },
+
+    /**
+     * Leave a room. In the lobby the player is removed; mid-race they forfeit.
+     * The room is deleted once nobody is left in it.
+     * @param {string} code - Room code
+     * @param {string} playerId - Player ID
+     */
+    async leaveRoom(code, playerId) {
+        this._requireDatabase();
+        await onDisconnect(ref(database, `${ROOMS_PATH}/${code}/players/${playerId}`)).cancel();
+
+        await runTransaction(ref(database, `${ROOMS_PATH}/${code}`), room => {
+            if (room === null) return null;
+
+            const { [playerId]: leaving, ...others } = room.players || {};
+            const players = room.status === ROOM_STATUS.WAITING || !leaving
+                ? others
+                : { ...others, [playerId]: { ...leaving, connected: false, left: true } };
+
+            const isEmpty = Object.values(players).every(player => player.left);
+            return isEmpty ? null : { ...room, players, updatedAt: serverTimestamp() };
+        });
+    },
+
+    /**
+     * Delete rooms nobody has touched for a while (best effort)
+     */
+    async cleanupAbandonedRooms() {
+        if (!database) return;
+
+        try {
+            const cutoff = Date.now() - GAME_CONFIG.ONLINE_ROOM_TTL_MINUTES * 60 * 1000;
+            const staleQuery = query(ref(database, ROOMS_PATH), orderByChild('updatedAt'), endAt(cutoff), limitToFirst(20));
+            const snapshot = await get(staleQuery);
+
+            const removals = [];
+            snapshot.forEach((child) => {
+                removals.push(remove(child.ref));
+            });
+            await Promise.all(removals);
+        } catch (error) {
+            console.warn('[Rooms] Cleanup failed:', error.message);
+        }
+    },
+
+    /**
+     * Fresh player entry
+     */
+    _newPlayer(playerName) {
+        return {
+            name: playerName.substring(0, 20),
+            connected: true,
+            left: false,
+            lastSeen: serverTimestamp(),
+            progress: { levelsCleared: 0, score: 0, lives: GAME_CONFIG.INITIAL_LIVES, finished: false },
+        };
+    },
+
+    /**
+     * Throw when online play is unavailable
+     */
+    _requireDatabase() {
+        if (!database) {
+            throw new Error('Online play is unavailable right now');
+        }
+    },
+};
+
+const SAVES_PATH = 'saves';
+const SAVE_LINKS_PATH = 'save_links';
+const LINK_CODE_ATTEMPTS = 5;
+
+/**
+ * CloudSaveService - Saves mirrored under the player ID
+ *
+ * saves/{playerId}/{secret}: { data, updatedAt } - `data` is the save as JSON
+ *   text (stored as text so level-number maps don't come back as arrays).
+ *   The secret is generated on the device that turns cloud save on and
+ *   never leaves it except through a link code; nothing above it can be
+ *   listed, so a player ID alone gives no access to the save.
+ * save_links/{code}: { playerId, secret, createdAt } - one-time code to
+ *   restore the save on another device
+ *
+ * Like RoomService there is no local fallback - methods throw when the
+ * database is unavailable, and the caller keeps playing on the local save.
+ */
+export const CloudSaveService = {
+    /**
+     * Whether cloud saves are possible (database initialized)
+     */
+    isAvailable() {
+        return Boolean(database);
+    },
+
+    /**
+     * Merge this device's save into the cloud copy in one transaction
+     * @param {string} playerId - Player ID
+     * @param {string} secret - Save secret (see generateSaveSecret)
+     * @param {Function} merge - (cloud save or null) => save to store; may throw to leave the cloud copy alone
+     * @returns {Promise<Object>} Save now in the cloud
+     */
+    async syncSave(playerId, secret, merge) {
+        this._requireDatabase();
+
+        let failure = null;
+        const result = await runTransaction(ref(database, `${SAVES_PATH}/${playerId}/${secret}`), current => {
+            failure = null;
+            try {
+                const merged = merge(current ? JSON.parse(current.data) : null);
+                return { data: JSON.stringify(merged), updatedAt: serverTimestamp() };
+            } catch (error) {
+                failure = error;
+                return undefined;
+            }
+        });
+
+        if (failure) throw failure;
+        if (!result.committed) throw new Error('Cloud save was not updated');
+        return JSON.parse(result.snapshot.val().data);
+    },
+
+    /**
+     * Create a one-time link code for a player's cloud save
+     * @param {string} playerId - Player ID
+     * @param {string} secret - Save secret
+     * @returns {Promise<string>} Link code
+     */
+    async createLinkCode(playerId, secret) {
+        this._requireDatabase();
+
+        for (let attempt = 0; attempt < LINK_CODE_ATTEMPTS; attempt++) {
+            const code = generateLinkCode();
+            const link = { playerId, secret, createdAt: serverTimestamp() };
+            const result = await runTransaction(ref(database, `${SAVE_LINKS_PATH}/${code}`), current => (current === null ? link : undefined));
+            if (result.committed) return code;
+        }
+        throw new Error('Could not create a link code, please try again');
+    },
+
+    /**
+     * Use a link code: the code is read and deleted in one transaction (so
+     * only one device can redeem it) and the linked save returned
+     * @param {string} code - Link code (see normalizeLinkCode)
+     * @returns {Promise<{ playerId: string, secret: string, save: Object }>}
+     */
+    async redeemLinkCode(code) {
+        this._requireDatabase();
+
+        let link = null;
+        let result;
+        try {
+            result = await runTransaction(ref(database, `${SAVE_LINKS_PATH}/${code}`), current => {
+                // A null first pass may just be an empty cache - writing null lets the server answer
+                link = current;
+                return null;
+            });
+        } catch (error) {
+            // The rules hide codes past their expiry
+            console.warn('[CloudSave] Link code not readable:', error.message);
+            throw new Error('No save with that code - codes stop working after a few minutes');
+        }
+
+        if (!result.committed || !link) throw new Error('No save with that code');
+        if (Date.now() - link.createdAt > GAME_CONFIG.CLOUD_LINK_TTL_MINUTES * 60 * 1000) {
+            throw new Error('That code has expired - make a new one on your other device');
+        }
+
+        const stored = (await get(ref(database, `${SAVES_PATH}/${link.playerId}/${link.secret}`))).val();
+        if (!stored) throw new Error('That save is no longer in the cloud');
+        return { playerId: link.playerId, secret: link.secret, save: JSON.parse(stored.data) };
+    },
+
+    /**
+     * Subscribe to the connection to the database
+     * @param {Function} callback - Called with true/false on every (dis)connect
+     * @returns {Function} Unsubscribe function
+     */
+    subscribeToConnection(callback) {
+        if (!database) {
+            callback(false);
+            return () => { };
+        }
+        return onValue(ref(database, '.info/connected'), snapshot => callback(snapshot.val() === true));
+    },
+
+    /**
+     * Throw when cloud saves are unavailable
+     */
+    _requireDatabase() {
+        if (!database) {
+            throw new Error('Cloud save is unavailable right now');
+        }
+    },
+};
+
 export default LeaderboardService;
@@ -0,0 +1,174 @@
+/**
+ * Cloud Save Helpers
+ *
+ * The cloud copy of a save is merged with the local one field by field, so
+ * two devices that played offline both keep their progress:
+ * - unlocked/completed levels, achievements: union (earliest unlock time)
+ * - best scores, stars, records: the higher value
+ * - total score: recomputed from the merged bests (high score: the highest seen)
+ * - per-level details (results, hints): from the side with the better best
+ * - daily results: the better score and levels cleared, completed on either side
+ * - settings and player name: whichever side changed them last
+ * Apart from the player ID and this device's sync state (kept from the
+ * first save), the result doesn't depend on which side is "local", so
+ * merging the same two saves on either device ends in the same save.
+ */
+
+// Same alphabet as room codes: no 0/O or 1/I
+const LINK_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const LINK_CODE_LENGTH = 8;
+
+/**
+ * Random link code, e.g. "K7QP-X2MV"
+ * @param {Function} random - Source of randomness returning [0, 1)
+ */
+export const generateLinkCode = (random = Math.random) => {
+    const chars = Array.from(
+        { length: LINK_CODE_LENGTH },
+        () => LINK_CODE_ALPHABET[Math.floor(random() * LINK_CODE_ALPHABET.length)]
+    );
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+/**
+ * Clean up a typed link code (case, spaces, dashes)
+ * @param {string} input - What the player typed
+ * @returns {string} Code as stored (with its dash), or '' while incomplete
+ */
+export const normalizeLinkCode = (input) => {
+    const chars = input.toUpperCase().split('').filter(char => LINK_CODE_ALPHABET.includes(char));
+    if (chars.length !== LINK_CODE_LENGTH) return '';
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const SAVE_SECRET_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+export const SAVE_SECRET_LENGTH = 32;
+
+/**
+ * Random secret for a cloud save (part of its database path, so only
+ * devices holding it can read or write the save)
+ */
+export const generateSaveSecret = () => Array.from(
+    crypto.getRandomValues(new Uint32Array(SAVE_SECRET_LENGTH)),
+    value => SAVE_SECRET_ALPHABET[value % SAVE_SECRET_ALPHABET.length]
+).join('');
+
+/**
+ * The part of a save that is mirrored or exported (this device's cloud
+ * settings, secret included, stay local)
+ * @param {Object} save - Persisted state
+ */
+export const getCloudCopy = (save) => {
+    const { cloudSync: _cloudSync, ...copy } = save;
+    return copy;
+};
+
+/**
+ * Key-order independent JSON, to tell whether two saves hold the same data
+ */
+const toStableJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(toStableJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toStableJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Fingerprint of the mirrored part of a save (equal fingerprints = nothing to sync)
+ * @param {Object} save - Persisted state
+ */
+export const getSaveFingerprint = (save) => toStableJson(getCloudCopy(save));
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])].sort((x, y) => x - y);
+
+/**
+ * Merge two maps key by key
+ * @param {Function} pick - (a, b) => merged value for a key both sides have
+ */
+const mergeMaps = (a = {}, b = {}, pick) => Object.fromEntries(
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().map(key => [
+        key,
+        key in a && key in b ? pick(a[key], b[key], key) : (key in a ? a[key] : b[key]),
+    ])
+);
+
+const max = (x, y) => Math.max(x ?? 0, y ?? 0);
+const maxFields = (a = {}, b = {}) => mergeMaps(a, b, max);
+
+// Stable tie-break: the value whose JSON sorts first
+const byJson = (x, y) => (JSON.stringify(x) <= JSON.stringify(y) ? x : y);
+
+/**
+ * Best score per level over all difficulty tiers
+ */
+const getAllBests = (save) => mergeMaps(
+    save.bestScores,
+    Object.values(save.tierBestScores || {}).reduce((all, bests) => maxFields(all, bests), {}),
+    max
+);
+
+/**
+ * Merge two saves (see the rules above)
+ * @param {Object} a - Save (normalized, at the current version)
+ * @param {Object} b - Save (normalized, at the current version)
+ * @returns {Object} Merged save (`playerId` and `cloudSync` are taken from `a`)
+ */
+export const mergeSaves = (a, b) => {
+    const bestsA = getAllBests(a);
+    const bestsB = getAllBests(b);
+    // Hints of the side with the better best (equal bests: fewer hints)
+    const pickLevelHints = (x, y, levelId) => {
+        const diff = (bestsA[levelId] || 0) - (bestsB[levelId] || 0);
+        return diff > 0 ? x : diff < 0 ? y : Math.min(x, y);
+    };
+    // Higher score, then a stable tie-break
+    const pickHigherScore = (x, y) => (x.score !== y.score ? (x.score > y.score ? x : y) : byJson(x, y));
+    // Same rules as recording a daily result twice
+    const mergeDailyResults = (x, y) => ({
+        score: max(x.score, y.score),
+        levelsCleared: max(x.levelsCleared, y.levelsCleared),
+        completed: Boolean(x.completed || y.completed),
+    });
+
+    // Later settings win (ties broken the same way on every device)
+    const isANewer = a.settingsUpdatedAt > b.settingsUpdatedAt
+        || (a.settingsUpdatedAt === b.settingsUpdatedAt && byJson(a.settings, b.settings) === a.settings);
+    const [newer, older] = isANewer ? [a, b] : [b, a];
+
+    // The daily streak belongs to whoever completed a challenge last
+    const latestDaily = (a.daily.lastCompletedDay || '') === (b.daily.lastCompletedDay || '')
+        ? (a.daily.streak >= b.daily.streak ? a.daily : b.daily)
+        : ((a.daily.lastCompletedDay || '') > (b.daily.lastCompletedDay || '') ? a.daily : b.daily);
+
+    const bestScores = maxFields(a.bestScores, b.bestScores);
+    const tierBestScores = mergeMaps(a.tierBestScores, b.tierBestScores, maxFields);
+    // Sum of every level's best over all tiers, as completeLevel keeps it
+    const totalScore = Object.values(getAllBests({ bestScores, tierBestScores })).reduce((sum, best) => sum + best, 0);
+
+    return {
+        ...a,
+        playerName: newer.playerName || older.playerName,
+        settings: newer.settings,
+        settingsUpdatedAt: newer.settingsUpdatedAt,
+        unlockedLevels: union(a.unlockedLevels, b.unlockedLevels),
+        completedLevels: union(a.completedLevels, b.completedLevels),
+        bestScores,
+        tierBestScores,
+        levelStars: maxFields(a.levelStars, b.levelStars),
+        levelHints: mergeMaps(a.levelHints, b.levelHints, pickLevelHints),
+        levelResults: mergeMaps(a.levelResults, b.levelResults, pickHigherScore),
+        runRecords: mergeMaps(a.runRecords, b.runRecords, maxFields),
+        achievements: mergeMaps(a.achievements, b.achievements, (x, y) => Math.min(x, y)),
+        totalHintsUsed: Math.max(a.totalHintsUsed, b.totalHintsUsed),
+        highScore: Math.max(a.highScore, b.highScore, totalScore),
+        totalScore,
+        survival: maxFields(a.survival, b.survival),
+        daily: {
+            streak: latestDaily.streak,
+            bestStreak: Math.max(a.daily.bestStreak, b.daily.bestStreak),
+            lastCompletedDay: latestDaily.lastCompletedDay,
+            results: mergeMaps(a.daily.results, b.daily.results, mergeDailyResults),
+        },
+    };
+};
@@ -0,0 +1,60 @@
+/**
+ * Daily Challenge Helpers
+ *
+ * Every player gets the same challenge on the same (UTC) day: the day key
+ * seeds the level subset, the modifier and the option shuffle seed.
+ */
+import { GAME_CONFIG } from '../data/gameData';
+import { createSeededRandom, shuffle } from './random';
+
+// Optional twists applied to the whole challenge
+export const DAILY_MODIFIERS = {
+    classic: { id: 'classic', label: 'Classic', description: 'No twist today - just fix the faces!' },
+    timed: { id: 'timed', label: 'Against the Clock', description: 'Every level is timed, speed bonus included.' },
+    oneLife: { id: 'oneLife', label: 'Sudden Death', description: 'One life for the whole challenge.' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day key for a date (UTC, so everyone shares the same day)
+ * @param {Date} date
+ * @returns {string} e.g. "2025-01-31"
+ */
+export const getDailyKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Day key of the day before
+ * @param {string} dayKey - e.g. "2025-02-01"
+ */
+export const getPreviousDailyKey = (dayKey) => getDailyKey(new Date(Date.parse(dayKey) - DAY_MS));
+
+/**
+ * Build the challenge for a day
+ * @param {Array} levels - Level catalog
+ * @param {string} dayKey - Day key (see getDailyKey)
+ * @returns {{ dayKey: string, levelIndices: number[], optionSeed: string, modifier: Object }}
+ */
+export const buildDailyChallenge = (levels, dayKey) => {
+    const seed = `hamada-daily-${dayKey}`;
+    const random = createSeededRandom(seed);
+
+    const levelCount = Math.min(GAME_CONFIG.DAILY_LEVEL_COUNT, levels.length);
+    const levelIndices = shuffle(levels.map((_, i) => i), random).slice(0, levelCount);
+
+    const modifiers = Object.values(DAILY_MODIFIERS);
+    const modifier = modifiers[Math.floor(random() * modifiers.length)];
+
+    // Option order comes from useShuffledOptions, seeded per day
+    return { dayKey, levelIndices, optionSeed: seed, modifier };
+};
+
+/**
+ * Current streak as of a day (a streak survives until a full day is missed)
+ * @param {Object} dailyState - Persisted daily state ({ streak, lastCompletedDay })
+ * @param {string} dayKey - Today's key
+ */
+export const getActiveStreak = (dailyState, dayKey) => {
+    const { streak, lastCompletedDay } = dailyState;
+    return lastCompletedDay === dayKey || lastCompletedDay === getPreviousDailyKey(dayKey) ? streak : 0;
+};
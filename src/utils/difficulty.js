@@ -0,0 +1,100 @@
+/**
+ * Difficulty Helpers
+ *
+ * Tiers resize every part's option list: lower tiers drop wrong options,
+ * higher tiers add distractors of the same part type taken from other
+ * levels, skipping images the part already offers (compared by content
+ * hash where the loader knows it - levels reuse images under other paths).
+ * The picks are seeded by level, part and tier, so a level always looks
+ * the same on the same tier (shuffling is left to useShuffledOptions).
+ * A tier is only offered when every part in the catalog can fill its
+ * option count, so its multiplier always matches what the player sees.
+ */
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from '../data/gameData';
+import { createSeededRandom, shuffle } from './random';
+
+/**
+ * What makes two option images the same: their content hash, or their path
+ */
+const getImageKey = (option) => option.imageHash || option.image;
+
+/**
+ * Same-type options from other levels, one per image the part doesn't offer
+ * Ids are prefixed with their level id so they never clash.
+ */
+const getDistractors = (part, level, levels) => {
+    const seenImages = new Set(part.options.map(getImageKey));
+    const distractors = [];
+    levels.forEach(other => {
+        if (other.id === level.id) return;
+        other.parts
+            .filter(otherPart => otherPart.type === part.type)
+            .flatMap(otherPart => otherPart.options)
+            .forEach(option => {
+                if (seenImages.has(getImageKey(option))) return;
+                seenImages.add(getImageKey(option));
+                distractors.push({ ...option, id: `${other.id}:${option.id}` });
+            });
+    });
+    return distractors;
+};
+
+/**
+ * Tiers the catalog can fill: every part of every level has enough
+ * distinct images (its own plus distractors) for the tier's option count
+ * @param {Array} levels - Level catalog
+ * @returns {Object[]} DIFFICULTIES entries, easiest first
+ */
+export const getAvailableDifficulties = (levels) => {
+    const optionLimit = Math.min(...levels.flatMap(level => level.parts.map(part => (
+        part.options.length + getDistractors(part, level, levels).length
+    ))));
+    return Object.values(DIFFICULTIES).filter(tier => tier.optionCount <= optionLimit);
+};
+
+/**
+ * Difficulty tier by id (unknown ids fall back to the default tier)
+ * When the available tiers are given, a tier the catalog can't fill falls
+ * back to the hardest available one below it.
+ * @param {string} difficultyId - Key of DIFFICULTIES
+ * @param {Object[]} [available] - Tiers to pick from (see getAvailableDifficulties)
+ */
+export const getDifficulty = (difficultyId, available = null) => {
+    const tier = DIFFICULTIES[difficultyId] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+    if (!available || available.includes(tier)) return tier;
+    return available.filter(other => other.optionCount < tier.optionCount).at(-1) || DIFFICULTIES[DEFAULT_DIFFICULTY];
+};
+
+/**
+ * A part's options resized to a tier's option count
+ * @param {Object} part - Level part
+ * @param {Object} level - Level the part belongs to
+ * @param {Array} levels - Level catalog (distractor source)
+ * @param {number} optionCount - Options wanted
+ * @returns {Object[]} Options, correct one included
+ */
+export const getTierOptions = (part, level, levels, optionCount) => {
+    if (part.options.length === optionCount) return part.options;
+
+    const random = createSeededRandom(`${level.id}:${part.type}:${optionCount}`);
+    const correct = part.options.find(option => option.id === part.correctOption);
+    const wrong = part.options.filter(option => option !== correct);
+
+    if (optionCount < part.options.length) {
+        return [correct, ...shuffle(wrong, random).slice(0, optionCount - 1)];
+    }
+
+    const distractors = getDistractors(part, level, levels);
+    return [...part.options, ...shuffle(distractors, random).slice(0, optionCount - part.options.length)];
+};
+
+/**
+ * A level with every part resized for a tier
+ * @param {Object} level - Level
+ * @param {Array} levels - Level catalog
+ * @param {Object} difficulty - Tier from DIFFICULTIES
+ */
+export const applyDifficulty = (level, levels, difficulty) => ({
+    ...level,
+    parts: level.parts.map(part => ({ ...part, options: getTierOptions(part, level, levels, difficulty.optionCount) })),
+});
@@ -0,0 +1,68 @@
+/**
+ * Online Race Helpers
+ *
+ * Both players of a room race through the same levels: the host picks them
+ * from a seed and stores their ids, so a guest only needs the room.
+ */
+import { GAME_CONFIG } from '../data/gameData';
+import { createSeededRandom, shuffle } from './random';
+
+// No 0/O or 1/I - codes are read out loud
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const ROOM_CODE_LENGTH = 5;
+
+/**
+ * Random room code, e.g. "K7QPX"
+ * @param {Function} random - Source of randomness returning [0, 1)
+ */
+export const generateRoomCode = (random = Math.random) => Array.from(
+    { length: ROOM_CODE_LENGTH },
+    () => ROOM_CODE_ALPHABET[Math.floor(random() * ROOM_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Clean up a typed room code (case, spaces, dashes)
+ * @param {string} input - What the player typed
+ */
+export const normalizeRoomCode = (input) => input
+    .toUpperCase()
+    .split('')
+    .filter(char => ROOM_CODE_ALPHABET.includes(char))
+    .join('')
+    .slice(0, ROOM_CODE_LENGTH);
+
+/**
+ * Pick the race levels for a seed
+ * @param {Array} levels - Level catalog
+ * @param {number|string} seed - Room seed
+ * @returns {string[]} Level ids, in race order
+ */
+export const buildRaceLevels = (levels, seed) => {
+    const random = createSeededRandom(seed);
+    const levelCount = Math.min(GAME_CONFIG.ONLINE_LEVEL_COUNT, levels.length);
+    return shuffle(levels.map(level => level.id), random).slice(0, levelCount);
+};
+
+/**
+ * Rank the room's players: levels cleared, then score, then who finished first
+ * (players who left forfeit and rank last)
+ * @param {Object} players - Room players ({ [playerId]: player })
+ * @returns {Array} Players with their `id`, best first
+ */
+export const getRaceStandings = (players = {}) => Object.entries(players)
+    .map(([id, player]) => ({ id, ...player }))
+    .sort((a, b) => {
+        const progressA = a.progress || {};
+        const progressB = b.progress || {};
+        return Number(Boolean(a.left)) - Number(Boolean(b.left))
+            || (progressB.levelsCleared || 0) - (progressA.levelsCleared || 0)
+            || (progressB.score || 0) - (progressA.score || 0)
+            || (progressA.finishedAt || Infinity) - (progressB.finishedAt || Infinity);
+    });
+
+/**
+ * Whether every player is done racing (finished, out of lives or gone)
+ * @param {Object} players - Room players
+ */
+export const isRaceOver = (players = {}) => Object.values(players)
+    .every(player => player.left || player.progress?.finished);
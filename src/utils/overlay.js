@@ -0,0 +1,54 @@
+/**
+ * Overlay Geometry Helpers
+ *
+ * Turns a part's `overlayStyle` (top/left/width percentages plus optional
+ * transform) into an absolutely positioned style for that part's overlay.
+ * Options can fine-tune the placement with their own `overlay` adjustment:
+ * - offsetX / offsetY: nudge in percent of the stage (e.g. 1.5 = 1.5%)
+ * - scale: size multiplier (1 = part width)
+ * - rotate: rotation in degrees
+ */
+
+/**
+ * Fallback geometry for levels that don't define overlayStyle
+ */
+export const DEFAULT_OVERLAY_STYLE = {
+    top: '50%',
+    left: '50%',
+    width: '40%',
+    transform: 'translate(-50%, -50%)',
+};
+
+/**
+ * Add a percentage offset to a CSS length without losing its unit
+ */
+const offsetLength = (value, offset) => {
+    if (!offset) return value;
+    return `calc(${value} + ${offset}%)`;
+};
+
+/**
+ * Build the CSS style for an overlay image
+ * @param {Object} overlayStyle - Part overlay geometry ({ top, left, width, transform })
+ * @param {Object} adjust - Optional per-option adjustment ({ offsetX, offsetY, scale, rotate })
+ * @returns {Object} React style object
+ */
+export const getOverlayStyle = (overlayStyle, adjust = {}) => {
+    const { top, left, width, transform } = overlayStyle || DEFAULT_OVERLAY_STYLE;
+    const { offsetX = 0, offsetY = 0, scale = 1, rotate = 0 } = adjust || {};
+
+    const transforms = [
+        transform,
+        rotate ? `rotate(${rotate}deg)` : null,
+        scale !== 1 ? `scale(${scale})` : null,
+    ].filter(Boolean);
+
+    return {
+        position: 'absolute',
+        top: offsetLength(top, offsetY),
+        left: offsetLength(left, offsetX),
+        width,
+        transform: transforms.length > 0 ? transforms.join(' ') : undefined,
+        transformOrigin: 'center',
+    };
+};
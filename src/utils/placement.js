@@ -0,0 +1,60 @@
+/**
+ * Placement Scoring Helpers (drag-and-drop mode)
+ *
+ * Compares where the player dropped an option (and at what size) with the
+ * part's overlayStyle region. Positions are measured in pixels on the
+ * rendered stage, so the same math works on any screen size.
+ */
+
+const CENTERED_TRANSFORM = 'translate(-50%, -50%)';
+
+// How much of the precision comes from position vs. size
+const POSITION_WEIGHT = 0.75;
+const SCALE_WEIGHT = 0.25;
+
+/**
+ * Pixel box of a part's target region on the stage
+ * @param {Object} overlayStyle - Part overlay geometry ({ top, left, width, transform })
+ * @param {DOMRect} stageRect - Rendered stage rectangle
+ * @param {number} optionAspect - Width / height of the dragged option image
+ * @returns {{ centerX: number, centerY: number, width: number }} Relative to the stage's top-left corner
+ */
+export const getTargetBox = (overlayStyle, stageRect, optionAspect = 1) => {
+    const width = (parseFloat(overlayStyle.width) / 100) * stageRect.width;
+    const height = width / optionAspect;
+    const left = (parseFloat(overlayStyle.left) / 100) * stageRect.width;
+    const top = (parseFloat(overlayStyle.top) / 100) * stageRect.height;
+
+    // Only the standard centering transform moves the anchor point
+    const isCentered = overlayStyle.transform?.includes(CENTERED_TRANSFORM);
+    return {
+        centerX: isCentered ? left : left + width / 2,
+        centerY: isCentered ? top : top + height / 2,
+        width,
+    };
+};
+
+/**
+ * Score a drop against the target region
+ * @param {Object} drop - { x, y } pointer position relative to the stage, and the ghost `scale`
+ * @param {Object} target - Box from getTargetBox
+ * @returns {{ precision: number, offsetX: number, offsetY: number }}
+ *   precision in [0, 1]; offsets are the drop position minus the target center (px)
+ */
+export const scorePlacement = (drop, target) => {
+    const offsetX = drop.x - target.centerX;
+    const offsetY = drop.y - target.centerY;
+
+    // Full marks on the center, nothing once a whole part-width away
+    const distance = Math.hypot(offsetX, offsetY);
+    const positionScore = Math.max(0, 1 - distance / target.width);
+
+    // Full marks at the right size, nothing at half or double size
+    const scaleScore = Math.max(0, 1 - Math.abs(Math.log2(drop.scale || 1)));
+
+    return {
+        precision: POSITION_WEIGHT * positionScore + SCALE_WEIGHT * scaleScore,
+        offsetX,
+        offsetY,
+    };
+};
@@ -0,0 +1,52 @@
+/**
+ * Randomness Helpers
+ */
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Source of randomness returning [0, 1)
+ */
+export const shuffle = (items, random = Math.random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Fresh random seed for createSeededRandom
+ */
+export const createSeed = () => Math.floor(Math.random() * 4294967296);
+
+/**
+ * Hash a string into a 32-bit unsigned integer seed (FNV-1a)
+ * @param {string} text - Text to hash
+ */
+export const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Create a deterministic random source (mulberry32)
+ * Same seed, same sequence - on every device.
+ * @param {number|string} seed - Numeric seed, or text hashed into one
+ * @returns {Function} Source of randomness returning [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+    let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
@@ -0,0 +1,139 @@
+/**
+ * Save Migrations
+ *
+ * Ordered upgrade steps for the persisted game save. MIGRATIONS[n] turns
+ * a version n save into a version n + 1 save; migrateSave runs every step
+ * from the save's version up to SAVE_VERSION. Steps are pure (no storage
+ * access), so a step can be checked against a fixture save on its own.
+ *
+ * When a field is renamed or restructured, bump SAVE_VERSION, add the
+ * step here and give the new version its own storage key (older builds of
+ * the game keep reading theirs). New fields with a default don't need a
+ * step - loading deep-merges the save over the defaults.
+ *
+ * v3 (hamada_game_v3, the flat format in useGameState's DEFAULT_STATE) is
+ * the first save format the game shipped with, so there are no steps yet.
+ */
+
+export const SAVE_VERSION = 3;
+
+// Storage key of each save version (newer versions first when loading)
+export const SAVE_KEYS = {
+    3: 'hamada_game_v3',
+};
+
+/**
+ * Upgrade steps: MIGRATIONS[n] takes a version n save to version n + 1
+ */
+export const MIGRATIONS = {};
+
+/**
+ * Version of a save
+ * @param {Object} save - Parsed save
+ * @param {number} fallback - Version implied by the key it was stored under (no version field)
+ */
+export const getSaveVersion = (save, fallback = SAVE_VERSION) => (
+    Number.isInteger(save?.version) ? save.version : fallback
+);
+
+/**
+ * Run every upgrade step from the save's version up to SAVE_VERSION
+ * @param {Object} save - Parsed save
+ * @param {number} fromVersion - Its version (see getSaveVersion)
+ * @returns {Object} Save at SAVE_VERSION
+ * @throws {Error} When a step is missing or fails
+ */
+export const migrateSave = (save, fromVersion) => {
+    let migrated = save;
+    for (let version = fromVersion; version < SAVE_VERSION; version++) {
+        const step = MIGRATIONS[version];
+        if (!step) throw new Error(`No save migration from v${version}`);
+        try {
+            migrated = { ...step(migrated), version: version + 1 };
+        } catch (err) {
+            throw new Error(`Save migration v${version} -> v${version + 1} failed: ${err.message}`, { cause: err });
+        }
+    }
+    return migrated;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => Number.isFinite(value);
+const isLevelList = (value) => Array.isArray(value) && value.every(Number.isInteger);
+const isMapOf = (check) => (value) => isPlainObject(value) && Object.values(value).every(check);
+const isNumberMap = isMapOf(isNumber);
+// Object whose listed fields, when present, pass their checks
+const isShape = (fields) => (value) => isPlainObject(value)
+    && Object.entries(fields).every(([field, check]) => !(field in value) || check(value[field]));
+
+const isLevelResult = isShape({ score: isNumber, attempts: isNumber, seconds: isNumber });
+const isRunRecord = isShape({ bestScore: isNumber, bestLevelsCleared: isNumber, bestCombo: isNumber, runsPlayed: isNumber });
+const isDailyResult = isShape({ score: isNumber, levelsCleared: isNumber, completed: value => typeof value === 'boolean' });
+
+// Every field a current save may have, with what it must hold
+const SAVE_SHAPE = {
+    playerName: value => typeof value === 'string',
+    playerId: value => value === null || typeof value === 'string',
+    unlockedLevels: isLevelList,
+    completedLevels: isLevelList,
+    bestScores: isNumberMap,
+    tierBestScores: isMapOf(isNumberMap),
+    levelHints: isNumberMap,
+    levelStars: isNumberMap,
+    levelResults: isMapOf(isLevelResult),
+    runRecords: isMapOf(isRunRecord),
+    achievements: isNumberMap,
+    totalHintsUsed: isNumber,
+    highScore: isNumber,
+    totalScore: isNumber,
+    settingsUpdatedAt: isNumber,
+    survival: isShape({ bestScore: isNumber, bestLevelsCleared: isNumber, runsPlayed: isNumber }),
+    daily: isShape({
+        streak: isNumber,
+        bestStreak: isNumber,
+        lastCompletedDay: value => value === null || typeof value === 'string',
+        results: isMapOf(isDailyResult),
+    }),
+    settings: isShape({
+        audio: isPlainObject,
+        haptics: isPlainObject,
+        accessibility: isPlainObject,
+        gameplay: isPlainObject,
+    }),
+    cloudSync: isPlainObject,
+};
+
+/**
+ * Check a save at SAVE_VERSION field by field, nested maps included
+ * (missing fields are fine - defaults fill them)
+ * @param {Object} save - Upgraded save
+ * @throws {Error} Listing every field that doesn't hold what it should
+ */
+export const validateSave = (save) => {
+    const problems = Object.entries(SAVE_SHAPE)
+        .filter(([field, check]) => field in save && !check(save[field]))
+        .map(([field]) => field);
+    if (problems.length > 0) throw new Error(`Invalid save: unexpected data in ${problems.join(', ')}`);
+};
+
+/**
+ * Parse a stored save and bring it up to SAVE_VERSION
+ * @param {string} raw - Stored JSON
+ * @param {number} fallbackVersion - Version implied by where it came from (saves without a version field)
+ * @returns {{ save: Object, fromVersion: number }}
+ * @throws {Error} When the JSON is unreadable, isn't a valid save, comes from a newer
+ *   version of the game (it can't be checked) or a step fails
+ */
+export const readSave = (raw, fallbackVersion = SAVE_VERSION) => {
+    const parsed = JSON.parse(raw);
+    if (!isPlainObject(parsed)) {
+        throw new Error('Save is not an object');
+    }
+    const fromVersion = getSaveVersion(parsed, fallbackVersion);
+    if (fromVersion > SAVE_VERSION) {
+        throw new Error(`Save is from a newer version of the game (v${fromVersion}) - update the game to load it`);
+    }
+    const save = migrateSave(parsed, fromVersion);
+    validateSave(save);
+    return { save, fromVersion };
+};
@@ -0,0 +1,128 @@
+/**
+ * Save Transfer
+ *
+ * Export/import helpers for moving a save to another device: the save
+ * code (the save JSON, deflated where the browser supports it, as
+ * base64url behind a short prefix), reading pasted text or file contents
+ * back into save JSON, and the summary of what an import would change.
+ * Exports leave out this device's cloud save settings (and its secret).
+ * Parsing and upgrading the save itself is left to readSave.
+ */
+
+import { getTotalStars } from './stars';
+import { getCloudCopy } from './cloudSave';
+
+const CODE_PREFIX_DEFLATE = 'HY1.';
+const CODE_PREFIX_PLAIN = 'HY0.';
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+/**
+ * Pipe bytes through a (de)compression stream
+ */
+const pipeBytes = async (bytes, stream) => new Uint8Array(
+    await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+);
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Turn a save into a copy-paste code
+ * @param {Object} save - Persisted state
+ * @returns {Promise<string>}
+ */
+export const encodeSaveCode = async (save) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(getCloudCopy(save)));
+    if (!canCompress()) return CODE_PREFIX_PLAIN + toBase64Url(bytes);
+    return CODE_PREFIX_DEFLATE + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+/**
+ * Save JSON from pasted text or file contents (a save code or the JSON itself)
+ * @param {string} text - What the player pasted or picked
+ * @returns {Promise<string>} Save JSON, still to be checked with readSave
+ * @throws {Error} When a save code is damaged or can't be opened in this browser
+ */
+export const readSaveText = async (text) => {
+    const trimmed = text.replace(/\s+/g, '');
+    const isDeflated = trimmed.startsWith(CODE_PREFIX_DEFLATE);
+    if (!isDeflated && !trimmed.startsWith(CODE_PREFIX_PLAIN)) return text.trim();
+
+    if (isDeflated && !canCompress()) {
+        throw new Error('This browser cannot open compressed save codes - import the save file instead');
+    }
+
+    try {
+        const bytes = fromBase64Url(trimmed.slice(CODE_PREFIX_DEFLATE.length));
+        return new TextDecoder().decode(isDeflated ? await pipeBytes(bytes, new DecompressionStream('deflate-raw')) : bytes);
+    } catch (err) {
+        throw new Error('The save code is damaged - copy it again', { cause: err });
+    }
+};
+
+/**
+ * Download a save as a JSON file
+ * @param {Object} save - Persisted state
+ */
+export const downloadSaveFile = (save) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(getCloudCopy(save), null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hamada-yed7ak-save-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Best score per level over all difficulty tiers
+ */
+const getAllBests = (save) => {
+    const bests = { ...save.bestScores };
+    Object.values(save.tierBestScores || {}).forEach(tierBests => Object.entries(tierBests).forEach(([levelId, best]) => {
+        bests[levelId] = Math.max(bests[levelId] || 0, best);
+    }));
+    return bests;
+};
+
+/**
+ * What replacing the current save with an imported one would change
+ * @param {Object} current - Current persisted state
+ * @param {Object} incoming - Imported state (upgraded and merged with defaults)
+ * @returns {{ rows: Array<{ label: string, from: string|number, to: string|number }>, lowerBests: number, isSamePlayer: boolean }}
+ *   lowerBests = levels where the current best score would be lost
+ */
+export const getSaveDiff = (current, incoming) => {
+    const currentBests = getAllBests(current);
+    const incomingBests = getAllBests(incoming);
+    const lowerBests = Object.entries(currentBests).filter(([levelId, best]) => (incomingBests[levelId] || 0) < best).length;
+
+    return {
+        rows: [
+            { label: 'Player', from: current.playerName || '-', to: incoming.playerName || '-' },
+            { label: 'Levels unlocked', from: current.unlockedLevels.length, to: incoming.unlockedLevels.length },
+            { label: 'Levels completed', from: current.completedLevels.length, to: incoming.completedLevels.length },
+            { label: 'Stars', from: getTotalStars(current.levelStars), to: getTotalStars(incoming.levelStars) },
+            { label: 'Total score', from: current.totalScore, to: incoming.totalScore },
+            { label: 'High score', from: current.highScore, to: incoming.highScore },
+            { label: 'Achievements', from: Object.keys(current.achievements).length, to: Object.keys(incoming.achievements).length },
+            { label: 'Survival best', from: current.survival.bestScore, to: incoming.survival.bestScore },
+            { label: 'Daily best streak', from: current.daily.bestStreak, to: incoming.daily.bestStreak },
+            {
+                label: 'Settings',
+                from: 'Current',
+                to: JSON.stringify(current.settings) === JSON.stringify(incoming.settings) ? 'Current' : 'Imported',
+            },
+        ],
+        lowerBests,
+        isSamePlayer: Boolean(current.playerId) && current.playerId === incoming.playerId,
+    };
+};
@@ -0,0 +1,31 @@
+/**
+ * Star Rating Helpers
+ *
+ * Every campaign completion earns 1-3 stars. A perfect run (no mistakes,
+ * no hints, under par time) earns all three; each of those missed costs one.
+ * Level packs can require a star total before their levels unlock.
+ */
+import { GAME_CONFIG } from '../data/gameData';
+
+export const MAX_STARS = 3;
+
+/**
+ * Stars earned by a completion
+ * @param {Object} result
+ * @param {number} result.mistakes - Wrong picks (and timeouts) on the level
+ * @param {number} result.hintsUsed - Hints used on the level
+ * @param {number} result.seconds - Time taken to finish the level
+ * @param {number} result.partCount - Parts in the level (par time scales with it)
+ * @returns {number} 1-3
+ */
+export const getLevelStars = ({ mistakes, hintsUsed, seconds, partCount = 1 }) => {
+    const parSeconds = GAME_CONFIG.STAR_PAR_SECONDS_PER_PART * partCount;
+    const missed = [mistakes > 0, hintsUsed > 0, seconds > parSeconds].filter(Boolean).length;
+    return Math.max(1, MAX_STARS - missed);
+};
+
+/**
+ * Total stars across all levels
+ * @param {Object} levelStars - { [levelId]: stars }
+ */
+export const getTotalStars = (levelStars) => Object.values(levelStars).reduce((sum, stars) => sum + stars, 0);
@@ -0,0 +1,112 @@
+import { describe, test, beforeEach, afterEach, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SAVE_KEYS, MIGRATIONS } from '../src/utils/saveMigrations.js';
+import { SaveStore } from '../src/services/SaveStore.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+/**
+ * localStorage stand-in backed by a Map
+ */
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        keys: () => [...items.keys()].sort(),
+    };
+};
+
+beforeEach(() => {
+    globalThis.localStorage = createStorage();
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'info', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    delete globalThis.localStorage;
+});
+
+describe('current saves', () => {
+    test('no save at all', () => {
+        assert.equal(SaveStore.load(), null);
+    });
+
+    test('a v3 save loads without a backup', () => {
+        const raw = readFixture('save-v3-baseline.json');
+        localStorage.setItem('hamada_game_v3', raw);
+
+        assert.deepEqual(SaveStore.load(), JSON.parse(raw));
+        assert.deepEqual(localStorage.keys(), ['hamada_game_v3']);
+    });
+
+    test('corrupt JSON is backed up and skipped', () => {
+        localStorage.setItem('hamada_game_v3', '{"version": 3, "playerName": "Ham');
+
+        assert.equal(SaveStore.load(), null);
+        assert.equal(localStorage.getItem('hamada_game_backup_corrupt_v3'), '{"version": 3, "playerName": "Ham');
+    });
+
+    test('a save from a newer version of the game is backed up and skipped', () => {
+        const raw = JSON.stringify({ ...JSON.parse(readFixture('save-v3-baseline.json')), version: 4 });
+        localStorage.setItem('hamada_game_v3', raw);
+
+        assert.equal(SaveStore.load(), null);
+        assert.equal(localStorage.getItem('hamada_game_backup_corrupt_v3'), raw);
+    });
+});
+
+/**
+ * A made-up v2 format under its own key (the game has only shipped v3),
+ * registered only while these tests run - see saveMigrations.test.js
+ */
+describe('legacy keys', () => {
+    before(() => {
+        SAVE_KEYS[2] = 'hamada_game_v2';
+        MIGRATIONS[2] = ({ progress, ...rest }) => ({ ...rest, ...progress });
+    });
+    after(() => {
+        delete SAVE_KEYS[2];
+        delete MIGRATIONS[2];
+    });
+
+    test('a save under an older key is found, upgraded and moved to the current key', () => {
+        const raw = readFixture('save-v2.json');
+        localStorage.setItem('hamada_game_v2', raw);
+
+        const save = SaveStore.load();
+        assert.equal(save.version, 3);
+        assert.deepEqual(save.unlockedLevels, [1, 2, 3]);
+        assert.deepEqual(JSON.parse(localStorage.getItem('hamada_game_v3')), save);
+        assert.equal(localStorage.getItem('hamada_game_v2'), null);
+    });
+
+    test('the original blob is backed up before it is upgraded', () => {
+        const raw = readFixture('save-v2.json');
+        localStorage.setItem('hamada_game_v2', raw);
+
+        SaveStore.load();
+        assert.equal(localStorage.getItem('hamada_game_backup_v2'), raw);
+    });
+
+    test('the current key wins over older ones', () => {
+        const current = readFixture('save-v3-baseline.json');
+        localStorage.setItem('hamada_game_v3', current);
+        localStorage.setItem('hamada_game_v2', readFixture('save-v2.json'));
+
+        assert.deepEqual(SaveStore.load(), JSON.parse(current));
+        assert.deepEqual(localStorage.keys(), ['hamada_game_v2', 'hamada_game_v3']);
+    });
+
+    test('a corrupt current save falls back to the older key', () => {
+        localStorage.setItem('hamada_game_v3', 'not json');
+        localStorage.setItem('hamada_game_v2', readFixture('save-v2.json'));
+
+        assert.equal(SaveStore.load().playerName, 'Hamada');
+        assert.equal(localStorage.getItem('hamada_game_backup_corrupt_v3'), 'not json');
+        assert.equal(localStorage.getItem('hamada_game_backup_v2'), readFixture('save-v2.json'));
+    });
+});
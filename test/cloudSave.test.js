@@ -0,0 +1,147 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSaves, getCloudCopy } from '../src/utils/cloudSave.js';
+
+const SETTINGS = {
+    audio: { musicVolume: 70, sfxVolume: 80, isMusicMuted: false, isSfxMuted: false },
+    haptics: { enabled: true, intensity: 0.7 },
+    accessibility: { screenReaderMode: false, highContrast: false, reduceMotion: false },
+    gameplay: { timedMode: false, reshuffleOnWrong: false, dragPlacement: false, difficulty: 'normal' },
+};
+
+/**
+ * Normalized save (as useGameState keeps it) with the given fields changed
+ */
+const createSave = (fields = {}) => ({
+    version: 3,
+    playerName: '',
+    playerId: 'player_test',
+    unlockedLevels: [1],
+    completedLevels: [],
+    bestScores: {},
+    tierBestScores: {},
+    levelHints: {},
+    levelStars: {},
+    levelResults: {},
+    runRecords: {},
+    achievements: {},
+    totalHintsUsed: 0,
+    highScore: 0,
+    totalScore: 0,
+    survival: { bestScore: 0, bestLevelsCleared: 0, runsPlayed: 0 },
+    daily: { streak: 0, bestStreak: 0, lastCompletedDay: null, results: {} },
+    settings: SETTINGS,
+    settingsUpdatedAt: 0,
+    cloudSync: { enabled: false, secret: null, lastSyncedAt: null },
+    ...fields,
+});
+
+// Two devices that played offline: the phone got further, the laptop
+// scored better on level 1 and changed its settings later
+const phone = createSave({
+    playerName: 'Hamada',
+    playerId: 'player_phone',
+    unlockedLevels: [1, 2, 3],
+    completedLevels: [1, 2],
+    bestScores: { 1: 80, 2: 70 },
+    tierBestScores: { hard: { 2: 120 } },
+    levelStars: { 1: 2, 2: 3 },
+    highScore: 200,
+    totalScore: 200,
+    survival: { bestScore: 300, bestLevelsCleared: 4, runsPlayed: 2 },
+    daily: {
+        streak: 3,
+        bestStreak: 3,
+        lastCompletedDay: '2026-10-17',
+        results: { '2026-10-17': { score: 90, levelsCleared: 3, completed: true } },
+    },
+    settingsUpdatedAt: 1000,
+});
+const laptop = createSave({
+    playerName: 'Hamada L',
+    playerId: 'player_laptop',
+    unlockedLevels: [1, 2],
+    completedLevels: [1],
+    bestScores: { 1: 100 },
+    tierBestScores: { easy: { 1: 40 } },
+    levelStars: { 1: 3 },
+    highScore: 100,
+    totalScore: 100,
+    survival: { bestScore: 150, bestLevelsCleared: 6, runsPlayed: 5 },
+    daily: {
+        streak: 1,
+        bestStreak: 5,
+        lastCompletedDay: '2026-10-16',
+        results: {
+            '2026-10-16': { score: 60, levelsCleared: 2, completed: true },
+            '2026-10-17': { score: 110, levelsCleared: 2, completed: false },
+        },
+    },
+    settings: { ...SETTINGS, audio: { ...SETTINGS.audio, isMusicMuted: true } },
+    settingsUpdatedAt: 2000,
+});
+
+/**
+ * The merged data apart from what stays with the device (player ID, sync state)
+ */
+const withoutDeviceFields = (save) => {
+    const { playerId: _playerId, ...copy } = getCloudCopy(save);
+    return copy;
+};
+
+describe('mergeSaves', () => {
+    test('merging in either order gives the same save', () => {
+        assert.deepEqual(withoutDeviceFields(mergeSaves(phone, laptop)), withoutDeviceFields(mergeSaves(laptop, phone)));
+    });
+
+    test('the player ID and sync state come from the first save', () => {
+        const merged = mergeSaves(phone, laptop);
+
+        assert.equal(merged.playerId, 'player_phone');
+        assert.equal(merged.cloudSync, phone.cloudSync);
+    });
+
+    test('unlocked and completed levels are unioned', () => {
+        const merged = mergeSaves(laptop, phone);
+
+        assert.deepEqual(merged.unlockedLevels, [1, 2, 3]);
+        assert.deepEqual(merged.completedLevels, [1, 2]);
+    });
+
+    test('best scores and stars take the higher value', () => {
+        const merged = mergeSaves(phone, laptop);
+
+        assert.deepEqual(merged.bestScores, { 1: 100, 2: 70 });
+        assert.deepEqual(merged.tierBestScores, { easy: { 1: 40 }, hard: { 2: 120 } });
+        assert.deepEqual(merged.levelStars, { 1: 3, 2: 3 });
+        assert.deepEqual(merged.survival, { bestScore: 300, bestLevelsCleared: 6, runsPlayed: 5 });
+    });
+
+    test('the total score is recomputed from the merged bests', () => {
+        const merged = mergeSaves(phone, laptop);
+
+        // Level 1: 100 on Normal, level 2: 120 on Hard
+        assert.equal(merged.totalScore, 220);
+        assert.equal(merged.highScore, 220);
+    });
+
+    test('settings and player name come from the save that changed them last', () => {
+        const merged = mergeSaves(phone, laptop);
+
+        assert.equal(merged.settings, laptop.settings);
+        assert.equal(merged.settingsUpdatedAt, 2000);
+        assert.equal(merged.playerName, 'Hamada L');
+    });
+
+    test('daily results keep completion from either save', () => {
+        const { daily } = mergeSaves(laptop, phone);
+
+        assert.deepEqual(daily.results, {
+            '2026-10-16': { score: 60, levelsCleared: 2, completed: true },
+            '2026-10-17': { score: 110, levelsCleared: 3, completed: true },
+        });
+        assert.equal(daily.streak, 3);
+        assert.equal(daily.bestStreak, 5);
+        assert.equal(daily.lastCompletedDay, '2026-10-17');
+    });
+});
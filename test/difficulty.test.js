@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY } from '../src/data/gameData.js';
+import { normalizeLevel } from '../src/data/levelSchema.js';
+import { getTierOptions, getAvailableDifficulties, getDifficulty, applyDifficulty } from '../src/utils/difficulty.js';
+
+const readLevelFile = (name) => JSON.parse(readFileSync(new URL(`../public/levels/${name}`, import.meta.url), 'utf8'));
+
+/**
+ * The shipped catalog as LevelPackLoader builds it: normalized levels whose
+ * options carry the content hashes from image-hashes.json
+ */
+const loadCoreCatalog = () => {
+    const imageHashes = readLevelFile('image-hashes.json');
+    return readLevelFile('core.json').levels.map(normalizeLevel).map(level => ({
+        ...level,
+        parts: level.parts.map(part => ({
+            ...part,
+            options: part.options.map(option => ({ ...option, imageHash: imageHashes[option.image] })),
+        })),
+    }));
+};
+
+/**
+ * Mouth-only level whose options are image files named after their content
+ * (the same letter = the same picture, as when levels reuse images)
+ */
+const createLevel = (id, contents, { correctIndex = 0, hasHashes = true } = {}) => ({
+    id,
+    parts: [{
+        type: 'mouth',
+        correctOption: `m${correctIndex + 1}`,
+        options: contents.map((content, index) => ({
+            id: `m${index + 1}`,
+            image: `/assets/level${id}/mouth_${index + 1}.jpg`,
+            ...(hasHashes && { imageHash: content }),
+        })),
+    }],
+});
+
+describe('getTierOptions', () => {
+    test('lower tiers keep the correct option', () => {
+        const level = createLevel(1, ['a', 'b', 'c', 'd'], { correctIndex: 2 });
+        const options = getTierOptions(level.parts[0], level, [level], 2);
+
+        assert.equal(options.length, 2);
+        assert.equal(options[0].id, 'm3');
+    });
+
+    test('distractors never repeat an image the part already offers', () => {
+        const levels = [createLevel(1, ['a', 'b', 'c', 'd']), createLevel(2, ['d', 'a', 'e', 'b']), createLevel(3, ['f', 'c'])];
+        const options = getTierOptions(levels[0].parts[0], levels[0], levels, 9);
+
+        assert.deepEqual(options.map(option => option.imageHash).sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+        assert.deepEqual(options.slice(4).map(option => option.id).sort(), ['2:m3', '3:m1']);
+    });
+
+    test('without hashes images are told apart by path', () => {
+        const levels = [createLevel(1, ['a', 'b'], { hasHashes: false }), createLevel(2, ['a', 'b'], { hasHashes: false })];
+
+        assert.equal(getTierOptions(levels[0].parts[0], levels[0], levels, 4).length, 4);
+    });
+
+    test('the same level always gets the same distractors', () => {
+        const levels = [createLevel(1, ['a', 'b']), createLevel(2, ['c', 'd', 'e']), createLevel(3, ['f', 'g'])];
+        const pick = () => getTierOptions(levels[0].parts[0], levels[0], levels, 4).map(option => option.id);
+
+        assert.deepEqual(pick(), pick());
+    });
+});
+
+describe('getAvailableDifficulties', () => {
+    test('only tiers the catalog can fill are offered', () => {
+        const levels = [createLevel(1, ['a', 'b', 'c', 'd']), createLevel(2, ['d', 'a', 'e', 'b'])];
+
+        assert.deepEqual(getAvailableDifficulties(levels).map(tier => tier.id), ['easy', 'normal']);
+    });
+
+    test('a tier the catalog cannot fill plays as the hardest one below it', () => {
+        const available = [DIFFICULTIES.easy, DIFFICULTIES.normal];
+
+        assert.equal(getDifficulty('expert', available), DIFFICULTIES.normal);
+        assert.equal(getDifficulty('easy', available), DIFFICULTIES.easy);
+        assert.equal(getDifficulty('expert'), DIFFICULTIES.expert);
+    });
+});
+
+describe('the shipped catalog', () => {
+    const levels = loadCoreCatalog();
+    const available = getAvailableDifficulties(levels);
+
+    test('every image has a content hash', () => {
+        const options = levels.flatMap(level => level.parts.flatMap(part => part.options));
+        assert.deepEqual(options.filter(option => !option.imageHash).map(option => option.image), []);
+    });
+
+    test('the default tier is offered', () => {
+        assert.ok(available.includes(DIFFICULTIES[DEFAULT_DIFFICULTY]));
+    });
+
+    Object.values(DIFFICULTIES).forEach(tier => {
+        test(`${tier.label} is offered only if every part gets ${tier.optionCount} different images`, () => {
+            const isFilled = levels.every(level => applyDifficulty(level, levels, tier).parts.every(part => (
+                part.options.length === tier.optionCount
+                && new Set(part.options.map(option => option.imageHash)).size === tier.optionCount
+            )));
+
+            assert.equal(available.includes(tier), isFilled);
+        });
+    });
+});
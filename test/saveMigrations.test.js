@@ -0,0 +1,108 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SAVE_VERSION, MIGRATIONS, getSaveVersion, migrateSave, readSave, validateSave } from '../src/utils/saveMigrations.js';
+
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+/**
+ * The game has only shipped v3 saves, so there are no real steps yet. These
+ * fixture steps stand in for two older formats (fixtures/save-v1.json and
+ * save-v2.json) to run the pipeline end to end; they are registered only
+ * while the tests that need them run.
+ */
+const FIXTURE_STEPS = {
+    // v1 -> v2: unlocked level number becomes a list, scores move into `progress`
+    1: ({ name, unlockedLevel, scores }) => ({
+        playerName: name,
+        progress: {
+            unlockedLevels: Array.from({ length: unlockedLevel }, (_, i) => i + 1),
+            bestScores: scores,
+        },
+    }),
+    // v2 -> v3: progress is hoisted to the top level
+    2: ({ progress, ...rest }) => ({ ...rest, ...progress }),
+};
+
+const registerFixtureSteps = () => {
+    before(() => Object.assign(MIGRATIONS, FIXTURE_STEPS));
+    after(() => Object.keys(FIXTURE_STEPS).forEach(version => delete MIGRATIONS[version]));
+};
+
+describe('v3 saves (the first shipped format)', () => {
+    test('a save written by the first release loads unchanged', () => {
+        const raw = readFixture('save-v3-baseline.json');
+        const { save, fromVersion } = readSave(raw);
+
+        assert.equal(fromVersion, 3);
+        assert.deepEqual(save, JSON.parse(raw));
+    });
+
+    test('a save without a version field takes the version of its key', () => {
+        const { version: _version, ...unversioned } = JSON.parse(readFixture('save-v3-baseline.json'));
+
+        assert.equal(getSaveVersion(unversioned), SAVE_VERSION);
+        assert.equal(readSave(JSON.stringify(unversioned)).fromVersion, SAVE_VERSION);
+    });
+});
+
+describe('upgrade steps', () => {
+    registerFixtureSteps();
+
+    test('v1 -> v2 turns the v1 fixture into the v2 fixture', () => {
+        const { version: _version, ...expected } = JSON.parse(readFixture('save-v2.json'));
+        assert.deepEqual(MIGRATIONS[1](JSON.parse(readFixture('save-v1.json'))), expected);
+    });
+
+    test('v2 -> v3 hoists progress to the top level', () => {
+        const { save, fromVersion } = readSave(readFixture('save-v2.json'));
+
+        assert.equal(fromVersion, 2);
+        assert.deepEqual(save, {
+            version: 3,
+            playerName: 'Hamada',
+            unlockedLevels: [1, 2, 3],
+            bestScores: { 1: 100, 2: 70 },
+        });
+    });
+
+    test('a v1 save (no version field) runs every step in order', () => {
+        const { save, fromVersion } = readSave(readFixture('save-v1.json'), 1);
+
+        assert.equal(fromVersion, 1);
+        assert.deepEqual(save, readSave(readFixture('save-v2.json')).save);
+    });
+
+    test('a failing step names the step', () => {
+        const broken = JSON.stringify({ name: 'Hamada', unlockedLevel: 2 ** 32, scores: {} });
+        assert.throws(() => readSave(broken, 1), /Save migration v1 -> v2 failed/);
+    });
+});
+
+describe('saves that are refused', () => {
+    test('a version without steps', () => {
+        assert.throws(() => migrateSave({ playerName: 'Hamada' }, 1), /No save migration from v1/);
+    });
+
+    test('a save from a newer version of the game', () => {
+        const raw = JSON.stringify({ ...JSON.parse(readFixture('save-v3-baseline.json')), version: SAVE_VERSION + 1 });
+        assert.throws(() => readSave(raw), /newer version of the game/);
+    });
+
+    test('unreadable JSON', () => {
+        assert.throws(() => readSave('{"version": 3, "playerName": "Ham'), SyntaxError);
+    });
+
+    test('JSON that is not an object', () => {
+        assert.throws(() => readSave('[1, 2, 3]'), /Save is not an object/);
+    });
+
+    test('nested data of the wrong type, listing every field', () => {
+        const save = {
+            ...JSON.parse(readFixture('save-v3-baseline.json')),
+            bestScores: { 1: 'lots' },
+            daily: { results: { '2026-01-01': { completed: 'yes' } } },
+        };
+        assert.throws(() => validateSave(save), /unexpected data in bestScores, daily$/);
+    });
+});